@@ -0,0 +1,1169 @@
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import dotenv from 'dotenv';
+import bodyParser from "body-parser";
+import multer from 'multer';
+import fs from 'fs';
+
+import { logMessage, logger as defaultLogger } from "./utils/logger.js";
+import { assignRequestId, restoreRequestContext, runWithRequestId } from "./utils/requestContext.js";
+import { metrics as defaultMetrics } from "./utils/metrics.js";
+import { healthService as defaultHealthService } from "./utils/healthService.js";
+import { galleryService as defaultGalleryService } from "./utils/galleryService.js";
+import { encryptWithNewKey } from "./utils/crypto.js";
+import { updateEnvFile } from "./utils/envFile.js";
+import { requireAdmin, requireBookingAccess, bookingToken } from "./utils/adminAuth.js";
+import { CalendarService } from "./utils/calendarService.js";
+import { roomService as defaultRoomService } from "./utils/roomService.js";
+import { bitrixClient as defaultBitrixClient } from "./utils/bitrix.js";
+import { categoryRegistry as defaultCategoryRegistry } from "./utils/categories.js";
+import { reservationLock as defaultReservationLock } from "./utils/reservationLock.js";
+import { GroupBookingService } from "./utils/groupBookingService.js";
+import { paymentService as defaultPaymentService } from "./utils/paymentService.js";
+import { notificationService as defaultNotificationService } from "./utils/notificationService.js";
+import { promoService as defaultPromoService } from "./utils/promoService.js";
+import { reportService as defaultReportService, MAX_REPORT_DAYS } from "./utils/reportService.js";
+import { toCsv } from "./utils/csv.js";
+import { buildXlsx, XLSX_CONTENT_TYPE } from "./utils/xlsx.js";
+import { validateRequest } from "./utils/validation.js";
+import { createApiSchemas } from "./utils/apiSchemas.js";
+import { buildOpenApiDocument } from "./utils/openapi.js";
+import { normalizePhone, normalizeEmail } from "./utils/phone.js";
+import { countNights } from "./utils/dates.js";
+
+import './global.js'
+
+const envPath = path.join(process.cwd(), '.env');
+dotenv.config({ path: envPath });
+
+export const BASE_URL = "/dias_gulfstream_back/";
+
+const packageVersion = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8')).version;
+
+// Создание приложения. Зависимости можно подменить (например, фейковым bitrixClient в тестах).
+export function createApp(deps = {}) {
+    const {
+        bitrixClient = defaultBitrixClient,
+        roomService = defaultRoomService,
+        categoryRegistry = defaultCategoryRegistry,
+        reservationLock = defaultReservationLock,
+        paymentService = defaultPaymentService,
+        notificationService = defaultNotificationService,
+        logger = defaultLogger,
+        metrics = defaultMetrics,
+        healthService = defaultHealthService,
+        galleryService = defaultGalleryService,
+        promoService = defaultPromoService,
+        reportService = defaultReportService
+    } = deps;
+    const calendarService = deps.calendarService || new CalendarService(roomService);
+    const groupBookingService = deps.groupBookingService || new GroupBookingService(bitrixClient, roomService, reservationLock, promoService);
+
+    const app = express();
+    // ID запроса и журнал доступа – для всех маршрутов, включая статику и ошибки разбора тела
+    app.use(assignRequestId());
+    app.use(logger.accessLog());
+    app.use(metrics.httpMiddleware());
+    app.use(cors({
+        origin: '*',
+        methods: ['GET', 'POST', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id']
+    }));
+    // Исходное тело запроса сохраняется для проверки подписи колбэков платёжных провайдеров
+    const keepRawBody = (req, res, buf) => {
+        req.rawBody = buf;
+    };
+    app.use(bodyParser.json({ verify: keepRawBody }));
+    app.use(bodyParser.urlencoded({ extended: false, verify: keepRawBody }));
+    app.use(restoreRequestContext());
+
+    // Схемы запросов: проверка в каждом маршруте и документ OpenAPI на /docs
+    const schemas = createApiSchemas(categoryRegistry, { maxUploadFiles: galleryService.config.upload.maxFiles });
+    const openApiDocument = buildOpenApiDocument(schemas, { baseUrl: BASE_URL, version: packageVersion });
+
+    // Статические файлы
+    app.use(BASE_URL + 'static', express.static(path.join(process.cwd(), 'static')));
+    // Уменьшенные копии фотографий: имя файла – хэш содержимого, поэтому кэшируются навсегда
+    app.use(BASE_URL + 'gallery', express.static(galleryService.cacheDir, { immutable: true, maxAge: '365d' }));
+
+    // Галерея в формате ответа: пути превращаются в абсолютные URL, extra дополняет data
+    const sendGallery = async (req, res, category, lang, extra = {}) => {
+        const gallery = await galleryService.getGallery(category.imageFolder, { lang });
+
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const toUrl = relativePath => galleryService.toUrl(BASE_URL, relativePath, origin);
+        const items = gallery.items.map(item => ({
+            ...item,
+            original: toUrl(item.original),
+            sizes: Object.fromEntries(Object.entries(item.sizes).map(([name, size]) => [
+                name,
+                { ...size, jpeg: toUrl(size.jpeg), webp: toUrl(size.webp) }
+            ]))
+        }));
+        const largest = galleryService.largestSize();
+
+        res.status(200).json({
+            status: true,
+            status_msg: 'success',
+            // Плоский список для прежних клиентов: крупные JPEG вместо оригиналов
+            images: items.map(item => item.sizes[largest].jpeg),
+            data: {
+                category: category.slug,
+                cover: gallery.cover ? items.find(item => item.id === gallery.cover.id) : null,
+                items,
+                ...extra
+            }
+        });
+    };
+
+    const categoryNotFound = res => res.status(404).json({ status: false, status_msg: 'error', message: 'Category has no images' });
+
+    // Галерея категории: фото в порядке манифеста, обложка, подписи и уменьшенные копии (JPEG и WebP)
+    app.get(BASE_URL + 'images/', validateRequest(schemas.getImages), async (req, res) => {
+        try {
+            const { category, folder, lang } = req.query;
+            const found = galleryService.resolve({ category, folder });
+            if (!found) {
+                return categoryNotFound(res);
+            }
+
+            await sendGallery(req, res, found, lang);
+        } catch (err) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'images', err);
+            res.status(500).json({ status: false, status_msg: 'error', message: 'Server error' });
+        }
+    });
+
+    // Загрузка фото администратором: multipart/form-data, файлы в поле images.
+    // Файлы принимаются в память после проверки токена; лимиты – config/gallery.json (upload)
+    const uploadLimits = galleryService.config.upload;
+    const imageUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: uploadLimits.maxSizeMB * 1024 * 1024, files: uploadLimits.maxFiles }
+    }).array('images', uploadLimits.maxFiles);
+    const receiveImages = (req, res, next) => imageUpload(req, res, error => {
+        if (!error) {
+            // multer вызывает next из событий потока – контекст запроса восстанавливается
+            return runWithRequestId(req.id, next);
+        }
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        res.status(tooLarge ? 413 : 400).json({
+            status: false,
+            status_msg: 'error',
+            message: tooLarge ? `Файл больше ${uploadLimits.maxSizeMB} МБ` : error.message
+        });
+    });
+
+    // Результат изменения галереи: ошибка сервиса или обновлённая галерея
+    const galleryChange = (name, change) => async (req, res) => {
+        try {
+            const category = galleryService.resolve({ category: req.params.category });
+            if (!category) {
+                return categoryNotFound(res);
+            }
+
+            const changeResult = await change(req, category.imageFolder);
+            if (!changeResult.result) {
+                return res.status(changeResult.reason === 'not_found' ? 404 : 400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: changeResult.message,
+                    ...(changeResult.data ? { data: changeResult.data } : {})
+                });
+            }
+
+            logMessage(LOG_TYPES.I, BASE_URL + name, `Gallery ${category.imageFolder} updated`);
+            // Для загрузки в ответ попадают списки загруженных и отклонённых файлов
+            await sendGallery(req, res, category, req.query.lang, changeResult.data);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + name, error);
+            res.status(500).json({ status: false, status_msg: 'error', message: 'Failed to update gallery' });
+        }
+    };
+
+    app.post(BASE_URL + 'images/:category/upload', requireAdmin, receiveImages, validateRequest(schemas.uploadImages), galleryChange('images/upload', (req, folder) => {
+        if (!req.files || req.files.length === 0) {
+            return { result: false, reason: 'invalid', message: 'Нет файлов в поле images' };
+        }
+        return galleryService.uploadImages(folder, req.files);
+    }));
+
+    app.post(BASE_URL + 'images/:category/order', requireAdmin, validateRequest(schemas.reorderImages), galleryChange('images/order',
+        (req, folder) => galleryService.reorderImages(folder, req.body.images)));
+
+    app.post(BASE_URL + 'images/:category/cover', requireAdmin, validateRequest(schemas.setImageCover), galleryChange('images/cover',
+        (req, folder) => galleryService.setCover(folder, req.body.image)));
+
+    app.post(BASE_URL + 'images/:category/:imageId/delete', requireAdmin, validateRequest(schemas.deleteImage), galleryChange('images/delete',
+        (req, folder) => galleryService.deleteImage(folder, req.params.imageId)));
+
+    // Получить список категорий номеров
+    app.get(BASE_URL + 'categories/', validateRequest(schemas.getCategories), async (req, res) => {
+        try {
+            const categories = categoryRegistry.getAll().map(category => ({
+                slug: category.slug,
+                field: category.field,
+                names: category.names,
+                basePrice: category.basePrice,
+                capacity: category.capacity,
+                imageFolder: category.imageFolder
+            }));
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                data: {
+                    property: categoryRegistry.property,
+                    categories
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "categories", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to fetch categories"
+            });
+        }
+    });
+
+    // Входящие события Bitrix24 (исходящий вебхук): сброс кэша изменённых сделок
+    app.post(BASE_URL + 'bitrix/events', validateRequest(schemas.bitrixEvents), async (req, res) => {
+        try {
+            // urlencoded без extended: вложенные ключи приходят плоскими строками
+            const event = String(req.body.event || '').toUpperCase();
+            const dealId = req.body['data[FIELDS][ID]'] || req.body.data?.FIELDS?.ID;
+            const token = req.body['auth[application_token]'] || req.body.auth?.application_token;
+
+            // Без настроенного токена приложения события не принимаются: иначе кэш мог бы сбрасывать кто угодно
+            if (!process.env.BX_EVENT_TOKEN) {
+                return res.status(403).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Bitrix events are not configured (BX_EVENT_TOKEN)"
+                });
+            }
+
+            if (token !== process.env.BX_EVENT_TOKEN) {
+                return res.status(403).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Invalid application token"
+                });
+            }
+
+            if (!['ONCRMDEALADD', 'ONCRMDEALUPDATE', 'ONCRMDEALDELETE'].includes(event) || !dealId) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Unsupported event"
+                });
+            }
+
+            // Прежние даты/категория сделки – из закэшированных наборов
+            bitrixClient.invalidateDeal(dealId);
+
+            // Новые даты/категория – из самой сделки (удалённую уже не получить)
+            if (event !== 'ONCRMDEALDELETE') {
+                const booking = await bitrixClient.getBooking(dealId);
+                if (booking && booking.checkIn && booking.checkOut) {
+                    bitrixClient.invalidateDeals(booking.roomType, booking.checkIn, booking.checkOut);
+                }
+            }
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success"
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "bitrix/events", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to process event"
+            });
+        }
+    });
+
+    // Ссылки на ICS-фиды всех категорий и номеров (для администратора)
+    app.get(BASE_URL + 'calendar/feeds', requireAdmin, validateRequest(schemas.getCalendarFeeds), async (req, res) => {
+        try {
+            const baseUrl = `${req.protocol}://${req.get('host')}${BASE_URL}`;
+            const feeds = await calendarService.getFeedLinks(baseUrl);
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                data: feeds
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "calendar/feeds", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to build calendar feed links"
+            });
+        }
+    });
+
+    // ICS-фид категории или отдельного номера по ссылке с токеном
+    const sendCalendarFeed = async (req, res) => {
+        try {
+            const { roomId = null } = req.params;
+            const category = categoryRegistry.resolve(req.params.category);
+            if (!category) {
+                return res.status(404).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Category not found"
+                });
+            }
+
+            if (!calendarService.verifyToken(req.query.token, category.field, roomId)) {
+                return res.status(403).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Invalid calendar token"
+                });
+            }
+
+            const calendar = roomId === null
+                ? await calendarService.buildCategoryFeed(category)
+                : await calendarService.buildRoomFeed(category, roomId);
+            if (!calendar) {
+                return res.status(404).json({
+                    status: false,
+                    status_msg: "error",
+                    message: "Room not found"
+                });
+            }
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Content-Disposition', `inline; filename="${category.slug}${roomId === null ? '' : '-' + roomId}.ics"`);
+            res.status(200).send(calendar);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "calendar", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to build calendar"
+            });
+        }
+    };
+
+    app.get(BASE_URL + 'calendar/:category.ics', validateRequest(schemas.getCategoryCalendar), sendCalendarFeed);
+    app.get(BASE_URL + 'calendar/:category/:roomId.ics', validateRequest(schemas.getRoomCalendar), sendCalendarFeed);
+
+    // Инициализация системы (только для администратора)
+    app.post(BASE_URL + "init/", requireAdmin, validateRequest(schemas.init), async (req, res) => {
+        try {
+            // Формат ссылки проверен схемой: http(s)://... с / в конце
+            const bxLink = req.body.bx_link;
+
+            // Новые ключ и IV, BX_LINK шифруется ими; остальные настройки .env сохраняются
+            const secret = await encryptWithNewKey(bxLink);
+            updateEnvFile({
+                CRYPTO_KEY: secret.CRYPTO_KEY,
+                CRYPTO_IV: secret.CRYPTO_IV,
+                BX_LINK: secret.encrypted
+            });
+
+            // Клиент подхватывает новые данные без перезапуска
+            bitrixClient.refreshCredentials();
+
+            res.status(200).json({
+                "status": true,
+                "status_msg": "success",
+                "message": "Система готова работать с вашим битриксом!",
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "init", error);
+            res.status(500).json({
+                "status": false,
+                "status_msg": "error",
+                "message": "Server error"
+            });
+        }
+    });
+
+    // Получение информации о номерах
+    app.get(BASE_URL + "rooms/", validateRequest(schemas.getRooms), async (req, res) => {
+        try {
+            const { year, month, category } = req.query;
+
+            const roomsInfo = await roomService.getRoomsInfo(year, month, category);
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                data: roomsInfo
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "rooms", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to fetch rooms information"
+            });
+        }
+    });
+
+    // Проверка доступности номера
+    app.post(BASE_URL + "rooms/check-availability", validateRequest(schemas.checkAvailability), async (req, res) => {
+        try {
+            const { roomId = null, roomType, checkIn, checkOut } = req.body;
+
+            // Ограничения продажи (минимальный срок, закрытые даты) проверяются до занятости номеров
+            const rules = roomService.checkStayRules(roomType, checkIn, checkOut);
+            const availability = rules.allowed
+                ? await roomService.checkAvailability(roomId, roomType, checkIn, checkOut)
+                : { available: false, roomId: null };
+
+            // Получаем занятость для дат (период может захватывать несколько месяцев)
+            const occupancy = await roomService.calculateOccupancy(roomType, checkIn, checkOut);
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                ...(rules.allowed ? {} : { message: rules.message }),
+                data: {
+                    available: availability.available,
+                    roomId: availability.roomId || null,
+                    restrictions: rules.violations, // [{ rule, type, message, dates }] – правила, запрещающие бронь
+                    occupancy // { "YYYY-MM-DD": <percent> }
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "rooms/check-availability", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to check room availability"
+            });
+        }
+    });
+
+    // Расчет стоимости проживания со скидками. С contactPhone проверяется и лимит промокода на телефон
+    app.post(BASE_URL + "rooms/quote", validateRequest(schemas.quote), async (req, res) => {
+        try {
+            const { roomType, checkIn, checkOut, promoCode = null } = req.body;
+            const contactPhone = req.body.contactPhone ? normalizePhone(req.body.contactPhone) : null;
+
+            const quote = await roomService.calculatePrice(roomType, checkIn, checkOut);
+            const priced = await promoService.apply(quote, { roomType, checkIn, checkOut, code: promoCode, phone: contactPhone });
+            if (!priced.result) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: "error",
+                    message: priced.message
+                });
+            }
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                data: priced.data
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "rooms/quote", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to calculate price"
+            });
+        }
+    });
+
+    // Поиск свободных номеров во всех категориях
+    app.post(BASE_URL + "search", validateRequest(schemas.search), async (req, res) => {
+        try {
+            const { checkIn, checkOut, guests } = req.body;
+
+            const categories = await roomService.searchAvailability(checkIn, checkOut, guests);
+
+            res.status(200).json({
+                status: true,
+                status_msg: "success",
+                data: {
+                    checkIn,
+                    checkOut,
+                    guests,
+                    categories
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + "search", error);
+            res.status(500).json({
+                status: false,
+                status_msg: "error",
+                message: "Failed to search availability"
+            });
+        }
+    });
+
+    // Создание бронирования
+    app.post(BASE_URL + 'booking/create', metrics.bookingMiddleware('single'), validateRequest(schemas.createBooking), async (req, res) => {
+        let hold = null;
+        let redemption = null;
+        let created = false;
+        try {
+            const { roomId, roomType, checkIn, checkOut, contactName, language = null, comments, promoCode = null } = req.body;
+            // Телефон уже проверен схемой, в CRM и уведомления он уходит в E.164
+            const contactPhone = normalizePhone(req.body.contactPhone);
+            const contactEmail = normalizeEmail(req.body.contactEmail);
+
+            // Гости не должны превышать вместимость категории
+            const adultsCount = req.body.adults;
+            const childrenCount = req.body.children;
+            const guestsError = roomService.validateGuests(roomType, adultsCount, childrenCount);
+            if (guestsError) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: guestsError
+                });
+            }
+
+            const rules = roomService.checkStayRules(roomType, checkIn, checkOut);
+            if (!rules.allowed) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: rules.message,
+                    data: { restrictions: rules.violations }
+                });
+            }
+
+            // Удерживаем номер на даты, чтобы параллельный запрос не забронировал его же
+            hold = await reservationLock.acquire({ roomType, roomId, checkIn, checkOut });
+            if (!hold) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Номер уже бронируется на выбранные даты, попробуйте позже'
+                });
+            }
+
+            // Проверка доступности номера в Bitrix под удержанием, минуя кэш
+            bitrixClient.invalidateDeals(roomType, checkIn, checkOut);
+            const availability = await roomService.checkAvailability(roomId, roomType, checkIn, checkOut);
+            if (!availability.available) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Номер занят на выбранные даты'
+                });
+            }
+
+            // Стоимость со скидками считается на сервере, присланный клиентом totalCost игнорируется
+            const priced = await promoService.apply(
+                await roomService.calculatePrice(roomType, checkIn, checkOut),
+                { roomType, checkIn, checkOut, code: promoCode, phone: contactPhone }
+            );
+            if (!priced.result) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: priced.message
+                });
+            }
+            const quote = priced.data;
+
+            // Использование промокода учитывается до создания сделки, чтобы параллельные брони не превысили лимит
+            if (quote.promoCode) {
+                const redeemed = await promoService.redeem(quote.promoCode, contactPhone);
+                if (!redeemed.result) {
+                    return res.status(400).json({
+                        status: false,
+                        status_msg: 'error',
+                        message: redeemed.message
+                    });
+                }
+                redemption = redeemed.data;
+            }
+
+            // Поиск существующего контакта или создание нового
+            const contactId = await bitrixClient.findOrCreateContact({ name: contactName, phone: contactPhone, email: contactEmail });
+
+            // Создание бронирования
+            const bookingResult = await bitrixClient.createBooking({
+                roomId,
+                roomType,
+                checkIn,
+                checkOut,
+                contactId,
+                comments,
+                adults: adultsCount,
+                children: childrenCount,
+                language,
+                totalCost: quote.total,
+                promoCode: quote.promoCode,
+                discount: quote.discount
+            });
+
+            if (!bookingResult.result) {
+                logMessage(LOG_TYPES.E, BASE_URL + 'booking/create', bookingResult);
+                return res.status(500).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: bookingResult.message || 'Ошибка при создании бронирования'
+                });
+            }
+
+            created = true;
+            await promoService.assignDeal(redemption, bookingResult.data);
+
+            // Предоплата: номер удерживается сделкой, пока платёж не поступит или не истечёт срок
+            const payment = await paymentService.createPayment({
+                dealId: bookingResult.data,
+                items: [{ roomType, totalCost: quote.total }]
+            });
+
+            // Подтверждение гостю и персоналу отправляется в фоне, ответ его не ждёт
+            notificationService.notify('created', {
+                bookingId: bookingResult.data,
+                roomType,
+                roomId,
+                checkIn,
+                checkOut,
+                adults: adultsCount,
+                children: childrenCount,
+                totalCost: quote.total,
+                currency: quote.currency,
+                contactId,
+                name: contactName,
+                phone: contactPhone,
+                email: contactEmail,
+                language,
+                paymentUrl: payment ? payment.paymentUrl : '',
+                // Токен для самостоятельной отмены и изменения брони гостем
+                bookingToken: bookingToken(bookingResult.data)
+            });
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                message: 'Бронирование успешно создано',
+                data: {
+                    bookingId: bookingResult.data,
+                    contactId: contactId,
+                    totalCost: quote.total,
+                    discount: quote.discount,
+                    discounts: quote.discounts,
+                    promoCode: quote.promoCode,
+                    bookingToken: bookingToken(bookingResult.data),
+                    payment
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'booking/create', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to create booking'
+            });
+        } finally {
+            await reservationLock.release(hold);
+            // Сделка не создана – использование промокода возвращается
+            if (!created) {
+                await promoService.release(redemption);
+            }
+        }
+    });
+
+    // Групповая бронь нескольких номеров на один контакт.
+    // rooms: [{ roomType, roomId?, checkIn, checkOut, adults?, children? }], без roomId номер подбирается автоматически.
+    app.post(BASE_URL + 'booking/group', metrics.bookingMiddleware('group'), validateRequest(schemas.createGroupBooking), async (req, res) => {
+        try {
+            const { contactName, language, comments, rooms } = req.body;
+            const contactPhone = normalizePhone(req.body.contactPhone);
+            const contactEmail = normalizeEmail(req.body.contactEmail);
+
+            const groupResult = await groupBookingService.createGroup({ contactName, contactPhone, contactEmail, language, comments, rooms });
+            if (!groupResult.result) {
+                return res.status(groupResult.reason === 'conflict' ? 409 : 400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: groupResult.message
+                });
+            }
+
+            // Одна предоплата на всю группу – записывается на родительскую сделку
+            const payment = await paymentService.createPayment({
+                dealId: groupResult.data.groupId,
+                relatedDealIds: groupResult.data.bookings.map(item => item.bookingId),
+                items: groupResult.data.bookings
+            });
+
+            // Токены выдаются на сделки номеров: у родительской сделки нет номера, её отмена номера не освобождает.
+            // Гость отменяет или меняет каждый номер группы отдельно
+            const bookings = groupResult.data.bookings.map(item => ({ ...item, bookingToken: bookingToken(item.bookingId) }));
+            notificationService.notify('created', {
+                bookingId: groupResult.data.groupId,
+                roomType: bookings.map(item => item.roomType),
+                checkIn: bookings.map(item => item.checkIn).sort()[0],
+                checkOut: bookings.map(item => item.checkOut).sort().at(-1),
+                adults: bookings.reduce((sum, item) => sum + item.adults, 0),
+                children: bookings.reduce((sum, item) => sum + item.children, 0),
+                totalCost: groupResult.data.totalCost,
+                contactId: groupResult.data.contactId,
+                name: contactName,
+                phone: contactPhone,
+                email: contactEmail,
+                language,
+                paymentUrl: payment ? payment.paymentUrl : '',
+                bookingToken: bookings.every(item => item.bookingToken)
+                    ? bookings.map(item => `${item.bookingId} – ${item.bookingToken}`).join(', ')
+                    : null
+            });
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                message: 'Групповое бронирование успешно создано',
+                data: { ...groupResult.data, bookings, payment }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'booking/group', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to create group booking'
+            });
+        }
+    });
+
+    // Отмена бронирования (персонал или гость по токену брони)
+    app.post(BASE_URL + 'booking/:id/cancel', requireBookingAccess, validateRequest(schemas.cancelBooking), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            const booking = await bitrixClient.getBooking(id);
+            if (!booking) {
+                return res.status(404).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Бронирование не найдено'
+                });
+            }
+
+            if (booking.cancelled) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Бронирование уже отменено'
+                });
+            }
+
+            await bitrixClient.cancelBooking(id, reason);
+            await paymentService.cancelForDeal(id);
+            await promoService.releaseDeal(id);
+            notificationService.notify('cancelled', { ...booking, bookingId: id, reason });
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                message: 'Бронирование отменено',
+                data: {
+                    bookingId: id
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'booking/cancel', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to cancel booking'
+            });
+        }
+    });
+
+    // Изменение бронирования: даты и/или номер (персонал или гость по токену брони)
+    app.post(BASE_URL + 'booking/:id/modify', requireBookingAccess, validateRequest(schemas.modifyBooking), async (req, res) => {
+        let hold = null;
+        try {
+            const { id } = req.params;
+
+            const booking = await bitrixClient.getBooking(id);
+            if (!booking) {
+                return res.status(404).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Бронирование не найдено'
+                });
+            }
+
+            if (booking.cancelled) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Отменённое бронирование нельзя изменить'
+                });
+            }
+
+            // Незаданные поля остаются прежними; при смене категории номер подбирается заново
+            const roomType = req.body.roomType || booking.roomType;
+            const checkIn = req.body.checkIn || booking.checkIn;
+            const checkOut = req.body.checkOut || booking.checkOut;
+            let roomId = req.body.roomId || (roomType === booking.roomType ? booking.roomId : null);
+
+            if (!categoryRegistry.getByField(roomType)) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Unknown room type'
+                });
+            }
+
+            const checkInDate = new Date(checkIn);
+            const checkOutDate = new Date(checkOut);
+            if (isNaN(checkInDate.getTime()) || isNaN(checkOutDate.getTime()) || checkInDate >= checkOutDate) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Invalid check-in or check-out date'
+                });
+            }
+
+            // При смене категории известное число гостей должно поместиться в новую
+            if (booking.adults !== null && booking.adults !== undefined) {
+                const guestsError = roomService.validateGuests(roomType, booking.adults, booking.children || 0);
+                if (guestsError) {
+                    return res.status(400).json({
+                        status: false,
+                        status_msg: 'error',
+                        message: guestsError
+                    });
+                }
+            }
+
+            // Ограничения продажи – как при создании брони
+            const rules = roomService.checkStayRules(roomType, checkIn, checkOut);
+            if (!rules.allowed) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: rules.message,
+                    data: { restrictions: rules.violations }
+                });
+            }
+
+            // Та же проверка доступности, что и при создании; сама бронь занятостью не считается
+            const availability = await roomService.checkAvailability(roomId, roomType, checkIn, checkOut, id);
+            if (!availability.available) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Номер занят на выбранные даты'
+                });
+            }
+            roomId = availability.roomId;
+
+            hold = await reservationLock.acquire({ roomType, roomId, checkIn, checkOut });
+            if (!hold) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Номер уже бронируется на выбранные даты, попробуйте позже'
+                });
+            }
+
+            // Повторная проверка под удержанием, минуя кэш
+            bitrixClient.invalidateDeals(roomType, checkIn, checkOut);
+            const recheck = await roomService.checkAvailability(roomId, roomType, checkIn, checkOut, id);
+            if (!recheck.available) {
+                return res.status(409).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Номер занят на выбранные даты'
+                });
+            }
+
+            // Скидки пересчитываются на новые даты: правила и промокод брони на момент её создания,
+            // код уже учтён за этой бронью и повторно не списывается
+            const priced = await promoService.apply(await roomService.calculatePrice(roomType, checkIn, checkOut), {
+                roomType,
+                checkIn,
+                checkOut,
+                code: booking.promoCode,
+                now: booking.createdAt ? new Date(booking.createdAt) : new Date(),
+                redeemed: true
+            });
+            if (!priced.result) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: priced.message
+                });
+            }
+            const quote = priced.data;
+
+            await bitrixClient.updateBooking(id, {
+                roomId,
+                roomType,
+                previousRoomType: booking.roomType,
+                checkIn,
+                checkOut,
+                totalCost: quote.total,
+                discount: quote.discount,
+                comments: booking.comments
+            });
+            notificationService.notify('modified', {
+                ...booking,
+                bookingId: id,
+                roomId,
+                roomType,
+                checkIn,
+                checkOut,
+                totalCost: quote.total,
+                currency: quote.currency
+            });
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                message: 'Бронирование изменено',
+                data: {
+                    bookingId: id,
+                    roomId,
+                    roomType,
+                    checkIn,
+                    checkOut,
+                    totalCost: quote.total,
+                    discount: quote.discount,
+                    discounts: quote.discounts,
+                    promoCode: quote.promoCode
+                }
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'booking/modify', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to modify booking'
+            });
+        } finally {
+            await reservationLock.release(hold);
+        }
+    });
+
+    // Статус платежа (для страницы ожидания оплаты)
+    app.get(BASE_URL + 'payments/:id', validateRequest(schemas.getPayment), async (req, res) => {
+        try {
+            const payment = await paymentService.getPayment(req.params.id);
+            if (!payment) {
+                return res.status(404).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Платёж не найден'
+                });
+            }
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                data: payment
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'payments/:id', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to get payment'
+            });
+        }
+    });
+
+    // Уведомление платёжного провайдера о результате оплаты
+    app.post(BASE_URL + 'payments/callback/:provider', validateRequest(schemas.paymentCallback), async (req, res) => {
+        try {
+            const callbackResult = await paymentService.handleCallback(req.params.provider, {
+                headers: req.headers,
+                body: req.body,
+                rawBody: req.rawBody
+            });
+
+            if (!callbackResult.result) {
+                const statusCode = { provider: 404, not_found: 404, signature: 400 }[callbackResult.reason] || 400;
+                return res.status(statusCode).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: callbackResult.message
+                });
+            }
+
+            res.status(200).json({
+                status: true,
+                status_msg: 'success',
+                data: callbackResult.data
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'payments/callback', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to process payment notification'
+            });
+        }
+    });
+
+    // Страница оплаты тестового провайдера: ?status=failed имитирует отказ.
+    // Маршрут есть только при включённом mock-провайдере.
+    if (paymentService.provider && paymentService.provider.name === 'mock') {
+        app.get(BASE_URL + 'payments/mock/:providerPaymentId', validateRequest(schemas.mockCheckout), async (req, res) => {
+            try {
+                const payment = await paymentService.store.findByProviderPaymentId('mock', req.params.providerPaymentId);
+                if (!payment) {
+                    return res.status(404).json({
+                        status: false,
+                        status_msg: 'error',
+                        message: 'Платёж не найден'
+                    });
+                }
+
+                const body = {
+                    paymentId: payment.providerPaymentId,
+                    status: req.query.status,
+                    amount: payment.amount
+                };
+                const rawBody = Buffer.from(JSON.stringify(body));
+                const callbackResult = await paymentService.handleCallback('mock', {
+                    headers: { 'x-mock-signature': paymentService.provider.sign(rawBody) },
+                    body,
+                    rawBody
+                });
+
+                res.status(200).json({
+                    status: true,
+                    status_msg: 'success',
+                    data: callbackResult.data
+                });
+            } catch (error) {
+                logMessage(LOG_TYPES.E, BASE_URL + 'payments/mock', error);
+                res.status(500).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: 'Failed to process mock payment'
+                });
+            }
+        });
+    }
+
+    // Отчёт о загрузке и выручке за период from..to включительно (для администратора).
+    // format: json – показатели в ответе, csv – таблица view (categories или days), xlsx – обе таблицы листами книги
+    app.get(BASE_URL + 'reports/performance', requireAdmin, validateRequest(schemas.getPerformanceReport), async (req, res) => {
+        try {
+            const { from, to, format, view } = req.query;
+            const days = countNights(from, to) + 1;
+            if (days < 1 || days > MAX_REPORT_DAYS) {
+                return res.status(400).json({
+                    status: false,
+                    status_msg: 'error',
+                    message: `Период отчёта – от 1 до ${MAX_REPORT_DAYS} дней, to не раньше from`
+                });
+            }
+
+            const report = await reportService.buildReport(from, to);
+            if (format === 'json') {
+                return res.status(200).json({ status: true, status_msg: 'success', data: report });
+            }
+
+            const tables = reportService.toTables(report);
+            const fileName = `report_${from}_${to}`;
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${fileName}_${view}.csv"`);
+                return res.status(200).send(toCsv(tables[view]));
+            }
+
+            res.set('Content-Type', XLSX_CONTENT_TYPE);
+            res.set('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+            res.status(200).send(buildXlsx([
+                { name: 'Категории', rows: tables.categories },
+                { name: 'По дням', rows: tables.days }
+            ]));
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'reports/performance', error);
+            res.status(500).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Failed to build report'
+            });
+        }
+    });
+
+    // Процесс жив и обрабатывает запросы (Docker HEALTHCHECK)
+    app.get(BASE_URL + 'health', validateRequest(schemas.getHealth), (req, res) => {
+        res.status(200).json({
+            status: true,
+            status_msg: 'success',
+            data: {
+                uptime: Math.round(process.uptime())
+            }
+        });
+    });
+
+    // Готовность принимать брони: вебхук расшифровывается и Bitrix отвечает
+    app.get(BASE_URL + 'ready', validateRequest(schemas.getReady), async (req, res) => {
+        try {
+            const { ready, checks } = await healthService.checkReadiness();
+            res.status(ready ? 200 : 503).json({
+                status: ready,
+                status_msg: ready ? 'success' : 'error',
+                message: ready ? 'Ready' : 'Not ready',
+                data: checks
+            });
+        } catch (error) {
+            logMessage(LOG_TYPES.E, BASE_URL + 'ready', error);
+            res.status(503).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Not ready'
+            });
+        }
+    });
+
+    // Метрики в формате Prometheus
+    app.get(BASE_URL + 'metrics', validateRequest(schemas.getMetrics), (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(metrics.render());
+    });
+
+    // Документ OpenAPI, построенный из тех же схем, что проверяют запросы
+    app.get(BASE_URL + 'docs', validateRequest(schemas.getDocs), (req, res) => {
+        res.status(200).json(openApiDocument);
+    });
+
+    // Неизвестный маршрут API
+    app.use(BASE_URL, (req, res) => {
+        res.status(404).json({
+            status: false,
+            status_msg: 'error',
+            message: 'Not found'
+        });
+    });
+
+    // Некорректное тело запроса (невалидный JSON) – 400, прочие необработанные ошибки – 500
+    app.use((error, req, res, next) => {
+        if (res.headersSent) {
+            return next(error);
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({
+                status: false,
+                status_msg: 'error',
+                message: 'Malformed request body'
+            });
+        }
+        logMessage(LOG_TYPES.E, req.originalUrl, error, { requestId: req.id });
+        res.status(error.status && error.status < 500 ? error.status : 500).json({
+            status: false,
+            status_msg: 'error',
+            message: error.status && error.status < 500 ? error.message : 'Internal server error'
+        });
+    });
+
+    return app;
+}
@@ -0,0 +1,319 @@
+// Локальный стенд REST API Bitrix24 для разработки и тестов.
+// Запуск: npm run fake-bitrix, затем в .env приложения BX_MODE=fake
+// (адрес по умолчанию http://127.0.0.1:4672/rest/, меняется через BX_FAKE_URL).
+// Данные хранятся в памяти и берутся из dev/fixtures/bitrix.json.
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'bitrix.json');
+const DEFAULT_PORT = 4672;
+const PAGE_SIZE = 50;
+
+// Стадии воронки и их семантика: P – в работе, S – успех, F – провал
+const STAGE_SEMANTICS = { NEW: 'P', PREPAYMENT_INVOICE: 'P', EXECUTING: 'P', WON: 'S', LOSE: 'F', APOLOGY: 'F' };
+
+class BitrixApiError extends Error {
+    constructor(code, description, httpStatus = 400) {
+        super(description);
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+// Разбор параметров в стиле PHP: filter[>=UF_X]=..., select[]=ID, fields[PHONE][0][VALUE]=...
+export function parseParams(searchParams) {
+    const result = {};
+    for (const [rawKey, value] of searchParams) {
+        const match = rawKey.match(/^([^[]+)((?:\[[^\]]*\])*)$/);
+        if (!match) continue;
+
+        const keys = [match[1], ...[...match[2].matchAll(/\[([^\]]*)\]/g)].map(m => m[1])];
+        let target = result;
+        keys.forEach((key, index) => {
+            const isLast = index === keys.length - 1;
+            const nextKey = keys[index + 1];
+            if (key === '' && Array.isArray(target)) {
+                key = target.length;
+            }
+            if (isLast) {
+                target[key] = value;
+            } else {
+                if (target[key] === undefined) {
+                    target[key] = nextKey === '' || /^\d+$/.test(nextKey) ? [] : {};
+                }
+                target = target[key];
+            }
+        });
+    }
+    return result;
+}
+
+// Значение для сравнения: даты – по YYYY-MM-DD, числа – как числа
+function comparable(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+    if (str !== '' && !isNaN(Number(str))) return Number(str);
+    return str;
+}
+
+// Проверка записи по фильтру Bitrix (операторы >=, <=, >, <, !, =)
+function matchesFilter(item, filter = {}) {
+    return Object.entries(filter).every(([rawKey, expected]) => {
+        const [, operator, field] = rawKey.match(/^(>=|<=|>|<|!=|!|=)?(.+)$/);
+        const actual = item[field];
+        const expectedValues = Array.isArray(expected) ? expected : [expected];
+
+        if (field === 'PHONE' || field === 'EMAIL') {
+            const values = (actual || []).map(entry => entry.VALUE);
+            const found = expectedValues.some(value => values.includes(value));
+            return operator === '!' || operator === '!=' ? !found : found;
+        }
+
+        const a = comparable(actual);
+        const e = comparable(expectedValues[0]);
+        switch (operator) {
+            case '>=': return actual !== undefined && actual !== '' && a >= e;
+            case '<=': return actual !== undefined && actual !== '' && a <= e;
+            case '>': return actual !== undefined && actual !== '' && a > e;
+            case '<': return actual !== undefined && actual !== '' && a < e;
+            case '!':
+            case '!=': return !expectedValues.map(comparable).includes(a);
+            default: return expectedValues.map(comparable).includes(a);
+        }
+    });
+}
+
+// Выборка полей, select не задан – все поля
+function pick(item, select) {
+    const fields = Array.isArray(select) ? select : select ? Object.values(select) : [];
+    if (fields.length === 0 || fields.includes('*')) return { ...item };
+    const picked = {};
+    for (const field of fields) {
+        if (field === '*' || field === 'UF_*') continue;
+        picked[field] = item[field] !== undefined ? item[field] : null;
+    }
+    return picked;
+}
+
+// Ответ списочного метода с постраничной навигацией
+function listResponse(items, params) {
+    const start = Number(params.start) || 0;
+    const page = items.slice(start, start + PAGE_SIZE).map(item => pick(item, params.select));
+    const response = { result: page, total: items.length };
+    if (start + PAGE_SIZE < items.length) {
+        response.next = start + PAGE_SIZE;
+    }
+    return response;
+}
+
+function sortById(items, order = {}) {
+    const direction = String(order.ID || 'ASC').toUpperCase() === 'DESC' ? -1 : 1;
+    return [...items].sort((a, b) => (Number(a.ID) - Number(b.ID)) * direction);
+}
+
+function applyStage(deal) {
+    deal.STAGE_ID = deal.STAGE_ID || 'NEW';
+    deal.STAGE_SEMANTIC_ID = STAGE_SEMANTICS[deal.STAGE_ID] || 'P';
+    return deal;
+}
+
+export function createFakeBitrix(fixtures = JSON.parse(fs.readFileSync(DEFAULT_FIXTURES, 'utf8'))) {
+    const state = {
+        userFields: structuredClone(fixtures.userFields || {}),
+        deals: structuredClone(fixtures.deals || []).map(applyStage),
+        contacts: structuredClone(fixtures.contacts || []),
+        comments: [],
+        calls: []
+    };
+    let nextDealId = Math.max(0, ...state.deals.map(deal => Number(deal.ID))) + 1;
+    let nextContactId = Math.max(0, ...state.contacts.map(contact => Number(contact.ID))) + 1;
+
+    const findDeal = (id) => {
+        const deal = state.deals.find(item => String(item.ID) === String(id));
+        if (!deal) throw new BitrixApiError('NOT_FOUND', 'Not found');
+        return deal;
+    };
+
+    const methods = {
+        'crm.deal.fields': () => {
+            const result = {
+                ID: { type: 'integer', title: 'ID' },
+                TITLE: { type: 'string', title: 'Название' },
+                STAGE_ID: { type: 'crm_status', title: 'Стадия сделки' },
+                CONTACT_ID: { type: 'crm_contact', title: 'Контакт' },
+                OPPORTUNITY: { type: 'double', title: 'Сумма' },
+                COMMENTS: { type: 'string', title: 'Комментарий' }
+            };
+            for (const [code, field] of Object.entries(state.userFields)) {
+                result[code] = {
+                    type: field.type,
+                    title: code,
+                    listLabel: field.title,
+                    formLabel: field.title,
+                    filterLabel: field.title
+                };
+            }
+            return { result };
+        },
+
+        'crm.deal.userfield.list': (params) => {
+            const name = params.filter && params.filter.FIELD_NAME;
+            const result = Object.entries(state.userFields)
+                .filter(([code]) => !name || code === name)
+                .map(([code, field], index) => ({
+                    ID: String(index + 1),
+                    ENTITY_ID: 'CRM_DEAL',
+                    FIELD_NAME: code,
+                    USER_TYPE_ID: field.type,
+                    ...(field.list ? { LIST: field.list } : {})
+                }));
+            return { result, total: result.length };
+        },
+
+        'crm.deal.list': (params) => {
+            const items = sortById(state.deals.filter(deal => matchesFilter(deal, params.filter)), params.order);
+            return listResponse(items, params);
+        },
+
+        'crm.deal.get': (params) => ({ result: { ...findDeal(params.id) } }),
+
+        'crm.deal.add': (params) => {
+            const deal = applyStage({ ...(params.fields || {}), ID: String(nextDealId++), DATE_CREATE: new Date().toISOString() });
+            state.deals.push(deal);
+            return { result: Number(deal.ID) };
+        },
+
+        'crm.deal.update': (params) => {
+            const deal = findDeal(params.id);
+            Object.assign(deal, params.fields || {});
+            applyStage(deal);
+            return { result: true };
+        },
+
+        'crm.deal.delete': (params) => {
+            findDeal(params.id);
+            state.deals = state.deals.filter(deal => String(deal.ID) !== String(params.id));
+            return { result: true };
+        },
+
+        'crm.contact.list': (params) => {
+            const items = sortById(state.contacts.filter(contact => matchesFilter(contact, params.filter)), params.order);
+            return listResponse(items, params);
+        },
+
+        'crm.contact.get': (params) => {
+            const contact = state.contacts.find(item => String(item.ID) === String(params.id));
+            if (!contact) throw new BitrixApiError('NOT_FOUND', 'Not found');
+            return { result: { ...contact } };
+        },
+
+        'crm.contact.add': (params) => {
+            const fields = params.fields || {};
+            const contact = { ...fields, ID: String(nextContactId++) };
+            for (const multiField of ['PHONE', 'EMAIL']) {
+                if (contact[multiField]) {
+                    contact[multiField] = Object.values(contact[multiField]).map((entry, index) => ({ ID: String(index + 1), ...entry }));
+                }
+            }
+            state.contacts.push(contact);
+            return { result: Number(contact.ID) };
+        },
+
+        // Как в Bitrix: записи PHONE/EMAIL без ID добавляются к существующим
+        'crm.contact.update': (params) => {
+            const contact = state.contacts.find(item => String(item.ID) === String(params.id));
+            if (!contact) throw new BitrixApiError('NOT_FOUND', 'Not found');
+            const { PHONE, EMAIL, ...fields } = params.fields || {};
+            Object.assign(contact, fields);
+            for (const [multiField, entries] of Object.entries({ PHONE, EMAIL })) {
+                if (!entries) continue;
+                const existing = contact[multiField] || [];
+                contact[multiField] = [
+                    ...existing,
+                    ...Object.values(entries).map((entry, index) => ({ ID: String(existing.length + index + 1), ...entry }))
+                ];
+            }
+            return { result: true };
+        },
+
+        'scope': () => ({ result: ['crm'] }),
+
+        'crm.timeline.comment.add': (params) => {
+            state.comments.push({ ID: String(state.comments.length + 1), ...(params.fields || {}) });
+            return { result: state.comments.length };
+        }
+    };
+
+    const call = (method, params) => {
+        const handler = methods[method];
+        if (!handler) {
+            throw new BitrixApiError('ERROR_METHOD_NOT_FOUND', `Method ${method} not found`, 404);
+        }
+        state.calls.push(method);
+        return handler(params);
+    };
+
+    // batch: каждая команда – "method?query", ответы собираются по ключам команд
+    methods.batch = (params) => {
+        const result = {};
+        const resultError = {};
+        const resultTotal = {};
+        const resultNext = {};
+
+        for (const [key, command] of Object.entries(params.cmd || {})) {
+            const [method, query = ''] = command.split('?');
+            try {
+                const response = call(method, parseParams(new URLSearchParams(query)));
+                result[key] = response.result;
+                if (response.total !== undefined) resultTotal[key] = response.total;
+                if (response.next !== undefined) resultNext[key] = response.next;
+            } catch (error) {
+                resultError[key] = { error: error.code || 'ERROR', error_description: error.message };
+                if (params.halt === '1') break;
+            }
+        }
+
+        return {
+            result: {
+                result,
+                result_error: Object.keys(resultError).length ? resultError : [],
+                result_total: resultTotal,
+                result_next: resultNext
+            }
+        };
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.all('/rest/:method', (req, res) => {
+        const method = req.params.method.replace(/\.json$/, '');
+        const url = new URL(req.originalUrl, 'http://localhost');
+        const params = { ...parseParams(url.searchParams), ...parseParams(new URLSearchParams(req.body || {})) };
+
+        try {
+            res.json(call(method, params));
+        } catch (error) {
+            res.status(error.httpStatus || 500).json({
+                error: error.code || 'INTERNAL_SERVER_ERROR',
+                error_description: error.message
+            });
+        }
+    });
+
+    return { app, state };
+}
+
+// Запуск как отдельного процесса: node dev/fakeBitrix.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.BX_FAKE_PORT) || DEFAULT_PORT;
+    const { app } = createFakeBitrix();
+    app.listen(port, () => {
+        console.log(`Fake Bitrix24 is running on http://127.0.0.1:${port}/rest/`);
+    });
+}
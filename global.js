@@ -1,5 +1,7 @@
 globalThis.LOG_TYPES = {
     'E': "error",
+    'W': "warn",
     'A': "access",
-    'I': "info"
+    'I': "info",
+    'D': "debug"
 }
\ No newline at end of file
@@ -0,0 +1,12 @@
+// Подготовка галерей: хэши и уменьшенные копии всех фото категорий (npm run gallery-build).
+// Использует config/gallery.json (или GALLERY_CONFIG); уже созданные копии не пересоздаются.
+
+import '../global.js';
+import { galleryService } from '../utils/galleryService.js';
+
+const results = await galleryService.warmUp();
+console.log(JSON.stringify(results, null, 2));
+
+if (results.some(result => result.error)) {
+    process.exit(1);
+}
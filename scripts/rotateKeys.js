@@ -0,0 +1,27 @@
+// Ротация ключа шифрования: BX_LINK перешифровывается новыми CRYPTO_KEY/CRYPTO_IV в .env.
+// Запуск: npm run rotate-keys. Работающее приложение подхватит новые значения без перезапуска.
+
+import '../global.js';
+import { reencryptText } from '../utils/crypto.js';
+import { readEnvFile, updateEnvFile, envFilePath } from '../utils/envFile.js';
+
+async function main() {
+    const env = readEnvFile();
+    if (!env.BX_LINK || !env.CRYPTO_KEY || !env.CRYPTO_IV) {
+        throw new Error(`BX_LINK, CRYPTO_KEY and CRYPTO_IV must be set in ${envFilePath}`);
+    }
+
+    const secret = await reencryptText(env.BX_LINK, env.CRYPTO_KEY, env.CRYPTO_IV);
+    updateEnvFile({
+        CRYPTO_KEY: secret.CRYPTO_KEY,
+        CRYPTO_IV: secret.CRYPTO_IV,
+        BX_LINK: secret.encrypted
+    });
+
+    console.log(`Keys rotated, ${envFilePath} updated`);
+}
+
+main().catch(error => {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,12 @@
+// Разовый импорт внешних календарей: npm run ical-sync
+// Использует config/ical-import.json (или ICAL_IMPORT_CONFIG), фиды могут ссылаться на локальные .ics файлы.
+
+import '../global.js';
+import { icalImporter } from '../utils/icalImporter.js';
+
+const results = await icalImporter.syncAll();
+console.log(JSON.stringify(results, null, 2));
+
+if (results.some(result => result.error)) {
+    process.exit(1);
+}
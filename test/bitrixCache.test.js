@@ -0,0 +1,58 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BitrixClient } from '../utils/bitrix.js';
+
+const STANDARD = 'UF_CRM_DEAL_1750132990506';
+
+// BitrixClient с подменённым fetchDeals: каждый запрос ждёт, пока тест его не завершит
+function createClient() {
+    const client = new BitrixClient();
+    client.fetches = [];
+    client.fetchDeals = (start, end, fields) => new Promise(resolve => {
+        client.fetches.push(deals => resolve(Object.fromEntries(fields.map(field => [field, deals]))));
+    });
+    return client;
+}
+
+const deal = { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-01', UF_CRM_1749787453685: '2025-07-03' };
+
+describe('BitrixClient deals cache', () => {
+    test('serves a month from the cache after the first request', async () => {
+        const client = createClient();
+        const first = client.getDealsByMonth(2025, 7, STANDARD);
+        client.fetches[0]([deal]);
+        await first;
+
+        assert.deepEqual((await client.getDealsByMonth(2025, 7, STANDARD))[STANDARD].deals, [deal]);
+        assert.equal(client.fetches.length, 1);
+    });
+
+    test('request started before an invalidation does not refill the cache', async () => {
+        const client = createClient();
+        const stale = client.getDealsByMonth(2025, 7, STANDARD);
+        client.invalidateDeals(STANDARD, '2025-07-01', '2025-07-03');
+        client.fetches[0]([]);
+        await stale;
+
+        // Следующий запрос идёт в Bitrix и видит новую сделку
+        const fresh = client.getDealsByMonth(2025, 7, STANDARD);
+        assert.equal(client.fetches.length, 2);
+        client.fetches[1]([deal]);
+        assert.deepEqual((await fresh)[STANDARD].deals, [deal]);
+    });
+
+    test('invalidating a single deal also discards requests in flight', async () => {
+        const client = createClient();
+        const stale = client.getDealsByMonth(2025, 7, STANDARD);
+        client.invalidateDeal('1');
+        client.fetches[0]([deal]);
+        await stale;
+
+        const fresh = client.getDealsByMonth(2025, 7, STANDARD);
+        assert.equal(client.fetches.length, 2);
+        client.fetches[1]([]);
+        await fresh;
+    });
+});
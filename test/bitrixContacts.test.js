@@ -0,0 +1,99 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BitrixClient } from '../utils/bitrix.js';
+
+// BitrixClient с подменённым makeRequest: контакты в памяти, фильтр PHONE/EMAIL – как у Bitrix
+function createClient(contacts) {
+    const client = new BitrixClient();
+    client.requests = [];
+    client.makeRequest = async (method, params) => {
+        client.requests.push({ method, params });
+        if (method === 'crm.contact.list') {
+            const [field, expected] = Object.entries(params.filter)[0];
+            // Email в Bitrix сравнивается без учёта регистра
+            const comparable = value => field === 'EMAIL' ? value.toLowerCase() : value;
+            const values = (Array.isArray(expected) ? expected : [expected]).map(comparable);
+            return { result: contacts.filter(contact => (contact[field] || []).some(entry => values.includes(comparable(entry.VALUE)))) };
+        }
+        if (method === 'crm.contact.add') {
+            return { result: 900 };
+        }
+        if (method === 'crm.contact.update') {
+            return { result: true };
+        }
+        throw new Error(`Unexpected method ${method}`);
+    };
+    return client;
+}
+
+const updates = client => client.requests.filter(request => request.method === 'crm.contact.update');
+
+describe('BitrixClient.findOrCreateContact', () => {
+    test('finds a contact stored with a legacy phone format', async () => {
+        const client = createClient([
+            { ID: '5', NAME: 'Айгерим', PHONE: [{ VALUE: '8 701 123 45 67' }], EMAIL: [] }
+        ]);
+        const contactId = await client.findOrCreateContact({ name: 'Айгерим', phone: '7011234567' });
+        assert.equal(contactId, '5');
+        // Номер в E.164 дописывается к контакту, чтобы следующие поиски находили его сразу
+        assert.deepEqual(updates(client)[0].params, {
+            id: '5',
+            fields: { PHONE: [{ VALUE: '+77011234567', VALUE_TYPE: 'WORK' }] }
+        });
+    });
+
+    test('falls back to email and updates name and phone', async () => {
+        const client = createClient([
+            { ID: '6', NAME: 'Гость', PHONE: [{ VALUE: '+77770000000' }], EMAIL: [{ VALUE: 'Guest@Example.com' }] }
+        ]);
+        const contactId = await client.findOrCreateContact({ name: 'Айгерим Садыкова', phone: '+7 701 123 4567', email: 'guest@example.com' });
+        assert.equal(contactId, '6');
+        assert.deepEqual(updates(client)[0].params.fields, {
+            NAME: 'Айгерим Садыкова',
+            LAST_NAME: '',
+            PHONE: [{ VALUE: '+77011234567', VALUE_TYPE: 'WORK' }]
+        });
+    });
+
+    test('adds a new email to a returning guest', async () => {
+        const client = createClient([
+            { ID: '7', NAME: 'Айгерим', PHONE: [{ VALUE: '+77011234567' }], EMAIL: [] }
+        ]);
+        await client.findOrCreateContact({ name: 'Айгерим', phone: '87011234567', email: 'new@example.com' });
+        assert.deepEqual(updates(client)[0].params.fields, { EMAIL: [{ VALUE: 'new@example.com', VALUE_TYPE: 'WORK' }] });
+    });
+
+    test('does not update an unchanged contact', async () => {
+        const client = createClient([
+            { ID: '8', NAME: 'Айгерим', PHONE: [{ VALUE: '+77011234567' }], EMAIL: [{ VALUE: 'guest@example.com' }] }
+        ]);
+        await client.findOrCreateContact({ name: 'Айгерим', phone: '+77011234567', email: 'GUEST@example.com' });
+        assert.equal(updates(client).length, 0);
+    });
+
+    test('creates a contact with the normalized phone and email', async () => {
+        const client = createClient([]);
+        const contactId = await client.findOrCreateContact({ name: 'Новый', phone: '8 (701) 123-45-67', email: ' New@Example.com ' });
+        assert.equal(contactId, 900);
+        const add = client.requests.find(request => request.method === 'crm.contact.add');
+        assert.deepEqual(add.params.fields, {
+            NAME: 'Новый',
+            PHONE: [{ VALUE: '+77011234567', VALUE_TYPE: 'WORK' }],
+            EMAIL: [{ VALUE: 'new@example.com', VALUE_TYPE: 'WORK' }]
+        });
+    });
+
+    test('contact update failure does not block the booking', async () => {
+        const client = createClient([
+            { ID: '9', NAME: 'Гость', PHONE: [{ VALUE: '+77011234567' }], EMAIL: [] }
+        ]);
+        const makeRequest = client.makeRequest;
+        client.makeRequest = async (method, params) => {
+            if (method === 'crm.contact.update') throw new Error('Bitrix is down');
+            return makeRequest(method, params);
+        };
+        assert.equal(await client.findOrCreateContact({ name: 'Айгерим', phone: '+77011234567' }), '9');
+    });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { readEnvFile, updateEnvFile } from '../utils/envFile.js';
+
+test('updateEnvFile replaces values in place and keeps other settings', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-'));
+    const filePath = path.join(dir, '.env');
+    fs.writeFileSync(filePath, '# портал\nCRYPTO_KEY=old\nADMIN_TOKEN=secret\nBX_LINK=old-link\n');
+
+    updateEnvFile({ CRYPTO_KEY: 'new', BX_LINK: 'new-link', CRYPTO_IV: 'iv' }, filePath);
+
+    assert.equal(fs.readFileSync(filePath, 'utf8'), '# портал\nCRYPTO_KEY=new\nADMIN_TOKEN=secret\nBX_LINK=new-link\nCRYPTO_IV=iv\n');
+    assert.deepEqual(readEnvFile(filePath), { CRYPTO_KEY: 'new', ADMIN_TOKEN: 'secret', BX_LINK: 'new-link', CRYPTO_IV: 'iv' });
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('readEnvFile returns an empty object for a missing file', () => {
+    assert.deepEqual(readEnvFile(path.join(os.tmpdir(), 'missing-env-file')), {});
+});
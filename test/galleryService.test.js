@@ -0,0 +1,174 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+import { GalleryService } from '../utils/galleryService.js';
+import { createGalleryFixture } from './helpers/gallery.js';
+
+const categories = [
+    { slug: 'lux', field: 'UF_CRM_LUX', names: { ru: 'Люкс', kk: 'Люкс', en: 'Suite' }, imageFolder: 'lux' },
+    { slug: 'standard', field: 'UF_CRM_STD', names: { ru: 'Стандарт', kk: 'Стандарт', en: 'Standard' }, imageFolder: null }
+];
+const registry = {
+    getAll: () => categories,
+    resolve: key => categories.find(category => category.slug === key || category.field === key) || null
+};
+
+async function createService(images, manifest = null) {
+    const fixture = await createGalleryFixture({ lux: images });
+    if (manifest) {
+        fs.writeFileSync(path.join(fixture.imagesDir, 'lux', 'manifest.json'), JSON.stringify(manifest));
+    }
+    return { fixture, service: new GalleryService(registry, fixture.config) };
+}
+
+describe('GalleryService.getGallery', () => {
+    test('follows the manifest order, cover and captions', async () => {
+        const { service } = await createService(
+            [{ file: 'a.jpg' }, { file: 'b.jpg', color: '#aa0000' }, { file: 'c.jpg', color: '#00aa00' }],
+            {
+                cover: 'c.jpg',
+                images: [
+                    { file: 'c.jpg', caption: { ru: 'Вид из окна', en: 'Window view' }, alt: { ru: 'Окно' } },
+                    { file: 'missing.jpg' },
+                    { file: 'a.jpg' }
+                ]
+            }
+        );
+
+        const gallery = await service.getGallery('lux', { lang: 'en' });
+        assert.deepEqual(gallery.items.map(item => item.file), ['c.jpg', 'a.jpg', 'b.jpg']);
+        assert.equal(gallery.cover.file, 'c.jpg');
+        assert.equal(gallery.items[0].caption, 'Window view');
+        // Нет перевода – русский текст, нет alt – название категории
+        assert.equal(gallery.items[0].alt, 'Окно');
+        assert.equal(gallery.items[1].alt, 'Suite – 2');
+    });
+
+    test('skips files with duplicate content', async () => {
+        const { service } = await createService([{ file: 'a.jpg' }, { file: 'a(1).jpg' }, { file: 'b.jpg', color: '#aa0000' }]);
+        const gallery = await service.getGallery('lux');
+        assert.deepEqual(gallery.items.map(item => item.file), ['a(1).jpg', 'b.jpg']);
+    });
+
+    test('creates resized JPEG and WebP copies named by content hash', async () => {
+        const { fixture, service } = await createService([{ file: 'a.jpg', width: 64, height: 48 }]);
+        const [item] = (await service.getGallery('lux')).items;
+
+        assert.deepEqual([item.width, item.height], [64, 48]);
+        assert.deepEqual([item.sizes.thumb.width, item.sizes.thumb.height], [16, 12]);
+        assert.match(item.sizes.large.webp, /^gallery\/[0-9a-f]{64}-large\.webp$/);
+
+        const thumb = await sharp(path.join(fixture.config.cacheDir, path.basename(item.sizes.thumb.jpeg))).metadata();
+        assert.deepEqual([thumb.format, thumb.width, thumb.height], ['jpeg', 16, 12]);
+        const webp = await sharp(path.join(fixture.config.cacheDir, path.basename(item.sizes.large.webp))).metadata();
+        assert.deepEqual([webp.format, webp.width], ['webp', 32]);
+    });
+
+    test('skips unreadable files', async () => {
+        const { fixture, service } = await createService([{ file: 'a.jpg' }]);
+        fs.writeFileSync(path.join(fixture.imagesDir, 'lux', 'broken.jpg'), 'not an image');
+        const gallery = await service.getGallery('lux');
+        assert.deepEqual(gallery.items.map(item => item.file), ['a.jpg']);
+    });
+});
+
+describe('GalleryService folders', () => {
+    test('only folders of known categories resolve', async () => {
+        const { service } = await createService([{ file: 'a.jpg' }]);
+        assert.equal(service.resolve({ category: 'UF_CRM_LUX' }).slug, 'lux');
+        assert.equal(service.resolve({ category: 'standard' }), null);
+        assert.equal(service.resolve({ folder: '../config' }), null);
+        assert.throws(() => service.folderPath('../config'), /Unknown image folder/);
+    });
+
+    test('builds URLs from the configured public host', async () => {
+        const { fixture } = await createService([{ file: 'a.jpg' }]);
+        const service = new GalleryService(registry, { ...fixture.config, publicBaseUrl: 'https://api.example.kz/' });
+        assert.equal(service.toUrl('/base/', 'gallery/x.jpg', 'http://localhost:4671'), 'https://api.example.kz/base/gallery/x.jpg');
+        const local = new GalleryService(registry, fixture.config);
+        assert.equal(local.toUrl('/base/', 'gallery/x.jpg', 'http://localhost:4671'), 'http://localhost:4671/base/gallery/x.jpg');
+    });
+});
+
+describe('GalleryService management', () => {
+    const photo = (color, format = 'jpeg') => sharp({ create: { width: 40, height: 30, channels: 3, background: color } })
+        .toFormat(format)
+        .toBuffer();
+
+    test('uploads images without EXIF and appends them to the manifest', async () => {
+        const { fixture, service } = await createService([{ file: 'a.jpg' }]);
+        const withExif = await sharp(await photo('#ff0000'))
+            .withMetadata({ exif: { IFD0: { Copyright: 'Guest camera' } } })
+            .jpeg()
+            .toBuffer();
+        assert.ok((await sharp(withExif).metadata()).exif);
+
+        const result = await service.uploadImages('lux', [
+            { originalname: 'Фото пляжа.JPG', buffer: withExif },
+            { originalname: 'logo.png', buffer: await photo('#00ff00', 'png') }
+        ]);
+        assert.equal(result.result, true);
+        assert.deepEqual(result.data.uploaded.map(file => file.file), ['photo.jpg', 'logo.png']);
+
+        const stored = fs.readFileSync(path.join(fixture.imagesDir, 'lux', 'photo.jpg'));
+        assert.equal((await sharp(stored).metadata()).exif, undefined);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(fixture.imagesDir, 'lux', 'manifest.json'), 'utf8'));
+        assert.equal(manifest.cover, 'a.jpg');
+        assert.deepEqual(manifest.images.map(image => image.file), ['a.jpg', 'photo.jpg', 'logo.png']);
+    });
+
+    test('rejects non-images, disallowed formats and duplicates', async () => {
+        const { fixture, service } = await createService([{ file: 'a.jpg' }]);
+        const existing = fs.readFileSync(path.join(fixture.imagesDir, 'lux', 'a.jpg'));
+        const restricted = new GalleryService(registry, { ...fixture.config, upload: { ...fixture.config.upload, formats: ['jpeg'] } });
+
+        const result = await restricted.uploadImages('lux', [
+            { originalname: 'notes.jpg', buffer: Buffer.from('not an image') },
+            { originalname: 'b.webp', buffer: await photo('#0000ff', 'webp') },
+            { originalname: 'copy.jpg', buffer: existing }
+        ]);
+        assert.equal(result.result, false);
+        assert.equal(result.reason, 'invalid');
+        assert.equal(result.data.rejected.length, 3);
+        assert.match(result.data.rejected[1].message, /webp/);
+        assert.deepEqual(fs.readdirSync(path.join(fixture.imagesDir, 'lux')), ['a.jpg']);
+    });
+
+    test('reorders images and sets the cover by id', async () => {
+        const { service } = await createService([{ file: 'a.jpg' }, { file: 'b.jpg', color: '#993366' }, { file: 'c.jpg', color: '#669933' }]);
+        const ids = (await service.getGallery('lux')).items.map(item => item.id);
+
+        assert.equal((await service.reorderImages('lux', [ids[2]])).result, true);
+        assert.equal((await service.setCover('lux', ids[1])).result, true);
+        const gallery = await service.getGallery('lux');
+        assert.deepEqual(gallery.items.map(item => item.file), ['c.jpg', 'a.jpg', 'b.jpg']);
+        assert.equal(gallery.cover.file, 'b.jpg');
+
+        assert.equal((await service.reorderImages('lux', ['0000000000000000'])).reason, 'not_found');
+        assert.equal((await service.setCover('lux', '0000000000000000')).reason, 'not_found');
+    });
+
+    test('deletes an image with its duplicates and resized copies', async () => {
+        const { fixture, service } = await createService([
+            { file: 'a.jpg' },
+            { file: 'b.jpg', color: '#993366' },
+            { file: 'b(1).jpg', color: '#993366' }
+        ], { cover: 'b.jpg', images: [] });
+        const gallery = await service.getGallery('lux');
+        const removed = gallery.items.find(item => item.file !== 'a.jpg');
+        const hash = path.basename(removed.sizes.thumb.jpeg).split('-')[0];
+        const derivatives = () => fs.readdirSync(service.cacheDir).filter(file => file.startsWith(hash));
+        assert.equal(derivatives().length, 4);
+
+        assert.equal((await service.deleteImage('lux', removed.id)).result, true);
+        assert.deepEqual(fs.readdirSync(path.join(fixture.imagesDir, 'lux')).sort(), ['a.jpg', 'manifest.json']);
+        assert.equal((await service.getGallery('lux')).cover.file, 'a.jpg');
+        assert.equal(derivatives().length, 0);
+        assert.equal((await service.deleteImage('lux', removed.id)).reason, 'not_found');
+    });
+});
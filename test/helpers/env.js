@@ -0,0 +1,14 @@
+// Окружение для тестов: BitrixClient по умолчанию не требует ключей и не ходит в сеть.
+// Переменные задаются синхронно, без await: модули с синглтонами (logger, уведомления) читают их при импорте,
+// и соседние импорты тестового файла вычисляются только после этого модуля
+import path from 'path';
+import os from 'os';
+import '../../global.js';
+
+process.env.BX_MODE = 'fake';
+process.env.BX_FAKE_URL = 'http://127.0.0.1:9/rest/';
+// Файловые уведомления – во временный каталог, а не в logs/outbox
+process.env.NOTIFICATIONS_OUTBOX = path.join(os.tmpdir(), 'dias-gulfstream-test-outbox');
+// Журнал – во временный каталог и без вывода в консоль
+process.env.LOG_DIR = path.join(os.tmpdir(), 'dias-gulfstream-test-logs');
+process.env.LOG_CONSOLE = 'false';
@@ -0,0 +1,229 @@
+// Фейковый bitrixClient для RoomService и маршрутов: данные в памяти, вызовы записываются в calls.
+// rooms – { [field]: { [roomId]: название } }, deals – сделки в формате crm.deal.list.
+export class FakeBitrixClient {
+    constructor({ rooms = {}, deals = [], contacts = [] } = {}) {
+        this.rooms = rooms;
+        this.deals = deals;
+        this.contacts = contacts;
+        this.calls = [];
+        this.nextId = 1000;
+    }
+
+    async getRoomCategories() {
+        this.calls.push('getRoomCategories');
+        return { result: Object.keys(this.rooms).map(field => ({ NAME: field, FIELD: field })) };
+    }
+
+    async getRoomsFromFields(categoryField) {
+        this.calls.push('getRoomsFromFields');
+        if (!this.rooms[categoryField]) {
+            throw new Error(`Field ${categoryField} not found in deal fields`);
+        }
+        return this.rooms[categoryField];
+    }
+
+    async getDealsByRange(startDate, endDate, categoryField = null) {
+        this.calls.push('getDealsByRange');
+        const fields = categoryField ? [categoryField] : Object.keys(this.rooms);
+        const result = {};
+        for (const field of fields) {
+            // Как и Bitrix: заезд не позже конца периода, выезд не раньше начала, без отменённых.
+            // Сделки без дат возвращаются как есть – RoomService должен их пропускать.
+            const deals = this.deals.filter(deal => {
+                if (deal.STAGE_SEMANTIC_ID === 'F') return false;
+                if (!deal.UF_CRM_1749509439624 || !deal.UF_CRM_1749787453685) return true;
+                return deal.UF_CRM_1749509439624.slice(0, 10) <= endDate.slice(0, 10) &&
+                    deal.UF_CRM_1749787453685.slice(0, 10) >= startDate.slice(0, 10);
+            });
+            result[field] = categoryField ? { deals } : { rooms: {}, deals };
+        }
+        return result;
+    }
+
+    async makeRequest(method, params = {}) {
+        this.calls.push(method);
+        if (method === 'crm.contact.list') {
+            return { result: this.contacts.filter(contact => contact.PHONE === params.filter.PHONE) };
+        }
+        if (method === 'crm.contact.add') {
+            const contact = {
+                ID: String(this.nextId++),
+                NAME: params.fields.NAME,
+                PHONE: params.fields.PHONE[0].VALUE,
+                EMAIL: params.fields.EMAIL ? params.fields.EMAIL[0].VALUE : ''
+            };
+            this.contacts.push(contact);
+            return { result: contact.ID };
+        }
+        if (method === 'scope') {
+            return { result: ['crm'] };
+        }
+        throw new Error(`Unexpected method ${method}`);
+    }
+
+    async getWebhookUrl() {
+        return 'http://fake.bitrix24.kz/rest/1/token/';
+    }
+
+    async findOrCreateContact({ name, phone }) {
+        const contacts = await this.makeRequest('crm.contact.list', { filter: { PHONE: phone } });
+        if (contacts.result.length > 0) {
+            return contacts.result[0].ID;
+        }
+        const created = await this.makeRequest('crm.contact.add', { fields: { NAME: name, PHONE: [{ VALUE: phone }] } });
+        return created.result;
+    }
+
+    async getContact(contactId) {
+        this.calls.push('getContact');
+        const contact = this.contacts.find(item => item.ID === String(contactId));
+        if (!contact) return { result: null };
+        return {
+            result: {
+                NAME: contact.NAME,
+                PHONE: [{ VALUE: contact.PHONE }],
+                EMAIL: contact.EMAIL ? [{ VALUE: contact.EMAIL }] : []
+            }
+        };
+    }
+
+    async createBooking({ roomId, roomType, checkIn, checkOut, contactId, totalCost, adults, children, parentDealId, language, promoCode, discount }) {
+        this.calls.push('createBooking');
+        const deal = {
+            ID: String(this.nextId++),
+            UF_CRM_1749509439624: checkIn,
+            UF_CRM_1749787453685: checkOut,
+            [roomType]: String(roomId),
+            CONTACT_ID: contactId,
+            OPPORTUNITY: totalCost,
+            adults,
+            children,
+            parentDealId,
+            language,
+            promoCode,
+            discount,
+            DATE_CREATE: new Date().toISOString()
+        };
+        this.deals.push(deal);
+        return { result: true, data: deal.ID };
+    }
+
+    // Родительская сделка группы – без дат и номера
+    async createGroupDeal({ contactId, totalCost, rooms }) {
+        this.calls.push('createGroupDeal');
+        const deal = {
+            ID: String(this.nextId++),
+            CONTACT_ID: contactId,
+            OPPORTUNITY: totalCost,
+            roomsCount: rooms.length
+        };
+        this.deals.push(deal);
+        return { result: true, data: deal.ID };
+    }
+
+    async getBooking(dealId) {
+        this.calls.push('getBooking');
+        const deal = this.deals.find(item => item.ID === String(dealId));
+        if (!deal) return null;
+        const roomType = Object.keys(this.rooms).find(field => deal[field]) || null;
+        return {
+            id: deal.ID,
+            cancelled: deal.STAGE_SEMANTIC_ID === 'F',
+            checkIn: deal.UF_CRM_1749509439624,
+            checkOut: deal.UF_CRM_1749787453685,
+            roomType,
+            roomId: roomType ? String(deal[roomType]) : null,
+            adults: deal.adults === undefined ? null : deal.adults,
+            children: deal.children === undefined ? null : deal.children,
+            contactId: deal.CONTACT_ID || null,
+            language: deal.language || null,
+            promoCode: deal.promoCode || null,
+            discount: Number(deal.discount) || 0,
+            createdAt: deal.DATE_CREATE || null,
+            comments: deal.COMMENTS || ''
+        };
+    }
+
+    async updateBooking(dealId, { roomId, roomType, previousRoomType, checkIn, checkOut, totalCost, discount }) {
+        this.calls.push('updateBooking');
+        const deal = this.deals.find(item => item.ID === String(dealId));
+        if (previousRoomType && previousRoomType !== roomType) {
+            delete deal[previousRoomType];
+        }
+        Object.assign(deal, {
+            UF_CRM_1749509439624: checkIn,
+            UF_CRM_1749787453685: checkOut,
+            [roomType]: String(roomId),
+            OPPORTUNITY: totalCost,
+            ...(discount === undefined ? {} : { discount })
+        });
+        return { result: true, data: dealId };
+    }
+
+    async cancelBooking(dealId) {
+        this.calls.push('cancelBooking');
+        const deal = this.deals.find(item => item.ID === String(dealId));
+        deal.STAGE_SEMANTIC_ID = 'F';
+        return { result: true, data: dealId };
+    }
+
+    async addDealComment(dealId, comment) {
+        this.calls.push('addDealComment');
+        const deal = this.deals.find(item => item.ID === String(dealId));
+        deal.timeline = [...(deal.timeline || []), comment];
+        return { result: true };
+    }
+
+    async recordPayment(dealId, { amount }) {
+        this.calls.push('recordPayment');
+        Object.assign(this.deals.find(item => item.ID === String(dealId)), { STAGE_ID: 'EXECUTING', paidAmount: amount });
+        return { result: true, data: dealId };
+    }
+
+    async markDealPaid(dealId) {
+        this.calls.push('markDealPaid');
+        this.deals.find(item => item.ID === String(dealId)).STAGE_ID = 'EXECUTING';
+        return dealId;
+    }
+
+    async getImportedBlocks(source, roomType, roomId) {
+        this.calls.push('getImportedBlocks');
+        return this.deals.filter(deal =>
+            deal.ORIGINATOR_ID === `ical:${source}` && deal[roomType] === String(roomId) && deal.STAGE_SEMANTIC_ID !== 'F'
+        );
+    }
+
+    async createBlock({ source, uid, roomType, roomId, checkIn, checkOut }) {
+        this.calls.push('createBlock');
+        const deal = {
+            ID: String(this.nextId++),
+            UF_CRM_1749509439624: checkIn,
+            UF_CRM_1749787453685: checkOut,
+            [roomType]: String(roomId),
+            ORIGINATOR_ID: `ical:${source}`,
+            ORIGIN_ID: uid
+        };
+        this.deals.push(deal);
+        return deal.ID;
+    }
+
+    async updateBlock(dealId, { checkIn, checkOut }) {
+        this.calls.push('updateBlock');
+        Object.assign(this.deals.find(item => item.ID === String(dealId)), {
+            UF_CRM_1749509439624: checkIn,
+            UF_CRM_1749787453685: checkOut
+        });
+        return dealId;
+    }
+
+    async deleteDeal(dealId) {
+        this.calls.push('deleteDeal');
+        this.deals = this.deals.filter(item => item.ID !== String(dealId));
+        return dealId;
+    }
+
+    invalidateDeals() {}
+
+    invalidateDeal() {}
+}
+
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Временная папка с фото категорий для GalleryService: { [folder]: [{ file, color, width, height }] }.
+// Одинаковые color и размеры дают одинаковые по содержимому файлы
+export async function createGalleryFixture(folders) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-'));
+    const imagesDir = path.join(root, 'images');
+
+    for (const [folder, images] of Object.entries(folders)) {
+        fs.mkdirSync(path.join(imagesDir, folder), { recursive: true });
+        for (const { file, color = '#336699', width = 64, height = 48 } of images) {
+            await sharp({ create: { width, height, channels: 3, background: color } })
+                .jpeg()
+                .toFile(path.join(imagesDir, folder, file));
+        }
+    }
+
+    return {
+        root,
+        imagesDir,
+        config: {
+            publicBaseUrl: '',
+            imagesDir,
+            cacheDir: path.join(root, 'cache'),
+            extensions: ['jpg', 'jpeg', 'png', 'webp'],
+            sizes: { thumb: 16, large: 32 },
+            quality: { jpeg: 80, webp: 75 },
+            upload: { maxSizeMB: 1, maxFiles: 5, formats: ['jpeg', 'png', 'webp'], quality: 90 }
+        }
+    };
+}
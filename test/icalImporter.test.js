@@ -0,0 +1,116 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { IcalImporter } from '../utils/icalImporter.js';
+import { FakeBitrixClient } from './helpers/fakeBitrixClient.js';
+
+const HOUSE_1 = 'UF_CRM_1750506555';
+const TODAY = '2025-07-01';
+const feed = { source: 'airbnb', category: 'house_1', roomId: '1', file: 'test/fixtures/airbnb.ics' };
+
+function createImporter(deals = []) {
+    const client = new FakeBitrixClient({ rooms: { [HOUSE_1]: { '1': 'Домик 1' } }, deals });
+    return { client, importer: new IcalImporter(client, { feeds: [feed] }) };
+}
+
+const block = (id, uid, checkIn, checkOut) => ({
+    ID: id,
+    [HOUSE_1]: '1',
+    UF_CRM_1749509439624: checkIn,
+    UF_CRM_1749787453685: checkOut,
+    ORIGINATOR_ID: 'ical:airbnb',
+    ORIGIN_ID: uid
+});
+
+describe('IcalImporter.syncFeed', () => {
+    test('creates blocks for upcoming external events only', async () => {
+        const { client, importer } = createImporter();
+        const summary = await importer.syncFeed(feed, TODAY);
+
+        assert.deepEqual([summary.created, summary.updated, summary.removed], [2, 0, 0]);
+        assert.deepEqual(
+            client.deals.map(deal => [deal.ORIGIN_ID, deal.UF_CRM_1749509439624, deal.UF_CRM_1749787453685]),
+            [
+                ['1418fb94e984-airbnb-1@airbnb.com', '2025-07-10', '2025-07-13'],
+                ['1418fb94e984-airbnb-2@airbnb.com', '2025-07-20', '2025-07-22']
+            ]
+        );
+    });
+
+    test('second run changes nothing', async () => {
+        const { client, importer } = createImporter();
+        await importer.syncFeed(feed, TODAY);
+        const summary = await importer.syncFeed(feed, TODAY);
+
+        assert.deepEqual([summary.created, summary.updated, summary.removed], [0, 0, 0]);
+        assert.equal(client.deals.length, 2);
+    });
+
+    test('moved event updates its block', async () => {
+        const { client, importer } = createImporter([block('50', '1418fb94e984-airbnb-1@airbnb.com', '2025-07-09', '2025-07-12')]);
+        const summary = await importer.syncFeed(feed, TODAY);
+
+        assert.equal(summary.updated, 1);
+        assert.equal(client.deals.find(deal => deal.ID === '50').UF_CRM_1749509439624, '2025-07-10');
+    });
+
+    test('future block missing from the feed is removed, past one is kept', async () => {
+        const { client, importer } = createImporter([
+            block('51', 'gone-future@airbnb.com', '2025-08-01', '2025-08-03'),
+            block('52', 'gone-past@airbnb.com', '2025-06-20', '2025-06-22')
+        ]);
+        const summary = await importer.syncFeed(feed, TODAY);
+
+        assert.equal(summary.removed, 1);
+        assert.ok(!client.deals.some(deal => deal.ID === '51'));
+        assert.ok(client.deals.some(deal => deal.ID === '52'));
+    });
+
+    test('blocks from another source are left alone', async () => {
+        const other = { ...block('53', '1418fb94e984-airbnb-1@airbnb.com', '2025-07-10', '2025-07-13'), ORIGINATOR_ID: 'ical:booking' };
+        const { client, importer } = createImporter([other]);
+        await importer.syncFeed(feed, TODAY);
+
+        assert.equal(client.deals.filter(deal => deal.ORIGINATOR_ID === 'ical:airbnb').length, 2);
+        assert.ok(client.deals.includes(other));
+    });
+
+    test('unknown category is rejected', async () => {
+        const { importer } = createImporter();
+        await assert.rejects(importer.syncFeed({ ...feed, category: 'villa' }, TODAY), /Unknown category/);
+    });
+});
+
+test('syncAll reports feed errors without stopping', async () => {
+    const client = new FakeBitrixClient({ rooms: { [HOUSE_1]: { '1': 'Домик 1' } } });
+    const importer = new IcalImporter(client, {
+        feeds: [{ ...feed, file: 'test/fixtures/missing.ics' }, feed]
+    });
+    const results = await importer.syncAll();
+
+    assert.ok(results[0].error);
+    assert.equal(results[1].source, 'airbnb');
+});
+
+test('hanging feed times out and the next sync runs', async () => {
+    // Сервер принимает запрос и не отвечает
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const client = new FakeBitrixClient({ rooms: { [HOUSE_1]: { '1': 'Домик 1' } } });
+        const importer = new IcalImporter(client, {
+            timeoutSeconds: 0.2,
+            feeds: [{ source: 'booking', category: 'house_1', roomId: '1', url: `http://127.0.0.1:${server.address().port}/feed.ics` }, feed]
+        });
+
+        const results = await importer.syncAll();
+        assert.match(results[0].error, /timeout|aborted/i);
+        assert.equal(results[1].source, 'airbnb');
+        assert.equal(importer.running, false);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,143 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// Каталог и уровень задаются конфигурацией теста, а не окружением
+delete process.env.LOG_DIR;
+delete process.env.LOG_LEVEL;
+process.env.LOG_CONSOLE = 'false';
+
+const { Logger } = await import('../utils/logger.js');
+const { runWithRequestId, assignRequestId } = await import('../utils/requestContext.js');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+});
+
+function createLogger(overrides = {}) {
+    return new Logger({ dir, fileName: 'app.log', level: 'info', ...overrides });
+}
+
+function readEntries(file = 'app.log') {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Logger.log', () => {
+    test('writes JSON lines with the request ID', async () => {
+        const logger = createLogger();
+        runWithRequestId('req-1', () => logger.log('info', 'RoomService.checkAvailability', 'checked', { roomId: '101' }));
+        logger.log('info', 'index', 'started');
+        await logger.flush();
+
+        const [first, second] = readEntries();
+        assert.equal(first.level, 'info');
+        assert.equal(first.source, 'RoomService.checkAvailability');
+        assert.equal(first.requestId, 'req-1');
+        assert.equal(first.roomId, '101');
+        assert.equal(second.requestId, undefined);
+    });
+
+    test('maps legacy types to levels and serializes errors', async () => {
+        const logger = createLogger();
+        logger.log('ERROR', 'BitrixClient.makeRequest', new Error('Bitrix API error: NOT_FOUND'));
+        logger.log('access', 'http', 'GET / 200');
+        await logger.flush();
+
+        const [error, access] = readEntries();
+        assert.equal(error.level, 'error');
+        assert.equal(error.message, 'Bitrix API error: NOT_FOUND');
+        assert.match(error.error.stack, /Error: Bitrix API error/);
+        assert.equal(access.level, 'info');
+        assert.equal(access.type, 'access');
+    });
+
+    test('drops entries below the configured level', async () => {
+        const logger = createLogger({ level: 'warn' });
+        logger.log('info', 'a', 'skipped');
+        logger.log('debug', 'b', 'skipped');
+        logger.log('warn', 'c', 'kept');
+        await logger.flush();
+        assert.deepEqual(readEntries().map(entry => entry.source), ['c']);
+    });
+});
+
+describe('Logger rotation', () => {
+    test('rotates when the file would exceed the size limit', async () => {
+        const logger = createLogger({ rotation: { maxSizeMB: 200 / 1024 / 1024 } });
+        logger.log('info', 'a', 'x'.repeat(120));
+        await logger.flush();
+        logger.log('info', 'b', 'y'.repeat(120));
+        await logger.flush();
+
+        const rotated = fs.readdirSync(dir).find(file => file !== 'app.log');
+        assert.match(rotated, /^app\.\d{4}-\d{2}-\d{2}\.1\.log$/);
+        assert.equal(readEntries(rotated)[0].source, 'a');
+        assert.equal(readEntries()[0].source, 'b');
+    });
+
+    test('rotates when the day changes', async () => {
+        const logger = createLogger();
+        logger.log('info', 'a', 'yesterday');
+        await logger.flush();
+        logger.currentDate = '2025-07-01';
+        logger.log('info', 'b', 'today');
+        await logger.flush();
+
+        assert.equal(readEntries('app.2025-07-01.1.log')[0].source, 'a');
+        assert.equal(readEntries()[0].source, 'b');
+    });
+
+    test('removes files past retention, including the legacy daily files', async () => {
+        const logger = createLogger({ retention: { days: 7, maxFiles: 2 } });
+        const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+        for (const file of ['app.2025-07-01.1.log', 'logs_2025-07-01.log']) {
+            fs.writeFileSync(path.join(dir, file), '');
+            fs.utimesSync(path.join(dir, file), old, old);
+        }
+        for (const file of ['app.2025-07-10.1.log', 'app.2025-07-10.2.log', 'app.2025-07-10.3.log']) {
+            fs.writeFileSync(path.join(dir, file), '');
+        }
+        fs.utimesSync(path.join(dir, 'app.2025-07-10.1.log'), new Date(Date.now() - 60000), new Date(Date.now() - 60000));
+
+        const removed = await logger.applyRetention();
+        assert.deepEqual(removed.sort(), ['app.2025-07-01.1.log', 'app.2025-07-10.1.log', 'logs_2025-07-01.log']);
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['app.2025-07-10.2.log', 'app.2025-07-10.3.log']);
+    });
+});
+
+describe('Logger.accessLog', () => {
+    test('logs every request with the ID shared by handler entries', async () => {
+        const logger = createLogger();
+        const app = express();
+        app.use(assignRequestId());
+        app.use(logger.accessLog());
+        app.get('/ping', async (req, res) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            logger.log('info', 'handler', 'inside');
+            res.status(201).json({ ok: true });
+        });
+
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/ping`, { headers: { 'X-Request-Id': 'abc-123' } });
+            assert.equal(response.headers.get('x-request-id'), 'abc-123');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+        await logger.flush();
+
+        const [handler, access] = readEntries();
+        assert.equal(handler.requestId, 'abc-123');
+        assert.equal(access.requestId, 'abc-123');
+        assert.equal(access.type, 'access');
+        assert.equal(access.status, 201);
+        assert.equal(access.path, '/ping');
+        assert.ok(access.durationMs >= 0);
+    });
+});
@@ -0,0 +1,50 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetricsRegistry, Counter, Histogram } from '../utils/metrics.js';
+
+describe('Counter', () => {
+    test('counts per label set and escapes label values', () => {
+        const counter = new Counter('test_total', 'Test', ['method']);
+        counter.inc({ method: 'crm.deal.list' });
+        counter.inc({ method: 'crm.deal.list' });
+        counter.inc({ method: 'say "hi"' });
+        assert.equal(counter.get({ method: 'crm.deal.list' }), 2);
+        assert.deepEqual(counter.lines(), [
+            'test_total{method="crm.deal.list"} 2',
+            'test_total{method="say \\"hi\\""} 1'
+        ]);
+    });
+});
+
+describe('Histogram', () => {
+    test('fills cumulative buckets, sum and count', () => {
+        const histogram = new Histogram('test_seconds', 'Test', ['method'], [0.1, 1]);
+        histogram.observe({ method: 'scope' }, 0.05);
+        histogram.observe({ method: 'scope' }, 0.5);
+        histogram.observe({ method: 'scope' }, 3);
+        assert.deepEqual(histogram.lines(), [
+            'test_seconds_bucket{method="scope",le="0.1"} 1',
+            'test_seconds_bucket{method="scope",le="1"} 2',
+            'test_seconds_bucket{method="scope",le="+Inf"} 3',
+            'test_seconds_sum{method="scope"} 3.55',
+            'test_seconds_count{method="scope"} 3'
+        ]);
+    });
+});
+
+describe('MetricsRegistry', () => {
+    test('records Bitrix calls and renders the Prometheus text format', () => {
+        const metrics = new MetricsRegistry();
+        metrics.recordBitrixCall('crm.deal.list', 120);
+        metrics.recordBitrixCall('crm.deal.list', 80, true);
+
+        const text = metrics.render();
+        assert.match(text, /# TYPE bitrix_requests_total counter/);
+        assert.match(text, /bitrix_requests_total\{method="crm.deal.list"\} 2/);
+        assert.match(text, /bitrix_request_errors_total\{method="crm.deal.list"\} 1/);
+        assert.match(text, /bitrix_request_duration_seconds_count\{method="crm.deal.list"\} 2/);
+        assert.match(text, /process_uptime_seconds \d+/);
+        assert.ok(text.endsWith('\n'));
+    });
+});
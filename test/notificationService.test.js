@@ -0,0 +1,204 @@
+import './helpers/env.js';
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+
+import { NotificationService, FileReminderStore, renderTemplate } from '../utils/notificationService.js';
+import { SmtpTransport } from '../utils/notificationTransports.js';
+import { FakeBitrixClient } from './helpers/fakeBitrixClient.js';
+
+const STANDARD = 'UF_CRM_DEAL_1750132990506';
+
+const config = {
+    enabled: true,
+    transport: 'file',
+    defaultLanguage: 'ru',
+    staffLanguage: 'ru',
+    channels: { guest: ['email', 'sms'], staff: ['telegram'] },
+    reminder: { daysBefore: 1 }
+};
+
+let outboxDir;
+
+beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.NOTIFICATIONS_OUTBOX = outboxDir;
+});
+
+function createService(deals = []) {
+    const client = new FakeBitrixClient({
+        rooms: { [STANDARD]: { '101': '101' } },
+        deals,
+        contacts: [{ ID: '10', NAME: 'Айгерим', PHONE: '+77011234567', EMAIL: 'guest@example.com' }]
+    });
+    return { client, service: new NotificationService(client, config) };
+}
+
+// Сообщения из outbox: { channel, to, subject, text }
+function readOutbox() {
+    return fs.readdirSync(outboxDir).map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')));
+}
+
+const booking = {
+    bookingId: '500',
+    roomType: STANDARD,
+    roomId: '101',
+    checkIn: '2025-07-07',
+    checkOut: '2025-07-09',
+    adults: 2,
+    children: 0,
+    totalCost: 60000,
+    contactId: '10'
+};
+
+describe('renderTemplate', () => {
+    test('substitutes variables and drops lines with empty ones', () => {
+        const text = renderTemplate('Бронь №{{bookingId}}\nПричина: {{reason}}', { bookingId: 7, reason: '' });
+        assert.equal(text, 'Бронь №7');
+    });
+});
+
+describe('NotificationService.notify', () => {
+    test('sends the guest email and SMS and a staff message', async () => {
+        const { service } = createService();
+        const result = await service.notify('created', booking);
+        assert.equal(result.sent, 3);
+
+        const messages = readOutbox();
+        const email = messages.find(message => message.channel === 'email');
+        assert.equal(email.to, 'guest@example.com');
+        assert.match(email.subject, /№500/);
+        assert.match(email.text, /Айгерим/);
+        assert.match(email.text, /2025-07-07 – 2025-07-09 \(2 ноч\.\)/);
+        assert.equal(messages.find(message => message.channel === 'sms').to, '+77011234567');
+        assert.match(messages.find(message => message.channel === 'telegram').text, /Новая бронь №500/);
+    });
+
+    test('uses the guest language', async () => {
+        const { service } = createService();
+        await service.notify('cancelled', { ...booking, language: 'kk', reason: 'жоспар өзгерді' });
+        const email = readOutbox().find(message => message.channel === 'email');
+        assert.match(email.text, /брондауыңыз жойылды/);
+        assert.match(email.text, /Себебі: жоспар өзгерді/);
+    });
+
+    test('transport failure does not throw', async () => {
+        const { service } = createService();
+        service.setTransport('email', { send: async () => { throw new Error('SMTP is down'); } });
+        const result = await service.notify('modified', booking);
+        assert.equal(result.sent, 2);
+    });
+
+    test('disabled notifications send nothing', async () => {
+        const { client } = createService();
+        const service = new NotificationService(client, { ...config, enabled: false });
+        assert.equal((await service.notify('created', booking)).sent, 0);
+        assert.equal(readOutbox().length, 0);
+    });
+});
+
+describe('NotificationService.sendReminders', () => {
+    test('reminds guests checking in tomorrow once', async () => {
+        const { service } = createService([
+            { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-02', UF_CRM_1749787453685: '2025-07-04', CONTACT_ID: '10' },
+            { ID: '2', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-05', UF_CRM_1749787453685: '2025-07-06', CONTACT_ID: '10' }
+        ]);
+
+        assert.equal(await service.sendReminders('2025-07-01'), 2);
+        assert.equal(await service.sendReminders('2025-07-01'), 0);
+        assert.ok(readOutbox().every(message => /2025-07-02/.test(message.text)));
+    });
+
+    test('reminders sent before a restart are not repeated', async () => {
+        const remindersFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-')), 'reminders.json');
+        const { client, service } = createService([
+            { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-02', UF_CRM_1749787453685: '2025-07-04', CONTACT_ID: '10' }
+        ]);
+        const reminded = new NotificationService(client, { ...config, remindersFile });
+        assert.ok(reminded.reminded instanceof FileReminderStore);
+        assert.equal(await reminded.sendReminders('2025-07-01'), 2);
+
+        // Новый экземпляр сервиса – как после перезапуска
+        const restarted = new NotificationService(client, { ...config, remindersFile });
+        assert.equal(await restarted.sendReminders('2025-07-01'), 0);
+        assert.equal(await service.sendReminders('2025-07-01'), 2);
+    });
+
+    test('failed reminder is retried on the next run', async () => {
+        const { client, service } = createService([
+            { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-02', UF_CRM_1749787453685: '2025-07-04', CONTACT_ID: '10' }
+        ]);
+        const getBooking = client.getBooking.bind(client);
+        client.getBooking = async () => { throw new Error('Bitrix is down'); };
+        assert.equal(await service.sendReminders('2025-07-01'), 0);
+
+        client.getBooking = getBooking;
+        const failing = { send: async () => { throw new Error('SMTP is down'); } };
+        service.setTransport('email', failing);
+        service.setTransport('sms', failing);
+        assert.equal(await service.sendReminders('2025-07-01'), 0);
+
+        service.setTransport('email', undefined);
+        service.setTransport('sms', undefined);
+        assert.equal(await service.sendReminders('2025-07-01'), 2);
+        assert.equal(await service.sendReminders('2025-07-01'), 0);
+    });
+});
+
+describe('SmtpTransport', () => {
+    test('delivers a message through an SMTP dialogue', async () => {
+        const received = [];
+        const server = net.createServer(socket => {
+            let data = '';
+            let inData = false;
+            socket.write('220 test ESMTP\r\n');
+            socket.on('data', chunk => {
+                data += chunk.toString('utf8');
+                let index;
+                while ((index = data.indexOf('\r\n')) !== -1) {
+                    const line = data.slice(0, index);
+                    data = data.slice(index + 2);
+                    if (inData) {
+                        if (line === '.') {
+                            inData = false;
+                            socket.write('250 queued\r\n');
+                        } else {
+                            received.push(line);
+                        }
+                        continue;
+                    }
+                    received.push(line);
+                    if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH LOGIN\r\n');
+                    else if (line === 'AUTH LOGIN') socket.write('334 VXNlcm5hbWU6\r\n');
+                    else if (received.at(-2) === 'AUTH LOGIN') socket.write('334 UGFzc3dvcmQ6\r\n');
+                    else if (received.at(-3) === 'AUTH LOGIN') socket.write('235 ok\r\n');
+                    else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+                    else if (line === 'QUIT') { socket.end('221 bye\r\n'); }
+                    else socket.write('250 ok\r\n');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const transport = new SmtpTransport({
+                host: '127.0.0.1',
+                port: server.address().port,
+                user: 'bot',
+                password: 'secret',
+                from: 'Dias Gulfstream <booking@example.com>'
+            });
+            await transport.send({ to: 'guest@example.com', subject: 'Бронь', text: 'Здравствуйте!' });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        assert.ok(received.includes('MAIL FROM:<booking@example.com>'));
+        assert.ok(received.includes('RCPT TO:<guest@example.com>'));
+        assert.ok(received.includes(Buffer.from('Здравствуйте!').toString('base64')));
+        assert.ok(received.includes(`Subject: =?UTF-8?B?${Buffer.from('Бронь').toString('base64')}?=`));
+    });
+});
@@ -0,0 +1,197 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { PaymentService, FilePaymentStore } from '../utils/paymentService.js';
+import { PromoService, MemoryPromoUsageStore } from '../utils/promoService.js';
+import { categoryRegistry } from '../utils/categories.js';
+import { FakeBitrixClient } from './helpers/fakeBitrixClient.js';
+
+const STANDARD = 'UF_CRM_DEAL_1750132990506';
+const HOUSE_3 = 'UF_CRM_1750506579';
+
+const config = {
+    enabled: true,
+    provider: 'mock',
+    currency: 'KZT',
+    holdMinutes: 30,
+    deposit: { defaultPercent: 30, categories: { house_3: 50 } }
+};
+
+function createService(overrides = {}) {
+    const client = new FakeBitrixClient({
+        rooms: { [STANDARD]: { '101': '101' } },
+        deals: [
+            { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-01', UF_CRM_1749787453685: '2025-07-03' },
+            { ID: '2', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-05', UF_CRM_1749787453685: '2025-07-07' }
+        ]
+    });
+    const promo = new PromoService(categoryRegistry, {
+        codes: [{ code: 'WELCOME10', type: 'percent', value: 10, maxUsesPerPhone: 1 }],
+        rules: []
+    }, new MemoryPromoUsageStore());
+    return { client, promo, service: new PaymentService(client, { ...config, ...overrides }, undefined, promo) };
+}
+
+// Колбэк mock-провайдера с корректной подписью
+function callback(service, payment, status = 'paid', amount = payment.amount) {
+    const body = { paymentId: `mock_${payment.paymentId}`, status, amount };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return service.handleCallback('mock', {
+        headers: { 'x-mock-signature': service.provider.sign(rawBody) },
+        body,
+        rawBody
+    });
+}
+
+describe('PaymentService.calculateDeposit', () => {
+    test('uses the category percent or the default one', () => {
+        const { service } = createService();
+        assert.equal(service.calculateDeposit([{ roomType: STANDARD, totalCost: 60000 }]), 18000);
+        assert.equal(service.calculateDeposit([{ roomType: HOUSE_3, totalCost: 100000 }]), 50000);
+        assert.equal(service.calculateDeposit([
+            { roomType: STANDARD, totalCost: 60000 },
+            { roomType: 'house_3', totalCost: 100000 }
+        ]), 68000);
+    });
+});
+
+describe('PaymentService.createPayment', () => {
+    test('disabled payments create nothing', async () => {
+        const { service } = createService({ enabled: false });
+        assert.equal(await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] }), null);
+    });
+
+    test('returns a pending payment with a checkout url', async () => {
+        const { service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        assert.equal(payment.status, 'pending');
+        assert.equal(payment.amount, 18000);
+        assert.match(payment.paymentUrl, /payments\/mock\/mock_/);
+    });
+
+    test('provider failure cancels the booking', async () => {
+        const { client, service } = createService();
+        service.provider.createPayment = async () => { throw new Error('Provider is down'); };
+        await assert.rejects(service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] }));
+        assert.equal(client.deals[0].STAGE_SEMANTIC_ID, 'F');
+    });
+});
+
+describe('PaymentService.handleCallback', () => {
+    test('confirmed payment moves the deal stage and records the amount once', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', relatedDealIds: ['2'], items: [{ roomType: STANDARD, totalCost: 60000 }] });
+
+        const result = await callback(service, payment);
+        assert.equal(result.data.status, 'paid');
+        assert.equal(client.deals[0].paidAmount, 18000);
+        assert.equal(client.deals[1].STAGE_ID, 'EXECUTING');
+
+        await callback(service, payment);
+        assert.equal(client.calls.filter(call => call === 'recordPayment').length, 1);
+    });
+
+    test('invalid signature is rejected', async () => {
+        const { service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        const result = await service.handleCallback('mock', {
+            headers: { 'x-mock-signature': 'forged' },
+            body: { paymentId: `mock_${payment.paymentId}`, status: 'paid', amount: payment.amount }
+        });
+        assert.equal(result.reason, 'signature');
+    });
+
+    test('failed or short payment keeps the payment pending', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        assert.equal((await callback(service, payment, 'failed')).data.status, 'pending');
+        assert.equal((await callback(service, payment, 'paid', 100)).data.status, 'pending');
+        assert.ok(!client.calls.includes('recordPayment'));
+    });
+});
+
+describe('PaymentService.cancelForDeal', () => {
+    test('cancelled booking expires its payment and a later payment is refunded', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        let cancelled = null;
+        service.provider.cancelPayment = async providerPaymentId => { cancelled = providerPaymentId; };
+
+        await client.cancelBooking('1', 'Отменено гостем');
+        assert.equal(await service.cancelForDeal('1'), 1);
+        assert.equal((await service.getPayment(payment.paymentId)).status, 'expired');
+        assert.equal(cancelled, `mock_${payment.paymentId}`);
+
+        const result = await callback(service, payment);
+        assert.equal(result.data.status, 'paid_late');
+        assert.ok(!client.calls.includes('recordPayment'));
+        assert.equal(client.deals[0].STAGE_SEMANTIC_ID, 'F');
+    });
+
+    test('payment for a deal cancelled in Bitrix is refunded', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', relatedDealIds: ['2'], items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        await client.cancelBooking('1', 'Отменено менеджером');
+
+        assert.equal((await callback(service, payment)).data.status, 'paid_late');
+        assert.ok(!client.calls.includes('recordPayment'));
+        assert.ok(!client.calls.includes('markDealPaid'));
+    });
+});
+
+describe('PaymentService.expireOverdue', () => {
+    test('cancels unpaid bookings after the hold expires', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+
+        assert.equal(await service.expireOverdue(Date.now()), 0);
+        assert.equal(await service.expireOverdue(Date.now() + 31 * 60 * 1000), 1);
+        assert.equal(client.deals[0].STAGE_SEMANTIC_ID, 'F');
+        assert.equal((await service.getPayment(payment.paymentId)).status, 'expired');
+    });
+
+    test('expired booking returns its promo code use', async () => {
+        const { promo, service } = createService();
+        const { data: redemptionId } = await promo.redeem('WELCOME10', '+77011234567');
+        await promo.assignDeal(redemptionId, '1');
+        await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+
+        await service.expireOverdue(Date.now() + 31 * 60 * 1000);
+        assert.equal(await promo.store.count('WELCOME10', '+77011234567'), 0);
+    });
+
+    test('payment after expiry is flagged for a refund', async () => {
+        const { client, service } = createService();
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        await service.expireOverdue(Date.now() + 31 * 60 * 1000);
+
+        const result = await callback(service, payment);
+        assert.equal(result.data.status, 'paid_late');
+        assert.ok(!client.calls.includes('recordPayment'));
+        assert.match(client.deals[0].timeline.at(-1), /возврат/);
+    });
+});
+
+describe('FilePaymentStore', () => {
+    test('pending payments survive a restart', async () => {
+        const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'payments-')), 'payments.json');
+        const { client, service } = createService({ storeFile });
+        assert.ok(service.store instanceof FilePaymentStore);
+        const payment = await service.createPayment({ dealId: '1', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+
+        // Новый экземпляр сервиса – как после перезапуска
+        const restarted = new PaymentService(client, { ...config, storeFile });
+        assert.equal((await callback(restarted, payment)).data.status, 'paid');
+        assert.ok(client.calls.includes('recordPayment'));
+
+        const second = await restarted.createPayment({ dealId: '2', items: [{ roomType: STANDARD, totalCost: 60000 }] });
+        const afterRestart = new PaymentService(client, { ...config, storeFile });
+        assert.equal(await afterRestart.expireOverdue(Date.now() + 31 * 60 * 1000), 1);
+        assert.equal((await afterRestart.getPayment(second.paymentId)).status, 'expired');
+        assert.equal((await afterRestart.getPayment(payment.paymentId)).status, 'paid');
+    });
+});
@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizePhone, phoneLookupVariants, normalizeEmail } from '../utils/phone.js';
+
+describe('normalizePhone', () => {
+    test('brings Kazakhstan numbers to E.164', () => {
+        for (const phone of ['+7 701 123 4567', '87011234567', '7011234567', '77011234567', '8 (701) 123-45-67']) {
+            assert.equal(normalizePhone(phone), '+77011234567', phone);
+        }
+    });
+
+    test('keeps foreign numbers with a country code', () => {
+        assert.equal(normalizePhone('+49 30 1234567'), '+49301234567');
+        assert.equal(normalizePhone('0049301234567'), '+49301234567');
+    });
+
+    test('rejects strings that are not phone numbers', () => {
+        for (const phone of ['', '12345', '+7701', 'call me', null]) {
+            assert.equal(normalizePhone(phone), null, String(phone));
+        }
+    });
+});
+
+describe('phoneLookupVariants', () => {
+    test('includes legacy spellings of the number', () => {
+        const variants = phoneLookupVariants('87011234567');
+        assert.equal(variants[0], '+77011234567');
+        assert.ok(variants.includes('87011234567'));
+        assert.ok(variants.includes('7011234567'));
+        assert.ok(variants.includes('+7 701 123 4567'));
+    });
+});
+
+describe('normalizeEmail', () => {
+    test('trims and lowercases', () => {
+        assert.equal(normalizeEmail(' Guest@Example.COM '), 'guest@example.com');
+        assert.equal(normalizeEmail(undefined), '');
+    });
+});
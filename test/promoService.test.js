@@ -0,0 +1,193 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { PromoService, MemoryPromoUsageStore, FilePromoUsageStore } from '../utils/promoService.js';
+
+const categories = [
+    { slug: 'standard', field: 'UF_CRM_STD' },
+    { slug: 'lux', field: 'UF_CRM_LUX' }
+];
+const registry = {
+    resolve: key => categories.find(category => category.slug === key || category.field === key) || null
+};
+
+const now = new Date(2025, 5, 15);
+const quote = (total = 100000) => ({ roomType: 'UF_CRM_STD', currency: 'KZT', nights: [], total });
+const stay = { roomType: 'UF_CRM_STD', checkIn: '2025-07-01', checkOut: '2025-07-03', now };
+
+const createService = (config, store = new MemoryPromoUsageStore()) =>
+    new PromoService(registry, { codes: [], rules: [], ...config }, store);
+
+describe('PromoService.apply', () => {
+    test('no code and no rules keeps the price', async () => {
+        const { data } = await createService({}).apply(quote(), stay);
+        assert.equal(data.total, 100000);
+        assert.equal(data.discount, 0);
+        assert.deepEqual(data.discounts, []);
+        assert.equal(data.promoCode, null);
+    });
+
+    test('applies percent and fixed codes case-insensitively', async () => {
+        const service = createService({
+            codes: [
+                { code: 'SUMMER10', type: 'percent', value: 10 },
+                { code: 'MINUS5000', type: 'fixed', value: 5000 },
+                { code: 'HUGE', type: 'fixed', value: 500000 }
+            ]
+        });
+
+        const percent = await service.apply(quote(), { ...stay, code: 'summer10' });
+        assert.equal(percent.data.promoCode, 'SUMMER10');
+        assert.equal(percent.data.subtotal, 100000);
+        assert.equal(percent.data.total, 90000);
+
+        assert.equal((await service.apply(quote(), { ...stay, code: 'MINUS5000' })).data.total, 95000);
+        // Фиксированная скидка не больше стоимости
+        assert.equal((await service.apply(quote(), { ...stay, code: 'HUGE' })).data.total, 0);
+    });
+
+    test('rejects unknown codes and codes outside their conditions', async () => {
+        const service = createService({
+            codes: [
+                { code: 'LATER', type: 'percent', value: 10, validFrom: '2025-07-01' },
+                { code: 'OLD', type: 'percent', value: 10, validTo: '2025-06-14' },
+                { code: 'LUXONLY', type: 'percent', value: 10, categories: ['lux'] },
+                { code: 'AUGUST', type: 'percent', value: 10, stayFrom: '2025-08-01', stayTo: '2025-08-31' },
+                { code: 'LONG', type: 'percent', value: 10, minNights: 5 }
+            ]
+        });
+        const reject = async code => service.apply(quote(), { ...stay, code });
+
+        assert.deepEqual(await reject('NOPE'), { result: false, reason: 'not_found', message: 'Промокод не найден' });
+        assert.equal((await reject('LATER')).message, 'Промокод ещё не действует');
+        assert.equal((await reject('OLD')).message, 'Срок действия промокода истёк');
+        assert.equal((await reject('LUXONLY')).message, 'Промокод не действует для этой категории');
+        assert.equal((await reject('AUGUST')).message, 'Промокод не действует на выбранные даты');
+        assert.equal((await reject('LONG')).message, 'Промокод действует при проживании от 5 ночей');
+        assert.equal((await reject('LONG')).reason, 'not_applicable');
+    });
+
+    test('applies the best matching rule, then the code to the rest', async () => {
+        const service = createService({
+            rules: [
+                { name: 'Раннее бронирование', type: 'percent', value: 10, minDaysBeforeArrival: 14 },
+                { name: 'Длительное проживание', type: 'percent', value: 15, minNights: 7 },
+                { name: 'Люкс', type: 'fixed', value: 30000, categories: ['lux'] }
+            ],
+            codes: [{ code: 'EXTRA', type: 'fixed', value: 1000 }]
+        });
+
+        const early = await service.apply(quote(), { ...stay, code: 'EXTRA' });
+        assert.deepEqual(early.data.discounts.map(item => [item.source, item.name, item.amount]), [
+            ['rule', 'Раннее бронирование', 10000],
+            ['code', 'EXTRA', 1000]
+        ]);
+        assert.equal(early.data.total, 89000);
+
+        const long = await service.apply(quote(), { ...stay, checkOut: '2025-07-10' });
+        assert.equal(long.data.discounts[0].name, 'Длительное проживание');
+
+        const lastMinute = await service.apply(quote(), { ...stay, now: new Date(2025, 5, 30) });
+        assert.equal(lastMinute.data.discount, 0);
+    });
+});
+
+describe('PromoService usage limits', () => {
+    const limited = store => createService({
+        codes: [{ code: 'ONCE', type: 'percent', value: 10, maxUses: 2, maxUsesPerPhone: 1 }]
+    }, store);
+
+    test('caps uses per phone and in total', async () => {
+        const service = limited();
+        assert.equal((await service.redeem('ONCE', '+77011234567')).result, true);
+
+        const samePhone = await service.apply(quote(), { ...stay, code: 'ONCE', phone: '+77011234567' });
+        assert.deepEqual(samePhone, { result: false, reason: 'exhausted', message: 'Промокод уже использован с этим номером телефона' });
+        assert.equal((await service.redeem('ONCE', '+77011234567')).result, false);
+
+        assert.equal((await service.redeem('ONCE', '+77019999999')).result, true);
+        assert.equal((await service.apply(quote(), { ...stay, code: 'ONCE', phone: '+77010000000' })).message, 'Лимит использования промокода исчерпан');
+    });
+
+    test('released redemption frees the limit', async () => {
+        const service = limited();
+        const { data: redemptionId } = await service.redeem('ONCE', '+77011234567');
+        await service.release(redemptionId);
+        assert.equal((await service.apply(quote(), { ...stay, code: 'ONCE', phone: '+77011234567' })).result, true);
+    });
+
+    test('redeemed code is re-applied without checking the limits', async () => {
+        const service = limited();
+        await service.redeem('ONCE', '+77011234567');
+        const repriced = await service.apply(quote(), { ...stay, code: 'ONCE', phone: '+77011234567', redeemed: true });
+        assert.equal(repriced.data.total, 90000);
+        assert.equal(await service.store.count('ONCE'), 1);
+    });
+
+    test('concurrent redemptions do not exceed the limit', async () => {
+        const service = limited();
+        const results = await Promise.all(['+77010000001', '+77010000002', '+77010000003'].map(phone => service.redeem('ONCE', phone)));
+        assert.equal(results.filter(result => result.result).length, 2);
+    });
+
+    test('file store keeps uses between restarts', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'promo-')), 'usage.json');
+        await limited(new FilePromoUsageStore(filePath)).redeem('ONCE', '+77011234567');
+
+        const restarted = limited(new FilePromoUsageStore(filePath));
+        assert.equal(await restarted.store.count('ONCE'), 1);
+        assert.equal((await restarted.redeem('ONCE', '+77011234567')).result, false);
+    });
+
+    test('file store keeps every concurrent use', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'promo-')), 'usage.json');
+        const service = limited(new FilePromoUsageStore(filePath));
+        const { data: first } = await service.redeem('ONCE', '+77010000001');
+        await Promise.all([
+            service.redeem('ONCE', '+77010000002'),
+            service.assignDeal(first, '10'),
+            service.release(first)
+        ]);
+
+        const restarted = limited(new FilePromoUsageStore(filePath));
+        assert.equal(await restarted.store.count('ONCE'), 1);
+        assert.equal(await restarted.store.count('ONCE', '+77010000002'), 1);
+    });
+});
+
+describe('PromoService config', () => {
+    test('rejects invalid codes and rules with all errors in one message', () => {
+        assert.throws(() => createService({
+            codes: [
+                { code: 'x', type: 'percent', value: 10 },
+                { code: 'DUP', type: 'percent', value: 10 },
+                { code: 'dup', type: 'percent', value: 110 },
+                { code: 'CAT', type: 'bonus', value: 1, categories: ['villa'], validTo: '31.12.2025' }
+            ],
+            rules: [{ type: 'fixed', value: 1000, maxUses: 5 }]
+        }), error => {
+            assert.match(error.message, /codes\[0\]\.code/);
+            assert.match(error.message, /codes\[2\]\.code "dup" is duplicated/);
+            assert.match(error.message, /codes\[2\]\.value/);
+            assert.match(error.message, /codes\[3\]\.type/);
+            assert.match(error.message, /unknown category "villa"/);
+            assert.match(error.message, /codes\[3\]\.validTo/);
+            assert.match(error.message, /rules\[0\]\.name is required/);
+            assert.match(error.message, /rules\[0\]: usage limits apply to codes only/);
+            return true;
+        });
+    });
+
+    test('shipped config has no discounts and the example config is valid', () => {
+        const shipped = new PromoService(undefined, null, new MemoryPromoUsageStore());
+        assert.equal(shipped.codes.size, 0);
+        assert.equal(shipped.rules.length, 0);
+
+        const example = JSON.parse(fs.readFileSync(path.join('config', 'promo.example.json'), 'utf8'));
+        assert.ok(new PromoService(undefined, example, new MemoryPromoUsageStore()).codes.size > 0);
+    });
+});
@@ -0,0 +1,113 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReportService } from '../utils/reportService.js';
+import { toCsv } from '../utils/csv.js';
+
+const categories = [
+    { slug: 'standard', field: 'UF_CRM_STD', names: { ru: 'Стандарт' } },
+    { slug: 'lux', field: 'UF_CRM_LUX', names: { ru: 'Люкс' } }
+];
+const registry = { getAll: () => categories };
+
+const deal = (ID, field, roomId, checkIn, checkOut, OPPORTUNITY, DATE_CREATE) => ({
+    ID, [field]: roomId, UF_CRM_1749509439624: checkIn, UF_CRM_1749787453685: checkOut, OPPORTUNITY, DATE_CREATE
+});
+
+// Как и Bitrix, клиент отдаёт по каждой категории все пересекающиеся сделки; отчёт берёт только сделки с номером категории
+function createService(deals) {
+    const rooms = { UF_CRM_STD: { '101': '101', '102': '102' }, UF_CRM_LUX: { '1': 'Люкс 1' } };
+    const client = {
+        getRoomsFromFields: async field => rooms[field],
+        getDealsByRange: async () => Object.fromEntries(Object.keys(rooms).map(field => [field, { rooms: {}, deals }]))
+    };
+    return new ReportService(client, registry);
+}
+
+const deals = [
+    deal('1', 'UF_CRM_STD', '101', '2025-06-29', '2025-07-02', '90000', '2025-06-01T12:00:00+03:00'),
+    deal('2', 'UF_CRM_STD', '102', '2025-07-01T00:00:00+03:00', '2025-07-03T00:00:00+03:00', '60000', '2025-06-21T09:30:00+03:00'),
+    deal('3', 'UF_CRM_LUX', '1', '2025-07-03', '2025-07-05', '140000', '2025-07-03T08:00:00+03:00'),
+    // Блокировка из календаря OTA – не продажа
+    { ...deal('5', 'UF_CRM_LUX', '1', '2025-07-01', '2025-07-03', '0', '2025-06-20T10:00:00+03:00'), ORIGINATOR_ID: 'ical:booking' },
+    // Родительская сделка группы без номера не учитывается
+    { ID: '4', OPPORTUNITY: '500000', UF_CRM_1749509439624: '2025-07-01', UF_CRM_1749787453685: '2025-07-02' }
+];
+
+describe('ReportService.buildReport', () => {
+    test('calculates occupancy, ADR, RevPAR and stay statistics by category', async () => {
+        const report = await createService(deals).buildReport('2025-07-01', '2025-07-03');
+        assert.equal(report.nights, 3);
+
+        const [standard, lux] = report.categories;
+        assert.deepEqual(standard, {
+            slug: 'standard',
+            field: 'UF_CRM_STD',
+            name: 'Стандарт',
+            rooms: 2,
+            availableRoomNights: 6,
+            soldRoomNights: 3,
+            occupancy: 0.5,
+            revenue: 90000,
+            adr: 30000,
+            revpar: 15000,
+            bookings: 1,
+            averageLeadTime: 10,
+            averageLengthOfStay: 2
+        });
+        // Выручка брони, выходящей за период, учитывается только за ночи внутри него
+        assert.equal(lux.revenue, 70000);
+        assert.equal(lux.revpar, 23333.33);
+        assert.equal(lux.averageLeadTime, 0);
+
+        assert.deepEqual(
+            { ...report.totals },
+            {
+                rooms: 3,
+                availableRoomNights: 9,
+                soldRoomNights: 4,
+                occupancy: 0.4444,
+                revenue: 160000,
+                adr: 40000,
+                revpar: 17777.78,
+                bookings: 2,
+                averageLeadTime: 5,
+                averageLengthOfStay: 2
+            }
+        );
+        assert.deepEqual(report.days, [
+            { date: '2025-07-01', soldRoomNights: 2, occupancy: 0.6667, revenue: 60000 },
+            { date: '2025-07-02', soldRoomNights: 1, occupancy: 0.3333, revenue: 30000 },
+            { date: '2025-07-03', soldRoomNights: 1, occupancy: 0.3333, revenue: 70000 }
+        ]);
+    });
+
+    test('empty period has zero metrics and no averages', async () => {
+        const report = await createService([]).buildReport('2025-08-01', '2025-08-01');
+        assert.equal(report.totals.occupancy, 0);
+        assert.equal(report.totals.adr, 0);
+        assert.equal(report.totals.averageLeadTime, null);
+    });
+});
+
+describe('ReportService.toTables', () => {
+    test('builds category and daily tables with a totals row', async () => {
+        const service = createService(deals);
+        const tables = service.toTables(await service.buildReport('2025-07-01', '2025-07-03'));
+
+        assert.equal(tables.categories.length, 4);
+        assert.equal(tables.categories[0][0], 'Категория');
+        assert.deepEqual(tables.categories[3].slice(0, 6), ['Итого', 3, 9, 4, 44.44, 160000]);
+        assert.deepEqual(tables.days[1], ['2025-07-01', 2, 66.67, 60000]);
+    });
+});
+
+describe('toCsv', () => {
+    test('quotes separators and starts with a BOM', () => {
+        assert.equal(
+            toCsv([['Категория', 'Выручка'], ['Люкс, "VIP"', 1500.5], ['Итого', null]]),
+            '\uFEFFКатегория,Выручка\r\n"Люкс, ""VIP""",1500.5\r\nИтого,\r\n'
+        );
+    });
+});
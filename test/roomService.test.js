@@ -0,0 +1,216 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RoomService } from '../utils/roomService.js';
+import { categoryRegistry } from '../utils/categories.js';
+import { PromoService, MemoryPromoUsageStore } from '../utils/promoService.js';
+import { FakeBitrixClient } from './helpers/fakeBitrixClient.js';
+
+const STANDARD = 'UF_CRM_DEAL_1750132990506'; // список номеров (enumeration)
+const HOUSE_1 = 'UF_CRM_1750506555'; // единственный номер (boolean)
+
+function deal(id, field, roomId, checkIn, checkOut) {
+    return { ID: id, [field]: roomId, UF_CRM_1749509439624: checkIn, UF_CRM_1749787453685: checkOut };
+}
+
+function createService(deals = []) {
+    const client = new FakeBitrixClient({
+        rooms: {
+            [STANDARD]: { '101': '101', '102': '102' },
+            [HOUSE_1]: { '1': 'Домик 1' }
+        },
+        deals
+    });
+    return { service: new RoomService(client), client };
+}
+
+describe('RoomService.checkAvailability', () => {
+    test('free room when there are no deals', async () => {
+        const { service } = createService();
+        assert.deepEqual(await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-03'), { available: true, roomId: '101' });
+    });
+
+    test('overlapping stay blocks the room', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-02', '2025-07-05')]);
+        assert.deepEqual(await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-03'), { available: false });
+    });
+
+    test('same-day checkout and check-in do not overlap', async () => {
+        const { service } = createService([
+            deal('1', STANDARD, '101', '2025-06-28', '2025-07-01'),
+            deal('2', STANDARD, '101', '2025-07-03', '2025-07-05')
+        ]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-03')).available, true);
+    });
+
+    test('stay enclosing an existing booking is blocked', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-02', '2025-07-03')]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-05')).available, false);
+    });
+
+    test('stay across a month boundary sees next month bookings', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-02', '2025-07-04')]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-06-28', '2025-07-03')).available, false);
+    });
+
+    test('Bitrix datetime values are compared by calendar date', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-06-28T00:00:00+03:00', '2025-07-01T00:00:00+03:00')]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-02')).available, true);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-06-30', '2025-07-02')).available, false);
+    });
+
+    test('deals without dates do not block the room', async () => {
+        const { service } = createService([
+            deal('1', STANDARD, '101', '', '2025-07-05'),
+            deal('2', STANDARD, '101', '2025-07-01', null)
+        ]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-03')).available, true);
+    });
+
+    test('numeric room id matches string ids from Bitrix', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-01', '2025-07-03')]);
+        assert.equal((await service.checkAvailability(101, STANDARD, '2025-07-01', '2025-07-03')).available, false);
+    });
+
+    test('without roomId picks the first free room of an enumeration category', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-01', '2025-07-03')]);
+        assert.deepEqual(await service.checkAvailability(null, STANDARD, '2025-07-01', '2025-07-03'), { available: true, roomId: '102' });
+    });
+
+    test('boolean category has a single room', async () => {
+        const { service } = createService([deal('1', HOUSE_1, '1', '2025-07-01', '2025-07-03')]);
+        assert.deepEqual(await service.checkAvailability(null, HOUSE_1, '2025-07-02', '2025-07-04'), { available: false });
+        assert.deepEqual(await service.checkAvailability(null, HOUSE_1, '2025-07-03', '2025-07-04'), { available: true, roomId: '1' });
+    });
+
+    test('excluded deal does not block its own room', async () => {
+        const { service } = createService([deal('7', STANDARD, '101', '2025-07-01', '2025-07-03')]);
+        assert.equal((await service.checkAvailability('101', STANDARD, '2025-07-01', '2025-07-04', '7')).available, true);
+    });
+
+    test('missing parameters are rejected', async () => {
+        const { service } = createService();
+        await assert.rejects(service.checkAvailability('101', STANDARD, '2025-07-01', null), /Missing required parameters/);
+    });
+});
+
+describe('RoomService.getOccupiedDates', () => {
+    test('returns only overlapping deals of the room', async () => {
+        const { service } = createService([
+            deal('1', STANDARD, '101', '2025-06-28', '2025-07-01'),
+            deal('2', STANDARD, '101', '2025-07-02', '2025-07-04'),
+            deal('3', STANDARD, '102', '2025-07-02', '2025-07-04'),
+            deal('4', STANDARD, '101', null, '2025-07-04')
+        ]);
+        const occupied = await service.getOccupiedDates('101', STANDARD, '2025-07-01', '2025-07-03');
+        assert.deepEqual(occupied.map(item => item.ID), ['2']);
+    });
+});
+
+describe('RoomService.getFreeRoomIds', () => {
+    test('lists rooms free for the whole stay', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-02', '2025-07-04')]);
+        assert.deepEqual(await service.getFreeRoomIds(STANDARD, '2025-07-01', '2025-07-03'), ['102']);
+        assert.deepEqual(await service.getFreeRoomIds(STANDARD, '2025-07-04', '2025-07-06'), ['101', '102']);
+    });
+});
+
+describe('RoomService.validateGuests', () => {
+    test('accepts guests within capacity', () => {
+        const { service } = createService();
+        assert.equal(service.validateGuests(STANDARD, 2, 0), null);
+        assert.equal(service.validateGuests(HOUSE_1, 2, 2), null);
+    });
+
+    test('rejects guests over capacity and invalid counts', () => {
+        const { service } = createService();
+        assert.match(service.validateGuests(STANDARD, 2, 1), /2/);
+        assert.ok(service.validateGuests(STANDARD, 0, 1));
+        assert.ok(service.validateGuests(STANDARD, 1, -1));
+        assert.ok(service.validateGuests(STANDARD, 1.5, 0));
+        assert.ok(service.validateGuests('UF_CRM_UNKNOWN', 1, 0));
+    });
+});
+
+describe('RoomService.getRoomsInfo', () => {
+    test('lists every room with its bookings', async () => {
+        const { service } = createService([deal('1', STANDARD, '102', '2025-07-30', '2025-08-02')]);
+        const info = await service.getRoomsInfo(2025, 7, STANDARD);
+        assert.deepEqual(info.rooms.map(room => [room.id, room.occupiedDates.length]), [['101', 0], ['102', 1]]);
+    });
+});
+
+describe('RoomService.calculateOccupancy', () => {
+    test('share of booked rooms per night', async () => {
+        const { service } = createService([deal('1', STANDARD, '101', '2025-07-01', '2025-07-02')]);
+        assert.deepEqual(await service.calculateOccupancy(STANDARD, '2025-07-01', '2025-07-03'), {
+            '2025-07-01': 0.5,
+            '2025-07-02': 0
+        });
+    });
+});
+
+describe('RoomService.calculatePrice', () => {
+    test('returns a nightly breakdown and total', async () => {
+        const { service } = createService();
+        // Понедельник и вторник вне сезонов и без загрузки – базовая цена
+        const quote = await service.calculatePrice(STANDARD, '2025-07-07', '2025-07-09');
+        assert.deepEqual(quote.nights.map(night => night.price), [30000, 30000]);
+        assert.equal(quote.total, 60000);
+    });
+
+    test('unknown room type is rejected', async () => {
+        const { service } = createService();
+        await assert.rejects(service.calculatePrice('UF_CRM_UNKNOWN', '2025-07-07', '2025-07-09'), /Invalid room type/);
+    });
+
+    test('check-out before check-in is rejected', async () => {
+        const { service } = createService();
+        await assert.rejects(service.calculatePrice(STANDARD, '2025-07-09', '2025-07-07'), /Check-out date must be after check-in date/);
+    });
+});
+
+describe('RoomService.searchAvailability', () => {
+    test('returns free rooms and a price for every category in one deals request', async () => {
+        const { service, client } = createService([deal('1', STANDARD, '101', '2025-07-07', '2025-07-09')]);
+        // Остальные категории конфигурации – пустые
+        for (const category of categoryRegistry.getAll()) {
+            client.rooms[category.field] = client.rooms[category.field] || {};
+        }
+
+        const results = await service.searchAvailability('2025-07-07', '2025-07-09', 3);
+        const standard = results.find(result => result.field === STANDARD);
+        const house = results.find(result => result.field === HOUSE_1);
+
+        assert.equal(results.length, categoryRegistry.getAll().length);
+        assert.deepEqual(standard.freeRoomIds, ['102']);
+        assert.equal(standard.fitsGuests, false);
+        assert.equal(standard.available, false);
+        assert.deepEqual(house.freeRoomIds, ['1']);
+        assert.equal(house.available, true);
+        assert.ok(house.totalCost > 0);
+        assert.equal(client.calls.filter(call => call === 'getDealsByRange').length, 1);
+    });
+
+    test('shows prices with the automatic discounts used in quotes', async () => {
+        const { client } = createService();
+        for (const category of categoryRegistry.getAll()) {
+            client.rooms[category.field] = client.rooms[category.field] || {};
+        }
+        const promo = new PromoService(categoryRegistry, {
+            codes: [],
+            rules: [{ name: 'Длительное проживание', type: 'percent', value: 15, minNights: 2, categories: ['standard'] }]
+        }, new MemoryPromoUsageStore());
+        const service = new RoomService(client, undefined, promo);
+
+        const results = await service.searchAvailability('2025-07-07', '2025-07-09');
+        const standard = results.find(result => result.field === STANDARD);
+        const quote = await service.calculatePrice(STANDARD, '2025-07-07', '2025-07-09');
+        assert.equal(standard.subtotal, quote.total);
+        assert.equal(standard.discount, Math.round(quote.total * 0.15));
+        assert.equal(standard.totalCost, quote.total - standard.discount);
+        assert.equal(standard.discounts[0].name, 'Длительное проживание');
+        assert.equal(results.find(result => result.field === HOUSE_1).discount, 0);
+    });
+});
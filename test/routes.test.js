@@ -0,0 +1,930 @@
+import './helpers/env.js';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+import { createApp, BASE_URL } from '../app.js';
+import { RoomService } from '../utils/roomService.js';
+import { ReservationLock } from '../utils/reservationLock.js';
+import { CalendarService } from '../utils/calendarService.js';
+import { PaymentService } from '../utils/paymentService.js';
+import { MetricsRegistry } from '../utils/metrics.js';
+import { HealthService } from '../utils/healthService.js';
+import { GalleryService } from '../utils/galleryService.js';
+import { PromoService, MemoryPromoUsageStore } from '../utils/promoService.js';
+import { ReportService } from '../utils/reportService.js';
+import { categoryRegistry } from '../utils/categories.js';
+import { bookingToken } from '../utils/adminAuth.js';
+import { FakeBitrixClient } from './helpers/fakeBitrixClient.js';
+import { createGalleryFixture } from './helpers/gallery.js';
+
+const STANDARD = 'UF_CRM_DEAL_1750132990506';
+const HOUSE_1 = 'UF_CRM_1750506555';
+
+let server;
+let baseUrl;
+let client;
+let lock;
+let notifications;
+let metrics;
+let gallery;
+let promoService;
+
+// Приложение пересоздаётся на каждый тест, чтобы данные фейка не протекали между тестами
+beforeEach(() => {
+    client = new FakeBitrixClient({
+        rooms: {
+            [STANDARD]: { '101': '101', '102': '102' },
+            [HOUSE_1]: { '1': 'Домик 1' }
+        },
+        deals: [
+            { ID: '1', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-01', UF_CRM_1749787453685: '2025-07-03' }
+        ],
+        contacts: [{ ID: '10', NAME: 'Гость', PHONE: '+77011234567' }]
+    });
+    lock = new ReservationLock();
+    // Уведомления записываются, а не отправляются
+    notifications = [];
+    const notificationService = { notify: async (event, data) => notifications.push({ event, data }) };
+    metrics = new MetricsRegistry();
+    const healthService = new HealthService(client, { cacheMs: 0 });
+    const galleryService = new GalleryService(categoryRegistry, gallery.config);
+    promoService = new PromoService(categoryRegistry, {
+        codes: [{ code: 'WELCOME10', type: 'percent', value: 10, maxUsesPerPhone: 1 }],
+        rules: []
+    }, new MemoryPromoUsageStore());
+    server.app = createApp({ bitrixClient: client, roomService: new RoomService(client, undefined, promoService), reservationLock: lock, notificationService, metrics, healthService, galleryService, promoService, reportService: new ReportService(client, categoryRegistry) });
+});
+
+before(async () => {
+    process.env.BOOKING_SECRET = 'test-booking-secret';
+    gallery = await createGalleryFixture({
+        lux: [{ file: 'a.jpg' }, { file: 'b.jpg', color: '#993366' }, { file: 'b(1).jpg', color: '#993366' }]
+    });
+
+    // Один HTTP-сервер, запросы передаются текущему приложению
+    server = { app: null };
+    server.http = (await import('http')).createServer((req, res) => server.app(req, res));
+    await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.http.address().port}${BASE_URL}`;
+});
+
+after(() => new Promise(resolve => server.http.close(resolve)));
+
+async function request(method, path, body) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Маршрут брони :id с токеном гостя
+const withBookingToken = (id, action) => `booking/${id}/${action}?token=${bookingToken(id)}`;
+
+const booking = (overrides = {}) => ({
+    roomId: '102',
+    roomType: STANDARD,
+    checkIn: '2025-07-07',
+    checkOut: '2025-07-09',
+    contactName: 'Гость',
+    contactPhone: '+77011234567',
+    ...overrides
+});
+
+describe('GET /images/', () => {
+    test('requires folder or category', async () => {
+        const { status } = await request('GET', 'images/');
+        assert.equal(status, 400);
+    });
+
+    test('only folders of known categories are allowed', async () => {
+        assert.equal((await request('GET', 'images/?folder=missing')).status, 400);
+        assert.equal((await request('GET', `images/?folder=${encodeURIComponent('../../config')}`)).status, 400);
+    });
+
+    test('category without photos is 404', async () => {
+        assert.equal((await request('GET', 'images/?category=standard')).status, 404);
+    });
+
+    test('lists deduplicated images with thumbnails', async () => {
+        const { status, body } = await request('GET', 'images/?category=lux&lang=en');
+        assert.equal(status, 200);
+        assert.equal(body.data.items.length, 2);
+        assert.equal(body.data.cover.file, 'a.jpg');
+        assert.equal(body.data.items[1].alt, 'Suite – 2');
+        assert.match(body.images[0], /^http:\/\/127\.0\.0\.1:\d+\/dias_gulfstream_back\/gallery\/[0-9a-f]{64}-large\.jpg$/);
+
+        const thumb = await fetch(body.data.items[0].sizes.thumb.webp);
+        assert.equal(thumb.status, 200);
+        assert.equal(thumb.headers.get('content-type'), 'image/webp');
+        assert.match(thumb.headers.get('cache-control'), /immutable/);
+    });
+});
+
+describe('Gallery administration', () => {
+    const admin = { Authorization: 'Bearer test-admin-token' };
+    let fixture;
+
+    before(() => { process.env.ADMIN_TOKEN = 'test-admin-token'; });
+    after(() => { delete process.env.ADMIN_TOKEN; });
+
+    // Изменения галереи делаются в отдельной папке, общая фикстура остаётся нетронутой
+    beforeEach(async () => {
+        fixture = await createGalleryFixture({ lux: [{ file: 'a.jpg' }, { file: 'b.jpg', color: '#993366' }] });
+        server.app = createApp({
+            bitrixClient: client,
+            roomService: new RoomService(client),
+            reservationLock: lock,
+            metrics,
+            galleryService: new GalleryService(categoryRegistry, fixture.config)
+        });
+    });
+
+    const upload = async (files, headers = admin) => {
+        const form = new FormData();
+        for (const [name, buffer] of files) {
+            form.append('images', new Blob([buffer], { type: 'image/jpeg' }), name);
+        }
+        const response = await fetch(baseUrl + 'images/lux/upload', { method: 'POST', headers, body: form });
+        return { status: response.status, body: await response.json() };
+    };
+    const adminRequest = async (route, body) => {
+        const response = await fetch(baseUrl + route, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...admin },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('requires the admin token', async () => {
+        const image = fs.readFileSync(path.join(fixture.imagesDir, 'lux', 'a.jpg'));
+        assert.equal((await upload([['a.jpg', image]], {})).status, 401);
+        assert.equal((await request('POST', 'images/lux/cover', { image: '0000000000000000' })).status, 401);
+    });
+
+    test('uploads photos and returns the updated gallery', async () => {
+        const image = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#00ff00' } }).jpeg().toBuffer();
+
+        const { status, body } = await upload([['new.jpg', image], ['notes.txt', Buffer.from('text')]]);
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.uploaded.map(file => file.file), ['new.jpg']);
+        assert.equal(body.data.rejected[0].file, 'notes.txt');
+        assert.deepEqual(body.data.items.map(item => item.file), ['a.jpg', 'b.jpg', 'new.jpg']);
+    });
+
+    test('rejects empty uploads, non-images and oversized files', async () => {
+        assert.equal((await upload([])).status, 400);
+        const { status, body } = await upload([['notes.jpg', Buffer.from('text')]]);
+        assert.equal(status, 400);
+        assert.equal(body.data.rejected.length, 1);
+        assert.equal((await upload([['big.jpg', Buffer.alloc(1024 * 1024 + 1)]])).status, 413);
+    });
+
+    test('reorders, sets the cover and deletes photos', async () => {
+        const [first, second] = (await request('GET', 'images/?category=lux')).body.data.items.map(item => item.id);
+
+        const reordered = await adminRequest('images/lux/order', { images: [second, first] });
+        assert.equal(reordered.status, 200);
+        assert.deepEqual(reordered.body.data.items.map(item => item.id), [second, first]);
+
+        const cover = await adminRequest('images/lux/cover', { image: second });
+        assert.equal(cover.body.data.cover.id, second);
+
+        const deleted = await adminRequest(`images/lux/${second}/delete`);
+        assert.equal(deleted.status, 200);
+        assert.deepEqual(deleted.body.data.items.map(item => item.id), [first]);
+        assert.equal(deleted.body.data.cover.id, first);
+
+        assert.equal((await adminRequest(`images/lux/${second}/delete`)).status, 404);
+        assert.equal((await adminRequest('images/lux/order', { images: ['bad'] })).status, 400);
+        assert.equal((await adminRequest('images/standard/cover', { image: first })).status, 404);
+    });
+});
+
+describe('GET /categories/', () => {
+    test('returns configured categories', async () => {
+        const { status, body } = await request('GET', 'categories/');
+        assert.equal(status, 200);
+        assert.ok(body.data.categories.some(category => category.field === STANDARD));
+    });
+});
+
+describe('POST /init/', () => {
+    const withToken = (token) => fetch(baseUrl + 'init/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({})
+    });
+
+    before(() => { process.env.ADMIN_TOKEN = 'test-admin-token'; });
+    after(() => { delete process.env.ADMIN_TOKEN; });
+
+    test('rejects requests without the admin token', async () => {
+        assert.equal((await withToken(null)).status, 401);
+        assert.equal((await withToken('wrong')).status, 401);
+    });
+
+    test('requires bx_link', async () => {
+        assert.equal((await withToken('test-admin-token')).status, 400);
+    });
+
+    test('is disabled without ADMIN_TOKEN', async () => {
+        delete process.env.ADMIN_TOKEN;
+        assert.equal((await withToken('test-admin-token')).status, 403);
+        process.env.ADMIN_TOKEN = 'test-admin-token';
+    });
+});
+
+describe('GET /rooms/', () => {
+    test('requires year and month', async () => {
+        assert.equal((await request('GET', `rooms/?category=${STANDARD}`)).status, 400);
+    });
+
+    test('requires category', async () => {
+        assert.equal((await request('GET', 'rooms/?year=2025&month=7')).status, 400);
+    });
+
+    test('returns rooms with bookings', async () => {
+        const { status, body } = await request('GET', `rooms/?year=2025&month=7&category=${STANDARD}`);
+        assert.equal(status, 200);
+        assert.equal(body.data.rooms.find(room => room.id === '101').occupiedDates.length, 1);
+    });
+
+    test('rejects an unknown category', async () => {
+        const { status, body } = await request('GET', 'rooms/?year=2025&month=7&category=UF_CRM_UNKNOWN');
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'query.category');
+    });
+
+    test('Bitrix failure is 500', async () => {
+        // Категория есть в конфигурации, но её поля нет в фейковом Bitrix
+        const { status, body } = await request('GET', 'rooms/?year=2025&month=7&category=UF_CRM_DEAL_1750133047593');
+        assert.equal(status, 500);
+        assert.equal(body.status, false);
+    });
+});
+
+describe('POST /rooms/check-availability', () => {
+    test('requires parameters', async () => {
+        assert.equal((await request('POST', 'rooms/check-availability', { roomType: STANDARD })).status, 400);
+    });
+
+    test('reports availability and occupancy', async () => {
+        const { status, body } = await request('POST', 'rooms/check-availability', {
+            roomId: '101', roomType: STANDARD, checkIn: '2025-07-02', checkOut: '2025-07-04'
+        });
+        assert.equal(status, 200);
+        assert.equal(body.data.available, false);
+        assert.deepEqual(body.data.occupancy, { '2025-07-02': 0.5, '2025-07-03': 0 });
+    });
+
+    test('explains the stay rule that blocks the request', async () => {
+        // Пятница, одна ночь в домике: правило минимального срока на выходных
+        const { status, body } = await request('POST', 'rooms/check-availability', {
+            roomType: HOUSE_1, checkIn: '2025-07-04', checkOut: '2025-07-05'
+        });
+        assert.equal(status, 200);
+        assert.equal(body.data.available, false);
+        assert.equal(body.data.restrictions[0].type, 'minStay');
+        assert.match(body.message, /2 ночи/);
+
+        const weekend = await request('POST', 'rooms/check-availability', {
+            roomType: HOUSE_1, checkIn: '2025-07-04', checkOut: '2025-07-06'
+        });
+        assert.equal(weekend.body.data.available, true);
+        assert.deepEqual(weekend.body.data.restrictions, []);
+    });
+});
+
+describe('POST /rooms/quote', () => {
+    test('unknown room type is 400', async () => {
+        const { status } = await request('POST', 'rooms/quote', { roomType: 'UF_CRM_UNKNOWN', checkIn: '2025-07-07', checkOut: '2025-07-09' });
+        assert.equal(status, 400);
+    });
+
+    test('invalid dates are 400', async () => {
+        const { status } = await request('POST', 'rooms/quote', { roomType: STANDARD, checkIn: '2025-07-09', checkOut: '2025-07-07' });
+        assert.equal(status, 400);
+    });
+
+    test('returns total', async () => {
+        const { status, body } = await request('POST', 'rooms/quote', { roomType: STANDARD, checkIn: '2025-07-07', checkOut: '2025-07-09' });
+        assert.equal(status, 200);
+        assert.equal(body.data.total, 60000);
+    });
+
+    test('applies a promo code', async () => {
+        const { status, body } = await request('POST', 'rooms/quote', { roomType: STANDARD, checkIn: '2025-07-07', checkOut: '2025-07-09', promoCode: 'welcome10' });
+        assert.equal(status, 200);
+        assert.equal(body.data.subtotal, 60000);
+        assert.equal(body.data.discount, 6000);
+        assert.equal(body.data.total, 54000);
+        assert.equal(body.data.promoCode, 'WELCOME10');
+    });
+
+    test('unknown promo code is 400', async () => {
+        const { status, body } = await request('POST', 'rooms/quote', { roomType: STANDARD, checkIn: '2025-07-07', checkOut: '2025-07-09', promoCode: 'NOPE1' });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Промокод не найден');
+    });
+});
+
+describe('POST /booking/create', () => {
+    test('missing fields is 400', async () => {
+        const { status, body } = await request('POST', 'booking/create', booking({ contactPhone: '' }));
+        assert.equal(status, 400);
+        assert.equal(body.status_msg, 'error');
+        assert.deepEqual(body.errors, [{ field: 'body.contactPhone', message: 'is required' }]);
+    });
+
+    test('rejects malformed dates and phone', async () => {
+        const { status, body } = await request('POST', 'booking/create', booking({ checkIn: '08.07.2025', contactPhone: 'call me' }));
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => error.field).sort(), ['body.checkIn', 'body.contactPhone']);
+        assert.ok(!client.calls.includes('createBooking'));
+    });
+
+    test('rejects check-out before check-in', async () => {
+        const { status, body } = await request('POST', 'booking/create', booking({ checkIn: '2025-07-10', checkOut: '2025-07-08' }));
+        assert.equal(status, 400);
+        assert.match(body.message, /checkOut must be after checkIn/);
+    });
+
+    test('creates a booking with a server-side price', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ totalCost: 1 }));
+        assert.equal(body.status, true);
+        assert.equal(body.data.contactId, '10');
+        assert.equal(client.deals.at(-1).OPPORTUNITY, 60000);
+    });
+
+    test('occupied room is 409', async () => {
+        const { status } = await request('POST', 'booking/create', booking({ roomId: '101', checkIn: '2025-07-02' }));
+        assert.equal(status, 409);
+        assert.ok(!client.calls.includes('createBooking'));
+    });
+
+    test('held room is 409', async () => {
+        await lock.acquire({ roomType: STANDARD, roomId: '102', checkIn: '2025-07-08', checkOut: '2025-07-10' });
+        const { status } = await request('POST', 'booking/create', booking());
+        assert.equal(status, 409);
+    });
+
+    test('concurrent requests for the same room create one booking', async () => {
+        const results = await Promise.all([
+            request('POST', 'booking/create', booking()),
+            request('POST', 'booking/create', booking())
+        ]);
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+        assert.equal(client.calls.filter(call => call === 'createBooking').length, 1);
+    });
+
+    test('returning guest is matched by a differently written phone', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ contactPhone: '8 (701) 123-45-67' }));
+        assert.equal(body.data.contactId, '10');
+        assert.ok(!client.calls.includes('crm.contact.add'));
+    });
+
+    test('new contact is created', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ contactPhone: '+77770000000' }));
+        assert.equal(body.status, true);
+        assert.ok(client.calls.includes('crm.contact.add'));
+    });
+
+    test('guests over capacity is 400', async () => {
+        const { status } = await request('POST', 'booking/create', booking({ adults: 2, children: 1 }));
+        assert.equal(status, 400);
+        assert.ok(!client.calls.includes('createBooking'));
+    });
+
+    test('guest and staff are notified', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ contactEmail: 'guest@example.com', language: 'en' }));
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].event, 'created');
+        assert.equal(notifications[0].data.bookingId, body.data.bookingId);
+        assert.equal(notifications[0].data.email, 'guest@example.com');
+        assert.equal(notifications[0].data.language, 'en');
+        // Токен брони выдаётся гостю для самостоятельной отмены и изменения
+        assert.equal(notifications[0].data.bookingToken, bookingToken(body.data.bookingId));
+        assert.equal(body.data.bookingToken, bookingToken(body.data.bookingId));
+    });
+
+    test('guest counts are stored on the deal', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ adults: 1, children: 1 }));
+        assert.equal(body.status, true);
+        assert.equal(client.deals.at(-1).adults, 1);
+        assert.equal(client.deals.at(-1).children, 1);
+    });
+
+    test('stay rules violation is 400 without touching Bitrix', async () => {
+        const { status, body } = await request('POST', 'booking/create', booking({
+            roomId: '1', roomType: HOUSE_1, checkIn: '2025-12-30', checkOut: '2025-12-31'
+        }));
+        assert.equal(status, 400);
+        assert.deepEqual(body.data.restrictions.map(item => item.type), ['closedToDeparture', 'minStay']);
+        assert.equal(client.deals.length, 1);
+    });
+
+    test('records the promo code and discount on the deal, once per phone', async () => {
+        const { status, body } = await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }));
+        assert.equal(status, 200);
+        assert.equal(body.data.totalCost, 54000);
+        assert.equal(body.data.discount, 6000);
+
+        const deal = client.deals.find(item => item.ID === body.data.bookingId);
+        assert.equal(deal.OPPORTUNITY, 54000);
+        assert.equal(deal.promoCode, 'WELCOME10');
+        assert.equal(deal.discount, 6000);
+
+        const repeat = await request('POST', 'booking/create', booking({ roomId: '101', checkIn: '2025-08-01', checkOut: '2025-08-02', contactPhone: '87011234567', promoCode: 'WELCOME10' }));
+        assert.equal(repeat.status, 400);
+        assert.equal(repeat.body.message, 'Промокод уже использован с этим номером телефона');
+    });
+
+    test('cancelled booking returns the promo code use', async () => {
+        const { body } = await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }));
+        assert.equal((await request('POST', withBookingToken(body.data.bookingId, 'cancel'), {})).status, 200);
+
+        const { status } = await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }));
+        assert.equal(status, 200);
+    });
+
+    test('failed booking does not use up the promo code', async () => {
+        const createBooking = client.createBooking;
+        client.createBooking = async () => { throw new Error('Bitrix is down'); };
+        assert.equal((await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }))).status, 500);
+
+        client.createBooking = createBooking;
+        const { status } = await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }));
+        assert.equal(status, 200);
+    });
+});
+
+describe('POST /booking/group', () => {
+    const group = (rooms) => ({ contactName: 'Гость', contactPhone: '+77011234567', rooms });
+    const stay = { checkIn: '2025-07-07', checkOut: '2025-07-09' };
+
+    test('empty group is 400', async () => {
+        assert.equal((await request('POST', 'booking/group', group([]))).status, 400);
+    });
+
+    test('guests over capacity is 400', async () => {
+        const { status } = await request('POST', 'booking/group', group([{ roomType: HOUSE_1, ...stay, adults: 5 }]));
+        assert.equal(status, 400);
+    });
+
+    test('stay rules apply to every room', async () => {
+        const { status, body } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, ...stay },
+            { roomType: HOUSE_1, checkIn: '2025-07-05', checkOut: '2025-07-06' }
+        ]));
+        assert.equal(status, 400);
+        assert.match(body.message, /^Номер 2: Минимальный срок/);
+        assert.equal(client.deals.length, 1);
+    });
+
+    test('discount failure is 400 and nothing is booked', async () => {
+        promoService.apply = async () => ({ result: false, reason: 'not_applicable', message: 'Скидка недоступна' });
+        const { status, body } = await request('POST', 'booking/group', group([{ roomType: STANDARD, ...stay }]));
+        assert.equal(status, 400);
+        assert.match(body.message, /^Номер 10[12]: Скидка недоступна$/);
+        assert.equal(client.deals.length, 1);
+    });
+
+    test('books rooms of mixed categories under one parent deal', async () => {
+        const { status, body } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, ...stay, adults: 2 },
+            { roomType: STANDARD, ...stay },
+            { roomType: HOUSE_1, ...stay, adults: 2, children: 2 }
+        ]));
+        assert.equal(status, 200);
+        assert.equal(body.data.contactId, '10');
+        assert.deepEqual(body.data.bookings.map(item => item.roomId), ['101', '102', '1']);
+
+        const children = client.deals.filter(deal => deal.parentDealId === body.data.groupId);
+        assert.equal(children.length, 3);
+        assert.equal(body.data.totalCost, children.reduce((sum, deal) => sum + deal.OPPORTUNITY, 0));
+    });
+
+    test('issues a booking token for every room of the group', async () => {
+        const { body } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, ...stay },
+            { roomType: HOUSE_1, ...stay }
+        ]));
+        const [standard, house] = body.data.bookings;
+        assert.equal(standard.bookingToken, bookingToken(standard.bookingId));
+        assert.equal(body.data.bookingToken, undefined);
+        assert.equal(notifications[0].data.bookingToken,
+            `${standard.bookingId} – ${standard.bookingToken}, ${house.bookingId} – ${house.bookingToken}`);
+
+        // Отмена одного номера освобождает его, остальные номера группы остаются
+        assert.equal((await request('POST', withBookingToken(standard.bookingId, 'cancel'), {})).status, 200);
+        const deal = id => client.deals.find(item => item.ID === id);
+        assert.equal(deal(standard.bookingId).STAGE_SEMANTIC_ID, 'F');
+        assert.equal(deal(house.bookingId).STAGE_SEMANTIC_ID, undefined);
+
+        const modified = await request('POST', withBookingToken(house.bookingId, 'modify'), { checkOut: '2025-07-10' });
+        assert.equal(modified.status, 200);
+    });
+
+    test('not enough free rooms is 409', async () => {
+        const { status } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, checkIn: '2025-07-01', checkOut: '2025-07-03' },
+            { roomType: STANDARD, checkIn: '2025-07-01', checkOut: '2025-07-03' }
+        ]));
+        assert.equal(status, 409);
+        assert.ok(!client.calls.includes('createGroupDeal'));
+    });
+
+    test('held room rejects the whole group', async () => {
+        await lock.acquire({ roomType: HOUSE_1, roomId: '1', ...stay });
+        const { status } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, ...stay },
+            { roomType: HOUSE_1, roomId: '1', ...stay }
+        ]));
+        assert.equal(status, 409);
+        assert.ok(!client.calls.includes('createBooking'));
+        // Удержание первого номера снято
+        assert.ok(await lock.acquire({ roomType: STANDARD, roomId: '101', ...stay }));
+    });
+
+    test('partial failure rolls back created deals', async () => {
+        const createBooking = client.createBooking.bind(client);
+        let created = 0;
+        client.createBooking = async (data) => {
+            if (++created === 2) throw new Error('Bitrix is down');
+            return createBooking(data);
+        };
+        const dealsBefore = client.deals.length;
+
+        const { status } = await request('POST', 'booking/group', group([
+            { roomType: STANDARD, ...stay },
+            { roomType: HOUSE_1, ...stay }
+        ]));
+        assert.equal(status, 500);
+        assert.equal(client.deals.length, dealsBefore);
+        assert.equal(client.calls.filter(call => call === 'deleteDeal').length, 2);
+    });
+});
+
+describe('Payments', () => {
+    const paymentsConfig = { enabled: true, provider: 'mock', currency: 'KZT', holdMinutes: 30, deposit: { defaultPercent: 30 } };
+
+    beforeEach(() => {
+        server.app = createApp({
+            bitrixClient: client,
+            roomService: new RoomService(client),
+            reservationLock: lock,
+            paymentService: new PaymentService(client, paymentsConfig),
+            notificationService: { notify: async () => {} }
+        });
+    });
+
+    test('booking returns a deposit payment', async () => {
+        const { body } = await request('POST', 'booking/create', booking());
+        assert.equal(body.data.payment.status, 'pending');
+        assert.equal(body.data.payment.amount, 18000);
+    });
+
+    test('mock checkout confirms the payment', async () => {
+        const { body } = await request('POST', 'booking/create', booking());
+        const checkoutPath = body.data.payment.paymentUrl.slice(BASE_URL.length);
+        assert.equal((await request('GET', checkoutPath)).body.data.status, 'paid');
+
+        const status = await request('GET', `payments/${body.data.payment.paymentId}`);
+        assert.equal(status.body.data.status, 'paid');
+        assert.equal(client.deals.at(-1).paidAmount, 18000);
+    });
+
+    test('callback with a bad signature is 400', async () => {
+        const { body } = await request('POST', 'booking/create', booking());
+        const { status } = await request('POST', 'payments/callback/mock', {
+            paymentId: `mock_${body.data.payment.paymentId}`, status: 'paid', amount: 18000
+        });
+        assert.equal(status, 400);
+    });
+
+    test('payment after the guest cancelled is refunded instead of reviving the booking', async () => {
+        const { body } = await request('POST', 'booking/create', booking());
+        const { bookingId, payment } = body.data;
+        assert.equal((await request('POST', withBookingToken(bookingId, 'cancel'), {})).status, 200);
+        assert.equal((await request('GET', `payments/${payment.paymentId}`)).body.data.status, 'expired');
+
+        const checkoutPath = payment.paymentUrl.slice(BASE_URL.length);
+        assert.equal((await request('GET', checkoutPath)).body.data.status, 'paid_late');
+        assert.equal(client.deals.at(-1).STAGE_SEMANTIC_ID, 'F');
+        assert.equal(client.deals.at(-1).paidAmount, undefined);
+    });
+
+    test('unknown payment is 404', async () => {
+        assert.equal((await request('GET', 'payments/00000000-0000-4000-8000-000000000000')).status, 404);
+        assert.equal((await request('GET', 'payments/unknown')).status, 400);
+    });
+});
+
+describe('POST /booking/:id/cancel', () => {
+    test('requires the booking token or the admin token', async () => {
+        assert.equal((await request('POST', 'booking/1/cancel', {})).status, 401);
+        // Токен другой брони не подходит
+        assert.equal((await request('POST', `booking/1/cancel?token=${bookingToken('2')}`, {})).status, 401);
+        assert.equal(client.deals[0].STAGE_SEMANTIC_ID, undefined);
+
+        process.env.ADMIN_TOKEN = 'test-admin-token';
+        try {
+            const response = await fetch(baseUrl + 'booking/1/cancel', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' },
+                body: JSON.stringify({})
+            });
+            assert.equal(response.status, 200);
+        } finally {
+            delete process.env.ADMIN_TOKEN;
+        }
+    });
+
+    test('unknown booking is 404', async () => {
+        assert.equal((await request('POST', withBookingToken('999', 'cancel'), {})).status, 404);
+    });
+
+    test('cancels and rejects a second cancel', async () => {
+        assert.equal((await request('POST', withBookingToken('1', 'cancel'), { reason: 'Планы изменились' })).status, 200);
+        assert.equal((await request('POST', withBookingToken('1', 'cancel'), {})).status, 409);
+        assert.deepEqual(notifications.map(item => [item.event, item.data.reason]), [['cancelled', 'Планы изменились']]);
+    });
+});
+
+describe('POST /booking/:id/modify', () => {
+    test('requires the booking token', async () => {
+        assert.equal((await request('POST', 'booking/1/modify', { checkOut: '2025-07-04' })).status, 401);
+        assert.equal((await request('POST', 'booking/1/modify?token=wrong', { checkOut: '2025-07-04' })).status, 401);
+    });
+
+    test('unknown booking is 404', async () => {
+        assert.equal((await request('POST', withBookingToken('999', 'modify'), { checkOut: '2025-07-04' })).status, 404);
+    });
+
+    test('extends the stay and recomputes the price', async () => {
+        const { status, body } = await request('POST', withBookingToken('1', 'modify'), { checkOut: '2025-07-04' });
+        assert.equal(status, 200);
+        assert.equal(body.data.checkOut, '2025-07-04');
+        assert.ok(body.data.totalCost > 0);
+        assert.equal(notifications[0].event, 'modified');
+        assert.equal(notifications[0].data.checkOut, '2025-07-04');
+    });
+
+    test('keeps the promo code discount without using the code again', async () => {
+        const created = await request('POST', 'booking/create', booking({ promoCode: 'WELCOME10' }));
+        const { bookingId } = created.body.data;
+
+        const { status, body } = await request('POST', withBookingToken(bookingId, 'modify'), { checkOut: '2025-07-10' });
+        assert.equal(status, 200);
+        const quote = await request('POST', 'rooms/quote', { roomType: STANDARD, checkIn: '2025-07-07', checkOut: '2025-07-10', promoCode: 'WELCOME10' });
+        assert.equal(body.data.promoCode, 'WELCOME10');
+        assert.equal(body.data.totalCost, quote.body.data.total);
+        assert.equal(body.data.discount, quote.body.data.discount);
+
+        const deal = client.deals.find(item => item.ID === bookingId);
+        assert.equal(deal.OPPORTUNITY, quote.body.data.total);
+        assert.equal(deal.discount, quote.body.data.discount);
+        assert.equal(notifications.at(-1).data.totalCost, quote.body.data.total);
+    });
+
+    test('conflict with another booking is 409', async () => {
+        client.deals.push({ ID: '2', [STANDARD]: '101', UF_CRM_1749509439624: '2025-07-03', UF_CRM_1749787453685: '2025-07-05' });
+        assert.equal((await request('POST', withBookingToken('1', 'modify'), { checkOut: '2025-07-04' })).status, 409);
+    });
+
+    test('invalid dates are 400', async () => {
+        assert.equal((await request('POST', withBookingToken('1', 'modify'), { checkOut: '2025-06-01' })).status, 400);
+    });
+
+    test('stay rules violation is 400 and the booking keeps its dates', async () => {
+        const { status, body } = await request('POST', withBookingToken('1', 'modify'), { checkIn: '2025-12-31', checkOut: '2026-01-01' });
+        assert.equal(status, 400);
+        assert.deepEqual(body.data.restrictions.map(item => item.type), ['closedToArrival', 'closedToDeparture', 'minStay']);
+        assert.equal(client.deals[0].UF_CRM_1749509439624, '2025-07-01');
+        assert.ok(!client.calls.includes('updateBooking'));
+    });
+});
+
+describe('POST /bitrix/events', () => {
+    const auth = { application_token: 'test-event-token' };
+
+    before(() => { process.env.BX_EVENT_TOKEN = 'test-event-token'; });
+    after(() => { delete process.env.BX_EVENT_TOKEN; });
+
+    test('rejects a missing or wrong application token', async () => {
+        const event = { event: 'ONCRMDEALUPDATE', data: { FIELDS: { ID: '1' } } };
+        assert.equal((await request('POST', 'bitrix/events', event)).status, 403);
+        assert.equal((await request('POST', 'bitrix/events', { ...event, auth: { application_token: 'wrong' } })).status, 403);
+    });
+
+    test('is disabled without BX_EVENT_TOKEN', async () => {
+        delete process.env.BX_EVENT_TOKEN;
+        const { status } = await request('POST', 'bitrix/events', { event: 'ONCRMDEALUPDATE', data: { FIELDS: { ID: '1' } }, auth });
+        process.env.BX_EVENT_TOKEN = 'test-event-token';
+        assert.equal(status, 403);
+        assert.ok(!client.calls.includes('getBooking'));
+    });
+
+    test('unsupported event is 400', async () => {
+        assert.equal((await request('POST', 'bitrix/events', { event: 'ONCRMLEADADD', auth })).status, 400);
+    });
+
+    test('deal update invalidates cache', async () => {
+        const { status } = await request('POST', 'bitrix/events', { event: 'ONCRMDEALUPDATE', data: { FIELDS: { ID: '1' } }, auth });
+        assert.equal(status, 200);
+    });
+});
+
+describe('GET /calendar/...ics', () => {
+    const inDays = (days) => {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+
+    before(() => { process.env.CALENDAR_SECRET = 'test-calendar-secret'; });
+    after(() => { delete process.env.CALENDAR_SECRET; });
+
+    test('rejects a missing or foreign token', async () => {
+        const calendar = new CalendarService(new RoomService(client));
+        assert.equal((await fetch(`${baseUrl}calendar/standard/101.ics`)).status, 403);
+        const foreign = calendar.feedToken(STANDARD, '102');
+        assert.equal((await fetch(`${baseUrl}calendar/standard/101.ics?token=${foreign}`)).status, 403);
+    });
+
+    test('room feed contains a VEVENT per booking', async () => {
+        client.deals.push({ ID: '5', [STANDARD]: '101', UF_CRM_1749509439624: inDays(3), UF_CRM_1749787453685: inDays(5) });
+        const token = new CalendarService(new RoomService(client)).feedToken(STANDARD, '101');
+        const response = await fetch(`${baseUrl}calendar/standard/101.ics?token=${token}`);
+        const body = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/calendar/);
+        assert.equal(body.match(/BEGIN:VEVENT/g).length, 1);
+        assert.ok(body.includes(`DTSTART;VALUE=DATE:${inDays(3).replace(/-/g, '')}`));
+        assert.ok(body.includes(`DTEND;VALUE=DATE:${inDays(5).replace(/-/g, '')}`));
+        assert.ok(body.includes('UID:deal-5-standard-101@dias-gulfstream'));
+    });
+
+    test('category feed covers every room', async () => {
+        client.deals.push({ ID: '6', [STANDARD]: '102', UF_CRM_1749509439624: inDays(1), UF_CRM_1749787453685: inDays(2) });
+        const token = new CalendarService(new RoomService(client)).feedToken(STANDARD);
+        const body = await (await fetch(`${baseUrl}calendar/${STANDARD}.ics?token=${token}`)).text();
+        assert.equal(body.match(/BEGIN:VEVENT/g).length, 1);
+    });
+});
+
+describe('POST /search', () => {
+    test('invalid guests is 400', async () => {
+        assert.equal((await request('POST', 'search', { checkIn: '2025-07-07', checkOut: '2025-07-09', guests: 0 })).status, 400);
+    });
+
+    test('invalid dates are 400', async () => {
+        assert.equal((await request('POST', 'search', { checkIn: '2025-07-09', checkOut: '2025-07-07' })).status, 400);
+    });
+
+    test('lists categories with free rooms', async () => {
+        for (const category of categoryRegistry.getAll()) {
+            client.rooms[category.field] = client.rooms[category.field] || {};
+        }
+        const { status, body } = await request('POST', 'search', { checkIn: '2025-07-01', checkOut: '2025-07-02', guests: 2 });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.categories.find(category => category.field === STANDARD).freeRoomIds, ['102']);
+    });
+});
+
+describe('API schema', () => {
+    test('GET /docs returns the OpenAPI document', async () => {
+        const { status, body } = await request('GET', 'docs');
+        assert.equal(status, 200);
+        assert.equal(body.openapi, '3.1.0');
+        assert.ok(body.paths['/booking/create'].post.requestBody);
+        assert.deepEqual(body.paths['/booking/{id}/cancel'].post.parameters.map(parameter => parameter.name), ['id', 'token']);
+    });
+
+    test('malformed JSON is 400', async () => {
+        const response = await fetch(baseUrl + 'search', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"checkIn": '
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).status_msg, 'error');
+    });
+
+    test('responses carry a request ID', async () => {
+        const response = await fetch(baseUrl + 'categories/');
+        assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    test('unknown route is 404', async () => {
+        const { status, body } = await request('GET', 'nothing-here');
+        assert.equal(status, 404);
+        assert.equal(body.status, false);
+    });
+});
+
+describe('Health and metrics', () => {
+    test('GET /health answers without Bitrix', async () => {
+        client.getWebhookUrl = async () => { throw new Error('Missing required environment variables'); };
+        const { status, body } = await request('GET', 'health');
+        assert.equal(status, 200);
+        assert.equal(body.status, true);
+    });
+
+    test('GET /ready checks credentials and Bitrix', async () => {
+        const { status, body } = await request('GET', 'ready');
+        assert.equal(status, 200);
+        assert.equal(body.data.bitrix.ok, true);
+        assert.ok(client.calls.includes('scope'));
+    });
+
+    test('GET /ready is 503 when the webhook cannot be decrypted', async () => {
+        client.getWebhookUrl = async () => { throw new Error('bad decrypt'); };
+        const { status, body } = await request('GET', 'ready');
+        assert.equal(status, 503);
+        assert.deepEqual(body.data.credentials, { ok: false, message: 'bad decrypt' });
+        assert.equal(body.data.bitrix.ok, false);
+        assert.ok(!client.calls.includes('scope'));
+    });
+
+    test('GET /ready is 503 when Bitrix fails', async () => {
+        client.makeRequest = async () => { throw new Error('Bitrix API error: INVALID_CREDENTIALS'); };
+        const { status, body } = await request('GET', 'ready');
+        assert.equal(status, 503);
+        assert.equal(body.data.credentials.ok, true);
+        assert.match(body.data.bitrix.message, /INVALID_CREDENTIALS/);
+    });
+
+    test('GET /metrics counts requests by route template and bookings', async () => {
+        await request('POST', 'booking/create', booking());
+        await request('POST', 'booking/create', booking({ roomId: '101', checkIn: '2025-07-02' }));
+        await request('POST', 'booking/create', booking({ contactPhone: '' }));
+        await request('POST', withBookingToken('1', 'cancel'), {});
+
+        const response = await fetch(baseUrl + 'metrics');
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        const text = await response.text();
+        assert.match(text, /http_requests_total\{method="POST",route="\/dias_gulfstream_back\/booking\/:id\/cancel",status="200"\} 1/);
+        assert.match(text, /bookings_created_total\{type="single"\} 1/);
+        assert.match(text, /bookings_rejected_total\{type="single",reason="unavailable"\} 1/);
+        assert.match(text, /bookings_rejected_total\{type="single",reason="invalid"\} 1/);
+    });
+});
+
+describe('GET /reports/performance', () => {
+    const report = (query, token = 'test-admin-token') =>
+        fetch(`${baseUrl}reports/performance?${query}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    before(() => { process.env.ADMIN_TOKEN = 'test-admin-token'; });
+    after(() => { delete process.env.ADMIN_TOKEN; });
+
+    beforeEach(() => {
+        for (const category of categoryRegistry.getAll()) {
+            client.rooms[category.field] = client.rooms[category.field] || {};
+        }
+        client.deals[0].OPPORTUNITY = '60000';
+        client.deals[0].DATE_CREATE = '2025-06-21T10:00:00+03:00';
+    });
+
+    test('requires the admin token', async () => {
+        assert.equal((await report('from=2025-07-01&to=2025-07-02', null)).status, 401);
+    });
+
+    test('returns occupancy and revenue as JSON', async () => {
+        const response = await report('from=2025-07-01&to=2025-07-02');
+        const { data } = await response.json();
+        assert.equal(response.status, 200);
+        assert.equal(data.nights, 2);
+        const standard = data.categories.find(category => category.field === STANDARD);
+        assert.deepEqual(
+            [standard.availableRoomNights, standard.soldRoomNights, standard.occupancy, standard.revenue, standard.adr, standard.averageLeadTime],
+            [4, 2, 0.5, 60000, 30000, 10]
+        );
+        assert.equal(data.totals.revenue, 60000);
+    });
+
+    test('exports CSV and XLSX files', async () => {
+        const csv = await report('from=2025-07-01&to=2025-07-02&format=csv&view=days');
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), /report_2025-07-01_2025-07-02_days\.csv/);
+        const text = await csv.text();
+        assert.equal(text.split('\r\n')[1], '2025-07-01,1,33.33,30000');
+
+        const xlsx = await report('from=2025-07-01&to=2025-07-02&format=xlsx');
+        assert.equal(xlsx.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        assert.equal(Buffer.from(await xlsx.arrayBuffer()).subarray(0, 4).toString('hex'), '504b0304');
+    });
+
+    test('rejects invalid periods', async () => {
+        assert.equal((await report('from=2025-07-02&to=2025-07-01')).status, 400);
+        assert.equal((await report('from=2025-01-01&to=2026-12-31')).status, 400);
+        assert.equal((await report('from=2025-07-01&to=2025-07-02&format=pdf')).status, 400);
+    });
+});
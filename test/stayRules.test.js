@@ -0,0 +1,103 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StayRulesEngine } from '../utils/stayRules.js';
+
+const categories = [
+    { slug: 'standard', field: 'UF_CRM_STD' },
+    { slug: 'house_1', field: 'UF_CRM_HOUSE' }
+];
+const registry = {
+    resolve: key => categories.find(category => category.slug === key || category.field === key) || null
+};
+
+const engine = rules => new StayRulesEngine(registry, { rules });
+
+describe('StayRulesEngine.check', () => {
+    test('no rules allow any stay', () => {
+        assert.deepEqual(engine([]).check('UF_CRM_STD', '2025-07-04', '2025-07-05'), { allowed: true, violations: [], message: '' });
+    });
+
+    test('minimum stay applies when a stay night falls on the rule days', () => {
+        const rules = engine([{ type: 'minStay', nights: 2, categories: ['house_1'], days: [5, 6] }]);
+
+        const friday = rules.check('UF_CRM_HOUSE', '2025-07-04', '2025-07-05');
+        assert.equal(friday.allowed, false);
+        assert.deepEqual(friday.violations[0].dates, ['2025-07-04']);
+        assert.equal(friday.message, 'Минимальный срок проживания – 2 ночи');
+
+        assert.equal(rules.check('UF_CRM_HOUSE', '2025-07-04', '2025-07-06').allowed, true);
+        assert.equal(rules.check('UF_CRM_HOUSE', '2025-07-07', '2025-07-08').allowed, true);
+        assert.equal(rules.check('UF_CRM_STD', '2025-07-04', '2025-07-05').allowed, true);
+    });
+
+    test('maximum stay', () => {
+        const rules = engine([{ type: 'maxStay', nights: 5, name: 'Лето', from: '06-01', to: '08-31' }]);
+        const long = rules.check('UF_CRM_STD', '2025-08-25', '2025-09-05');
+        assert.equal(long.violations[0].rule, 'Лето');
+        assert.equal(long.message, 'Максимальный срок проживания – 5 ночей');
+        assert.equal(rules.check('UF_CRM_STD', '2025-09-01', '2025-09-20').allowed, true);
+    });
+
+    test('closed to arrival and departure check only the edge dates', () => {
+        const rules = engine([
+            { type: 'closedToArrival', from: '12-31', to: '01-01' },
+            { type: 'closedToDeparture', from: '12-31', to: '01-01' }
+        ]);
+        assert.equal(rules.check('UF_CRM_STD', '2025-12-30', '2026-01-02').allowed, true);
+
+        const arrival = rules.check('UF_CRM_STD', '2025-12-31', '2026-01-03');
+        assert.deepEqual(arrival.violations.map(item => [item.type, item.dates]), [['closedToArrival', ['2025-12-31']]]);
+        assert.equal(arrival.message, 'Заезд 31.12.2025 недоступен');
+
+        const departure = rules.check('UF_CRM_STD', '2025-12-29', '2026-01-01');
+        assert.equal(departure.message, 'Выезд 01.01.2026 недоступен');
+    });
+
+    test('blackout closes the category for the listed dates', () => {
+        const rules = engine([{ type: 'blackout', categories: ['UF_CRM_HOUSE'], from: '2025-10-01', to: '2025-10-10', message: 'Ремонт' }]);
+        const blocked = rules.check('UF_CRM_HOUSE', '2025-09-29', '2025-10-02');
+        assert.deepEqual(blocked.violations[0].dates, ['2025-10-01']);
+        assert.equal(blocked.message, 'Ремонт');
+
+        // День выезда не является ночью проживания
+        assert.equal(rules.check('UF_CRM_HOUSE', '2025-09-28', '2025-10-01').allowed, true);
+        assert.equal(rules.check('UF_CRM_HOUSE', '2025-10-11', '2025-10-12').allowed, true);
+    });
+
+    test('reports every violated rule', () => {
+        const rules = engine([
+            { type: 'minStay', nights: 3, from: '12-30', to: '01-01' },
+            { type: 'blackout', from: '2025-12-30', to: '2025-12-30' }
+        ]);
+        const result = rules.check('UF_CRM_STD', '2025-12-30', '2025-12-31');
+        assert.deepEqual(result.violations.map(item => item.type), ['minStay', 'blackout']);
+        assert.equal(result.message, 'Минимальный срок проживания – 3 ночи; Категория закрыта для бронирования на ночь 30.12.2025');
+    });
+});
+
+describe('StayRulesEngine config', () => {
+    test('rejects invalid rules with all errors in one message', () => {
+        assert.throws(() => engine([
+            { type: 'minimum' },
+            { type: 'minStay', nights: 0 },
+            { type: 'blackout', categories: ['villa'] },
+            { type: 'blackout', from: '12-31' },
+            { type: 'blackout', from: '2025-12-31', to: '01-01' },
+            { type: 'closedToArrival', days: [7] }
+        ]), error => {
+            assert.match(error.message, /rules\[0\]\.type/);
+            assert.match(error.message, /rules\[1\]\.nights/);
+            assert.match(error.message, /unknown category "villa"/);
+            assert.match(error.message, /rules\[3\]: from and to must be set together/);
+            assert.match(error.message, /rules\[4\]: from and to must both be/);
+            assert.match(error.message, /rules\[5\]\.days/);
+            return true;
+        });
+    });
+
+    test('shipped config is valid', () => {
+        assert.ok(new StayRulesEngine().rules.length > 0);
+    });
+});
@@ -0,0 +1,70 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateValue, validateRequest } from '../utils/validation.js';
+
+const schema = {
+    type: 'object',
+    required: ['checkIn', 'checkOut'],
+    properties: {
+        checkIn: { type: 'string', format: 'date' },
+        checkOut: { type: 'string', format: 'date', 'x-after': 'checkIn' },
+        guests: { type: 'integer', minimum: 1, default: 1 },
+        roomId: { type: 'string' },
+        language: { type: 'string', enum: ['ru', 'kk', 'en'] }
+    }
+};
+
+describe('validateValue', () => {
+    test('coerces strings and applies defaults', () => {
+        const { value, errors } = validateValue(schema, { checkIn: '2025-07-01', checkOut: '2025-07-03', roomId: 101 });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { checkIn: '2025-07-01', checkOut: '2025-07-03', roomId: '101', guests: 1 });
+        assert.equal(validateValue(schema, { checkIn: '2025-07-01', checkOut: '2025-07-03', guests: '3' }).value.guests, 3);
+    });
+
+    test('reports every invalid field', () => {
+        const { errors } = validateValue(schema, { checkIn: '2025-02-30', guests: '1.5', language: 'de' }, 'body');
+        assert.deepEqual(errors, [
+            { field: 'body.checkOut', message: 'is required' },
+            { field: 'body.checkIn', message: 'must be a date in YYYY-MM-DD format' },
+            { field: 'body.guests', message: 'must be an integer' },
+            { field: 'body.language', message: 'must be one of: ru, kk, en' }
+        ]);
+    });
+
+    test('checks date order', () => {
+        const { errors } = validateValue(schema, { checkIn: '2025-07-03', checkOut: '2025-07-03' });
+        assert.deepEqual(errors, [{ field: 'checkOut', message: 'must be after checkIn' }]);
+    });
+
+    test('validates array items', () => {
+        const arraySchema = { type: 'array', minItems: 1, items: { type: 'object', required: ['roomType'] } };
+        assert.deepEqual(validateValue(arraySchema, [{}], 'rooms').errors, [{ field: 'rooms[0].roomType', message: 'is required' }]);
+        assert.deepEqual(validateValue(arraySchema, [], 'rooms').errors, [{ field: 'rooms', message: 'must contain at least 1 items' }]);
+    });
+});
+
+describe('validateRequest', () => {
+    const run = req => {
+        let response = null;
+        const res = { status: code => ({ json: body => { response = { code, body }; } }) };
+        let passed = false;
+        validateRequest({ body: schema })(req, res, () => { passed = true; });
+        return { passed, response };
+    };
+
+    test('replaces the body with coerced values', () => {
+        const req = { body: { checkIn: '2025-07-01', checkOut: '2025-07-03', guests: '2' } };
+        assert.equal(run(req).passed, true);
+        assert.equal(req.body.guests, 2);
+    });
+
+    test('responds 400 in the common envelope', () => {
+        const { passed, response } = run({ body: { checkIn: '2025-07-01' } });
+        assert.equal(passed, false);
+        assert.equal(response.code, 400);
+        assert.equal(response.body.status_msg, 'error');
+        assert.equal(response.body.message, 'checkOut is required');
+    });
+});
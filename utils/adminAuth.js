@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+// Сравнение строк за постоянное время (через хэши одинаковой длины)
+function safeEqual(expected, actual) {
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const actualHash = crypto.createHash('sha256').update(actual).digest();
+    return crypto.timingSafeEqual(expectedHash, actualHash);
+}
+
+// Запрос с Authorization: Bearer <ADMIN_TOKEN>
+function isAdminRequest(req) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    return Boolean(adminToken && token && safeEqual(adminToken, token));
+}
+
+// Проверка административного токена: Authorization: Bearer <ADMIN_TOKEN>.
+// Без настроенного ADMIN_TOKEN административные маршруты отключены.
+export function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(403).json({
+            status: false,
+            status_msg: "error",
+            message: "Admin access is not configured (ADMIN_TOKEN)"
+        });
+    }
+
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({
+            status: false,
+            status_msg: "error",
+            message: "Unauthorized"
+        });
+    }
+
+    next();
+}
+
+// Токен брони для гостя – HMAC от ID сделки на BOOKING_SECRET.
+// Без BOOKING_SECRET токены не выдаются и самостоятельное изменение брони отключено.
+export function bookingToken(dealId) {
+    const secret = process.env.BOOKING_SECRET;
+    if (!secret) {
+        return null;
+    }
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`booking:${dealId}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+export function verifyBookingToken(token, dealId) {
+    const expected = bookingToken(dealId);
+    return Boolean(expected && typeof token === 'string' && token && safeEqual(expected, token));
+}
+
+// Доступ к брони :id – персонал по ADMIN_TOKEN или гость по токену брони (?token=)
+export function requireBookingAccess(req, res, next) {
+    if (isAdminRequest(req) || verifyBookingToken(req.query.token, req.params.id)) {
+        return next();
+    }
+
+    res.status(401).json({
+        status: false,
+        status_msg: "error",
+        message: "Unauthorized"
+    });
+}
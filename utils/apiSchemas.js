@@ -0,0 +1,410 @@
+// Схемы маршрутов API: по ним проверяются запросы (utils/validation.js)
+// и строится документ OpenAPI (utils/openapi.js), опубликованный на /docs.
+// Каждая схема: method, path (в формате Express, относительно BASE_URL), summary, tags,
+// params/query/body – JSON Schema объекта, admin – маршрут требует ADMIN_TOKEN,
+// upload – файлы в multipart/form-data ({ field, maxItems }),
+// responses – { [код]: описание } сверх стандартных 400/500.
+
+const LANGUAGES = ['ru', 'kk', 'en'];
+
+const date = description => ({ type: 'string', format: 'date', description });
+
+export function createApiSchemas(registry, { maxUploadFiles = 20 } = {}) {
+    const roomType = {
+        type: 'string',
+        enum: registry.getAll().map(category => category.field),
+        description: 'Код поля категории в Bitrix (см. GET /categories/)'
+    };
+    // Для галереи: папки категорий с фото, slug и коды полей
+    const imageFolders = [...new Set(registry.getAll().map(category => category.imageFolder).filter(Boolean))];
+    const categoryKeys = registry.getAll().flatMap(category => [category.slug, category.field]);
+    const roomId = { type: 'string', minLength: 1, maxLength: 50, description: 'ID номера в поле категории' };
+    const stay = {
+        checkIn: date('Дата заезда'),
+        checkOut: { ...date('Дата выезда'), 'x-after': 'checkIn' }
+    };
+    const guests = {
+        adults: { type: 'integer', minimum: 1, maximum: 20, default: 1, description: 'Взрослых' },
+        children: { type: 'integer', minimum: 0, maximum: 20, default: 0, description: 'Детей' }
+    };
+    const contact = {
+        contactName: { type: 'string', minLength: 1, maxLength: 200 },
+        contactPhone: { type: 'string', format: 'phone', description: 'Телефон гостя' },
+        contactEmail: { type: 'string', format: 'email' },
+        language: { type: 'string', enum: LANGUAGES, description: 'Язык уведомлений гостя' },
+        comments: { type: 'string', maxLength: 2000 }
+    };
+    const imageCategoryParams = {
+        type: 'object',
+        required: ['category'],
+        properties: { category: { type: 'string', description: 'slug или код поля категории' } }
+    };
+    const imageId = { type: 'string', pattern: '^[0-9a-f]{16}$', description: 'ID фото из GET /images/' };
+    const promoCode = { type: 'string', pattern: '^[A-Za-z0-9_-]{3,32}$', description: 'Промокод (регистр не важен)' };
+    const dealIdParams = {
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'string', pattern: '^\\d+$', description: 'ID сделки Bitrix' } }
+    };
+    // Гость подтверждает доступ к брони токеном из уведомления, персонал – ADMIN_TOKEN
+    const bookingTokenQuery = {
+        type: 'object',
+        properties: { token: { type: 'string', description: 'Токен брони из уведомления о создании' } }
+    };
+
+    return {
+        getImages: {
+            method: 'get',
+            path: 'images/',
+            summary: 'Галерея категории',
+            tags: ['Каталог'],
+            query: {
+                type: 'object',
+                anyOf: [{ required: ['folder'] }, { required: ['category'] }],
+                properties: {
+                    folder: { type: 'string', enum: imageFolders, description: 'Папка категории в static/images' },
+                    category: { type: 'string', enum: categoryKeys, description: 'slug или код поля категории' },
+                    lang: { type: 'string', enum: LANGUAGES, default: 'ru', description: 'Язык подписей и alt' }
+                }
+            },
+            responses: { 404: 'У категории нет фотографий' }
+        },
+        uploadImages: {
+            method: 'post',
+            path: 'images/:category/upload',
+            summary: 'Загрузка фото категории',
+            tags: ['Галерея'],
+            admin: true,
+            params: imageCategoryParams,
+            upload: { field: 'images', maxItems: maxUploadFiles },
+            responses: { 404: 'Категория не найдена', 413: 'Файл превышает допустимый размер' }
+        },
+        reorderImages: {
+            method: 'post',
+            path: 'images/:category/order',
+            summary: 'Порядок фото категории',
+            tags: ['Галерея'],
+            admin: true,
+            params: imageCategoryParams,
+            body: {
+                type: 'object',
+                required: ['images'],
+                properties: {
+                    images: { type: 'array', minItems: 1, items: imageId, description: 'ID фото в новом порядке; не указанные идут следом' }
+                }
+            },
+            responses: { 404: 'Категория или фото не найдены' }
+        },
+        setImageCover: {
+            method: 'post',
+            path: 'images/:category/cover',
+            summary: 'Обложка категории',
+            tags: ['Галерея'],
+            admin: true,
+            params: imageCategoryParams,
+            body: {
+                type: 'object',
+                required: ['image'],
+                properties: { image: imageId }
+            },
+            responses: { 404: 'Категория или фото не найдены' }
+        },
+        deleteImage: {
+            method: 'post',
+            path: 'images/:category/:imageId/delete',
+            summary: 'Удаление фото категории',
+            tags: ['Галерея'],
+            admin: true,
+            params: {
+                type: 'object',
+                required: ['category', 'imageId'],
+                properties: { ...imageCategoryParams.properties, imageId }
+            },
+            responses: { 404: 'Категория или фото не найдены' }
+        },
+        getCategories: {
+            method: 'get',
+            path: 'categories/',
+            summary: 'Категории номеров объекта',
+            tags: ['Каталог']
+        },
+        bitrixEvents: {
+            method: 'post',
+            path: 'bitrix/events',
+            summary: 'Исходящий вебхук Bitrix24: изменения сделок',
+            tags: ['Интеграции'],
+            body: {
+                type: 'object',
+                required: ['event'],
+                properties: {
+                    event: { type: 'string', description: 'ONCRMDEALADD, ONCRMDEALUPDATE или ONCRMDEALDELETE' }
+                }
+            },
+            responses: { 403: 'Неверный application_token или BX_EVENT_TOKEN не настроен' }
+        },
+        getCalendarFeeds: {
+            method: 'get',
+            path: 'calendar/feeds',
+            summary: 'Ссылки на ICS-фиды категорий и номеров',
+            tags: ['Календари'],
+            admin: true
+        },
+        getCategoryCalendar: {
+            method: 'get',
+            path: 'calendar/:category.ics',
+            summary: 'ICS-фид категории',
+            tags: ['Календари'],
+            params: {
+                type: 'object',
+                required: ['category'],
+                properties: { category: { type: 'string', description: 'slug или код поля категории' } }
+            },
+            query: {
+                type: 'object',
+                properties: { token: { type: 'string', description: 'Токен фида' } }
+            },
+            produces: 'text/calendar',
+            responses: { 403: 'Неверный токен', 404: 'Категория не найдена' }
+        },
+        getRoomCalendar: {
+            method: 'get',
+            path: 'calendar/:category/:roomId.ics',
+            summary: 'ICS-фид номера',
+            tags: ['Календари'],
+            params: {
+                type: 'object',
+                required: ['category', 'roomId'],
+                properties: {
+                    category: { type: 'string', description: 'slug или код поля категории' },
+                    roomId
+                }
+            },
+            query: {
+                type: 'object',
+                properties: { token: { type: 'string', description: 'Токен фида' } }
+            },
+            produces: 'text/calendar',
+            responses: { 403: 'Неверный токен', 404: 'Категория или номер не найдены' }
+        },
+        init: {
+            method: 'post',
+            path: 'init/',
+            summary: 'Подключение входящего вебхука Bitrix24',
+            tags: ['Администрирование'],
+            admin: true,
+            body: {
+                type: 'object',
+                required: ['bx_link'],
+                properties: {
+                    bx_link: { type: 'string', pattern: '^https?://\\S+/$', description: 'Ссылка входящего вебхука, заканчивается на /' }
+                }
+            }
+        },
+        getRooms: {
+            method: 'get',
+            path: 'rooms/',
+            summary: 'Номера категории и их брони за месяц',
+            tags: ['Номера'],
+            query: {
+                type: 'object',
+                required: ['year', 'month', 'category'],
+                properties: {
+                    year: { type: 'integer', minimum: 2000, maximum: 2100 },
+                    month: { type: 'integer', minimum: 1, maximum: 12 },
+                    category: roomType
+                }
+            }
+        },
+        checkAvailability: {
+            method: 'post',
+            path: 'rooms/check-availability',
+            summary: 'Доступность номера и загрузка категории',
+            tags: ['Номера'],
+            body: {
+                type: 'object',
+                required: ['roomType', 'checkIn', 'checkOut'],
+                properties: { roomId, roomType, ...stay }
+            }
+        },
+        quote: {
+            method: 'post',
+            path: 'rooms/quote',
+            summary: 'Расчёт стоимости проживания',
+            tags: ['Номера'],
+            body: {
+                type: 'object',
+                required: ['roomType', 'checkIn', 'checkOut'],
+                properties: {
+                    roomType,
+                    ...stay,
+                    promoCode,
+                    contactPhone: { ...contact.contactPhone, description: 'Телефон гостя для проверки лимита промокода' }
+                }
+            }
+        },
+        search: {
+            method: 'post',
+            path: 'search',
+            summary: 'Поиск свободных номеров во всех категориях',
+            tags: ['Номера'],
+            body: {
+                type: 'object',
+                required: ['checkIn', 'checkOut'],
+                properties: {
+                    ...stay,
+                    guests: { type: 'integer', minimum: 1, maximum: 50, default: 1 }
+                }
+            }
+        },
+        createBooking: {
+            method: 'post',
+            path: 'booking/create',
+            summary: 'Создание брони',
+            tags: ['Бронирование'],
+            body: {
+                type: 'object',
+                required: ['roomId', 'roomType', 'checkIn', 'checkOut', 'contactName', 'contactPhone'],
+                properties: { roomId, roomType, ...stay, ...guests, ...contact, promoCode }
+            },
+            responses: { 409: 'Номер занят или уже бронируется' }
+        },
+        createGroupBooking: {
+            method: 'post',
+            path: 'booking/group',
+            summary: 'Групповая бронь нескольких номеров',
+            tags: ['Бронирование'],
+            body: {
+                type: 'object',
+                required: ['contactName', 'contactPhone', 'rooms'],
+                properties: {
+                    ...contact,
+                    rooms: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: 10,
+                        items: {
+                            type: 'object',
+                            required: ['roomType', 'checkIn', 'checkOut'],
+                            properties: {
+                                roomType,
+                                roomId: { ...roomId, description: 'Без roomId номер подбирается автоматически' },
+                                ...stay,
+                                ...guests
+                            }
+                        }
+                    }
+                }
+            },
+            responses: { 409: 'Недостаточно свободных номеров' }
+        },
+        cancelBooking: {
+            method: 'post',
+            path: 'booking/:id/cancel',
+            summary: 'Отмена брони',
+            tags: ['Бронирование'],
+            params: dealIdParams,
+            query: bookingTokenQuery,
+            body: {
+                type: 'object',
+                properties: { reason: { type: 'string', maxLength: 500, default: '' } }
+            },
+            responses: { 401: 'Нет ADMIN_TOKEN или токена брони', 404: 'Бронь не найдена', 409: 'Бронь уже отменена' }
+        },
+        modifyBooking: {
+            method: 'post',
+            path: 'booking/:id/modify',
+            summary: 'Изменение дат или номера брони',
+            tags: ['Бронирование'],
+            params: dealIdParams,
+            query: bookingTokenQuery,
+            body: {
+                type: 'object',
+                properties: { roomId, roomType, ...stay }
+            },
+            responses: { 401: 'Нет ADMIN_TOKEN или токена брони', 404: 'Бронь не найдена', 409: 'Бронь отменена или номер занят' }
+        },
+        getPayment: {
+            method: 'get',
+            path: 'payments/:id',
+            summary: 'Статус платежа',
+            tags: ['Оплата'],
+            params: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: 'string', format: 'uuid' } }
+            },
+            responses: { 404: 'Платёж не найден' }
+        },
+        paymentCallback: {
+            method: 'post',
+            path: 'payments/callback/:provider',
+            summary: 'Уведомление платёжного провайдера',
+            tags: ['Оплата'],
+            params: {
+                type: 'object',
+                required: ['provider'],
+                properties: { provider: { type: 'string', pattern: '^[\\w-]+$' } }
+            },
+            responses: { 404: 'Провайдер или платёж не найдены' }
+        },
+        mockCheckout: {
+            method: 'get',
+            path: 'payments/mock/:providerPaymentId',
+            summary: 'Страница оплаты тестового провайдера',
+            tags: ['Оплата'],
+            params: {
+                type: 'object',
+                required: ['providerPaymentId'],
+                properties: { providerPaymentId: { type: 'string' } }
+            },
+            query: {
+                type: 'object',
+                properties: { status: { type: 'string', enum: ['paid', 'failed'], default: 'paid' } }
+            },
+            responses: { 404: 'Платёж не найден' }
+        },
+        getHealth: {
+            method: 'get',
+            path: 'health',
+            summary: 'Процесс жив',
+            tags: ['Служебные']
+        },
+        getReady: {
+            method: 'get',
+            path: 'ready',
+            summary: 'Готовность: расшифровка вебхука и ответ Bitrix',
+            tags: ['Служебные'],
+            responses: { 503: 'Bitrix недоступен или ключи не подходят' }
+        },
+        getPerformanceReport: {
+            method: 'get',
+            path: 'reports/performance',
+            summary: 'Загрузка и выручка за период: occupancy, ADR, RevPAR, номеро-ночи, сроки бронирования и проживания',
+            tags: ['Отчёты'],
+            admin: true,
+            query: {
+                type: 'object',
+                required: ['from', 'to'],
+                properties: {
+                    from: date('Первая ночь периода'),
+                    to: date('Последняя ночь периода (включительно)'),
+                    format: { type: 'string', enum: ['json', 'csv', 'xlsx'], default: 'json', description: 'Формат ответа' },
+                    view: { type: 'string', enum: ['categories', 'days'], default: 'categories', description: 'Таблица для CSV' }
+                }
+            }
+        },
+        getMetrics: {
+            method: 'get',
+            path: 'metrics',
+            summary: 'Метрики Prometheus',
+            tags: ['Служебные'],
+            produces: 'text/plain'
+        },
+        getDocs: {
+            method: 'get',
+            path: 'docs',
+            summary: 'Документ OpenAPI',
+            tags: ['Служебные']
+        }
+    };
+}
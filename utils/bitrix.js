@@ -1,47 +1,208 @@
 import { decryptText } from './crypto.js';
 import { logMessage } from './logger.js';
+import { formatDate, parseDate, monthBounds, monthsInRange } from './dates.js';
+import { TtlCache } from './cache.js';
+import { readEnvFile, envFilePath } from './envFile.js';
+import { categoryRegistry } from './categories.js';
+import { normalizePhone, normalizeEmail, phoneLookupVariants } from './phone.js';
+import { metrics } from './metrics.js';
 import path from 'path';
+import fs from 'fs';
 import dotenv from 'dotenv';
 import { log } from 'console';
 
 const envPath = path.join(process.cwd(), '.env');
 dotenv.config({ path: envPath });
 
-class BitrixClient {
+// Ограничения REST API Bitrix24
+const BITRIX_PAGE_SIZE = 50; // записей на страницу в *.list
+const BATCH_COMMAND_LIMIT = 50; // команд в одном batch
+
+// Время жизни кэша: поля сделки и списки номеров меняются редко,
+// наборы сделок дополнительно сбрасываются по событиям Bitrix (POST /bitrix/events)
+const FIELDS_CACHE_TTL_MS = 10 * 60 * 1000;
+const DEALS_CACHE_TTL_MS = Number(process.env.BX_DEALS_CACHE_TTL_SECONDS || 60) * 1000;
+
+const monthKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+const dealsCacheKey = (field, year, month) => `deals:${field}:${monthKey(year, month)}`;
+
+// Стадия "проигрыша" воронки бронирований, в неё переводятся отменённые брони
+const LOST_STAGE_ID = process.env.BX_LOST_STAGE_ID || 'LOSE';
+// Стадия брони с полученной предоплатой
+const PAID_STAGE_ID = process.env.BX_PAID_STAGE_ID || 'EXECUTING';
+
+// Сериализация параметров в формате PHP: fields[PHONE][0][VALUE]=...
+// Вложенные объекты и массивы (например, PHONE у контакта) разворачиваются рекурсивно.
+function appendQueryParam(queryParams, key, value) {
+    if (value === null || value === undefined) {
+        queryParams.append(key, '');
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => appendQueryParam(queryParams, `${key}[${index}]`, item));
+    } else if (typeof value === 'object') {
+        for (const [nestedKey, nestedValue] of Object.entries(value)) {
+            appendQueryParam(queryParams, `${key}[${nestedKey}]`, nestedValue);
+        }
+    } else {
+        queryParams.append(key, value);
+    }
+}
+
+// Гости, привязка к групповой брони и скидка пишутся в пользовательские поля из config/property.json (dealFields),
+// а если поле не настроено – строкой в комментарий сделки
+const GUEST_FIELD_LABELS = {
+    adults: 'Взрослых',
+    children: 'Детей',
+    groupParent: 'Групповая бронь #',
+    promoCode: 'Промокод',
+    discount: 'Скидка'
+};
+
+function applyGuestFields(fields, { adults, children, parentDealId, promoCode, discount }) {
+    const values = { adults, children, groupParent: parentDealId, promoCode, discount };
+    const notes = [];
+
+    for (const [name, value] of Object.entries(values)) {
+        if (value === undefined || value === null) continue;
+
+        const code = categoryRegistry.dealFields[name];
+        if (code) {
+            fields[code] = value;
+        } else {
+            notes.push(name === 'groupParent' ? `${GUEST_FIELD_LABELS[name]}${value}` : `${GUEST_FIELD_LABELS[name]}: ${value}`);
+        }
+    }
+
+    if (notes.length > 0) {
+        fields.COMMENTS = [fields.COMMENTS, notes.join('\n')].filter(Boolean).join('\n\n');
+    }
+    return fields;
+}
+
+// Значение, записанное applyGuestFields: из поля сделки или строки комментария, null – не задано
+function readGuestField(deal, name) {
+    const code = categoryRegistry.dealFields[name];
+    if (code) {
+        return deal[code] === undefined || deal[code] === null || deal[code] === '' ? null : deal[code];
+    }
+    const prefix = `${GUEST_FIELD_LABELS[name]}: `;
+    const line = String(deal.COMMENTS || '').split('\n').find(item => item.startsWith(prefix));
+    return line ? line.slice(prefix.length).trim() : null;
+}
+
+// Замена значений при изменении сделки (null – очистить): поле сделки или строка текущего комментария comments.
+// Без comments (null) комментарий не переписывается, чтобы не потерять его содержимое
+function updateGuestFields(fields, comments, values) {
+    const lines = String(comments || '').split('\n');
+    let commentsChanged = false;
+
+    for (const [name, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+
+        const code = categoryRegistry.dealFields[name];
+        if (code) {
+            fields[code] = value === null ? '' : value;
+            continue;
+        }
+        if (comments === null) continue;
+
+        const prefix = `${GUEST_FIELD_LABELS[name]}: `;
+        const index = lines.findIndex(line => line.startsWith(prefix));
+        if (value !== null) {
+            if (index !== -1) {
+                lines[index] = `${prefix}${value}`;
+            } else {
+                lines.push(`${prefix}${value}`);
+            }
+            commentsChanged = true;
+        } else if (index !== -1) {
+            lines.splice(index, 1);
+            commentsChanged = true;
+        }
+    }
+
+    if (commentsChanged) {
+        fields.COMMENTS = lines.join('\n').trim();
+    }
+    return fields;
+}
+
+export class BitrixClient {
     constructor() {
-        this.baseUrl = process.env.BX_LINK;
-        this.cryptoKey = process.env.CRYPTO_KEY;
-        this.cryptoIV = process.env.CRYPTO_IV;
+        this.loadCredentials();
+
+        // BX_MODE=fake – работа с локальным стендом (npm run fake-bitrix) вместо портала
+        this.fakeUrl = process.env.BX_MODE === 'fake'
+            ? (process.env.BX_FAKE_URL || 'http://127.0.0.1:4672/rest/')
+            : null;
+
+        // Отсутствие BX_LINK/CRYPTO_KEY/CRYPTO_IV не мешает запуску: их можно задать через POST /init,
+        // ошибка возникнет при первом обращении к Bitrix (см. getWebhookUrl)
+
+        this.cache = new TtlCache();
+        // Поколение кэша сделок: растёт при каждой инвалидации. Запрос, начатый до неё,
+        // свой результат в кэш не кладёт – иначе прежние сделки вернулись бы в кэш после сброса
+        this.dealsGeneration = 0;
+    }
+
+    // Загрузка BX_LINK/CRYPTO_KEY/CRYPTO_IV: значения из .env важнее переменных окружения,
+    // чтобы /init и npm run rotate-keys применялись без перезапуска
+    loadCredentials() {
+        const fileEnv = readEnvFile();
+        this.baseUrl = fileEnv.BX_LINK || process.env.BX_LINK;
+        this.cryptoKey = fileEnv.CRYPTO_KEY || process.env.CRYPTO_KEY;
+        this.cryptoIV = fileEnv.CRYPTO_IV || process.env.CRYPTO_IV;
+        this.envMtime = fs.existsSync(envFilePath) ? fs.statSync(envFilePath).mtimeMs : null;
+    }
+
+    // Перечитывание учётных данных, если .env изменился с момента загрузки
+    refreshCredentials() {
+        const mtime = fs.existsSync(envFilePath) ? fs.statSync(envFilePath).mtimeMs : null;
+        if (mtime === this.envMtime) {
+            return;
+        }
+
+        const previousUrl = this.baseUrl;
+        this.loadCredentials();
 
-        // Проверяем наличие необходимых переменных окружения
+        // Новый вебхук может указывать на другой портал – закэшированные данные больше не верны
+        if (this.baseUrl !== previousUrl) {
+            this.cache.clear();
+            this.dealsGeneration++;
+        }
+        logMessage(LOG_TYPES.I, 'BitrixClient.refreshCredentials', 'Bitrix credentials reloaded from .env');
+    }
+
+    // Адрес входящего вебхука: расшифрованный BX_LINK либо адрес локального стенда
+    async getWebhookUrl() {
+        if (this.fakeUrl) {
+            return this.fakeUrl;
+        }
+
+        this.refreshCredentials();
         if (!this.baseUrl || !this.cryptoKey || !this.cryptoIV) {
             throw new Error('Missing required environment variables: BX_LINK, CRYPTO_KEY, or CRYPTO_IV');
         }
+
+        return decryptText(
+            this.baseUrl,
+            this.cryptoKey,
+            this.cryptoIV
+        );
     }
 
     async makeRequest(method, params = {}) {
+        const startedAt = Date.now();
         try {
             if (!method) {
                 throw new Error('Method is required');
             }
 
-            const decryptedUrl = await decryptText(
-                this.baseUrl,
-                this.cryptoKey,
-                this.cryptoIV
-            );
+            const decryptedUrl = await this.getWebhookUrl();
 
             // Преобразуем параметры в URL-строку
             const queryParams = new URLSearchParams();
             for (const [key, value] of Object.entries(params)) {
-                if (typeof value === 'object') {
-                    // Для вложенных объектов (например, fields)
-                    for (const [fieldKey, fieldValue] of Object.entries(value)) {
-                        queryParams.append(`${key}[${fieldKey}]`, fieldValue);
-                    }
-                } else {
-                    queryParams.append(key, value);
-                }
+                appendQueryParam(queryParams, key, value);
             }
 
             const url = `${decryptedUrl}${method}?${queryParams.toString()}`;
@@ -63,47 +224,190 @@ class BitrixClient {
                 throw new Error(`Bitrix API error: ${data.error}`);
             }
 
+            metrics.recordBitrixCall(method, Date.now() - startedAt);
+            logMessage(LOG_TYPES.D, 'BitrixClient.makeRequest', method, { method, durationMs: Date.now() - startedAt });
             return data;
         } catch (error) {
-            logMessage('ERROR', 'BitrixClient.makeRequest', error);
+            // Ошибки до обращения к Bitrix (нет метода или ключей) в метрики вызовов не попадают
+            if (method) {
+                metrics.recordBitrixCall(method, Date.now() - startedAt, true);
+            }
+            logMessage(LOG_TYPES.E, 'BitrixClient.makeRequest', error, { method, durationMs: Date.now() - startedAt });
+            throw error;
+        }
+    }
+
+    // Постраничное получение всех элементов списочного метода (*.list).
+    // Bitrix отдаёт не больше 50 записей за вызов и возвращает next, пока есть продолжение.
+    async listAll(method, params = {}) {
+        try {
+            const items = [];
+            let start = 0;
+
+            while (start !== undefined && start !== null) {
+                const response = await this.makeRequest(method, { ...params, start });
+                if (!Array.isArray(response.result)) {
+                    throw new Error(`Invalid list response for ${method}`);
+                }
+
+                items.push(...response.result);
+                start = response.next;
+            }
+
+            return items;
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'BitrixClient.listAll', error);
+            throw error;
+        }
+    }
+
+    // Выполнение batch-запроса. Команды разбиваются на пачки по BATCH_COMMAND_LIMIT,
+    // ответы пачек объединяются в один объект { result, result_total, result_next }.
+    async callBatch(commands) {
+        // Начало текущего HTTP-вызова batch, для метрик при ошибке
+        let startedAt = null;
+        try {
+            const decryptedUrl = await this.getWebhookUrl();
+
+            const merged = {
+                result: {},
+                result_total: {},
+                result_next: {}
+            };
+
+            const entries = Object.entries(commands);
+            for (let i = 0; i < entries.length; i += BATCH_COMMAND_LIMIT) {
+                const chunk = entries.slice(i, i + BATCH_COMMAND_LIMIT);
+
+                // Формируем URL с параметрами
+                const queryParams = new URLSearchParams();
+                queryParams.append('halt', '0');
+                for (const [key, value] of chunk) {
+                    queryParams.append(`cmd[${key}]`, value);
+                }
+
+                const url = `${decryptedUrl}batch?${queryParams.toString()}`;
+                startedAt = Date.now();
+
+                const httpResponse = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                if (!httpResponse.ok) {
+                    throw new Error(`HTTP error! status: ${httpResponse.status}`);
+                }
+
+                const data = await httpResponse.json();
+
+                if (data.error) {
+                    throw new Error(`Batch request failed: ${data.error}`);
+                }
+
+                if (!data.result || !data.result.result) {
+                    throw new Error('Invalid batch response format');
+                }
+
+                // Проверяем наличие ошибок в ответе (Bitrix отдаёт [] или объект по командам)
+                const resultError = data.result.result_error;
+                if (resultError && Object.keys(resultError).length > 0) {
+                    throw new Error(`Batch request errors: ${JSON.stringify(resultError)}`);
+                }
+
+                metrics.recordBitrixCall('batch', Date.now() - startedAt);
+                logMessage(LOG_TYPES.D, 'BitrixClient.callBatch', `batch of ${chunk.length}`, { commands: chunk.length, durationMs: Date.now() - startedAt });
+                startedAt = null;
+
+                Object.assign(merged.result, data.result.result);
+                Object.assign(merged.result_total, data.result.result_total || {});
+                Object.assign(merged.result_next, data.result.result_next || {});
+            }
+
+            return merged;
+        } catch (error) {
+            if (startedAt !== null) {
+                metrics.recordBitrixCall('batch', Date.now() - startedAt, true);
+            }
+            logMessage(LOG_TYPES.E, 'BitrixClient.callBatch', error);
             throw error;
         }
     }
 
+    // Постраничный batch для списочных команд: { alias: 'crm.deal.list?...' } -> { alias: [...все записи] }.
+    // Первая страница каждой команды запрашивается сразу, остальные – по result_total.
+    async batchList(commands) {
+        const firstPage = await this.callBatch(commands);
+
+        const items = {};
+        const pageCommands = {};
+
+        for (const [alias, command] of Object.entries(commands)) {
+            items[alias] = [...(firstPage.result[alias] || [])];
+
+            const total = Number(firstPage.result_total[alias]) || 0;
+            if (firstPage.result_next[alias] === undefined || total <= items[alias].length) continue;
+
+            for (let start = items[alias].length; start < total; start += BITRIX_PAGE_SIZE) {
+                pageCommands[`${alias}__${start}`] = `${command}&start=${start}`;
+            }
+        }
+
+        if (Object.keys(pageCommands).length === 0) {
+            return items;
+        }
+
+        const nextPages = await this.callBatch(pageCommands);
+
+        // Склеиваем страницы в порядке смещения
+        for (const key of Object.keys(pageCommands)) {
+            const alias = key.slice(0, key.lastIndexOf('__'));
+            items[alias].push(...(nextPages.result[key] || []));
+        }
+
+        return items;
+    }
+
     // Получение списка категорий номеров
     async getRoomCategories() {
         return {
-            result: [
-                { NAME: 'Стандарт' },
-                { NAME: 'Люкс' },
-                { NAME: 'Комфорт' },
-                { NAME: 'Стандарт Plus' },
-                { NAME: 'Таунхаус' },
-                { NAME: 'Таунхаус Big' },
-                { NAME: 'Домик 1' },
-                { NAME: 'Домик 2' },
-                { NAME: 'Домик 3' }
-            ]
+            result: categoryRegistry.getAll().map(category => ({
+                NAME: category.names.ru,
+                SLUG: category.slug,
+                FIELD: category.field
+            }))
         };
     }
 
     // Получение полей сделки
     async getDealFields() {
         try {
-            const response = await this.makeRequest('crm.deal.fields');
-            if (!response.result) {
-                throw new Error('Failed to get deal fields');
-            }
+            return await this.cache.wrap('fields', FIELDS_CACHE_TTL_MS, async () => {
+                const response = await this.makeRequest('crm.deal.fields');
+                if (!response.result) {
+                    throw new Error('Failed to get deal fields');
+                }
 
-            return response.result;
+                return response.result;
+            });
         } catch (error) {
-            logMessage('ERROR', 'BitrixClient.getDealFields', error);
+            logMessage(LOG_TYPES.E, 'BitrixClient.getDealFields', error);
             throw error;
         }
     }
 
-    // Получение списка комнат из полей сделки по категории
+    // Получение списка комнат из полей сделки по категории (с кэшем)
     async getRoomsFromFields(categoryField) {
+        if (!categoryField) {
+            throw new Error('Category field is required');
+        }
+
+        return this.cache.wrap(`rooms:${categoryField}`, FIELDS_CACHE_TTL_MS, () => this.fetchRoomsFromFields(categoryField));
+    }
+
+    // Запрос списка комнат категории в Bitrix
+    async fetchRoomsFromFields(categoryField) {
         try {
             if (!categoryField) {
                 throw new Error('Category field is required');
@@ -150,114 +454,147 @@ class BitrixClient {
 
             throw new Error(`Unsupported field type ${categoryFieldData.type} for field ${categoryField}`);
         } catch (error) {
-            logMessage('ERROR', 'BitrixClient.getRoomsFromFields', error);
+            logMessage(LOG_TYPES.E, 'BitrixClient.fetchRoomsFromFields', error);
             throw error;
         }
     }
 
-    // Получение списка сделок (бронирований) с фильтрацией по месяцу
+    // Получение списка сделок (бронирований), пересекающихся с месяцем.
+    // Наборы сделок кэшируются по категории и месяцу.
     async getDealsByMonth(year, month, categoryField = null) {
         try {
-            const startDate = new Date(year, month - 1, 1);
-            const endDate = new Date(year, month, 0);
-
-            const startDateStr = startDate.toISOString().split('T')[0];
-            const endDateStr = endDate.toISOString().split('T')[0];
-
-            const decryptedUrl = await decryptText(
-                this.baseUrl,
-                this.cryptoKey,
-                this.cryptoIV
-            );
-
-            const roomCategoryFields = {
-                standard: 'UF_CRM_DEAL_1750132990506',
-                lux: 'UF_CRM_DEAL_1750133047593',
-                comfort: 'UF_CRM_1750505541730',
-                standard_plus: 'UF_CRM_1750505607',
-                townhouse: 'UF_CRM_1750505755286',
-                townhouse_big: 'UF_CRM_1750505983944',
-                house_1: 'UF_CRM_1750506555',
-                house_2: 'UF_CRM_1750506568',
-                house_3: 'UF_CRM_1750506579'
-            };
+            const fields = categoryField
+                ? [categoryField]
+                : categoryRegistry.getAll().map(category => category.field);
 
-            let commands = {};
+            const dealsByField = {};
+            const missing = [];
+            for (const field of fields) {
+                const cached = this.cache.get(dealsCacheKey(field, year, month));
+                if (cached) {
+                    dealsByField[field] = cached;
+                } else {
+                    missing.push(field);
+                }
+            }
 
-            if (categoryField) {
-                // Если передана конкретная категория, делаем запрос только для неё
-                commands = {
-                    category: `crm.deal.list?filter[>=UF_CRM_1749509439624]=${startDateStr}&filter[<=UF_CRM_1749787453685]=${endDateStr}&select[]=ID&select[]=UF_CRM_1749509439624&select[]=UF_CRM_1749787453685&select[]=${categoryField}&select[]=COMMENTS`
-                };
-            } else {
-                // Формируем команды для всех категорий
-                for (const [alias, fieldCode] of Object.entries(roomCategoryFields)) {
-                    commands[alias] = `crm.deal.list?filter[>=UF_CRM_1749509439624]=${startDateStr}&filter[<=UF_CRM_1749787453685]=${endDateStr}&select[]=ID&select[]=UF_CRM_1749509439624&select[]=UF_CRM_1749787453685&select[]=${fieldCode}&select[]=COMMENTS`;
+            // Недостающие категории запрашиваются одним batch
+            if (missing.length > 0) {
+                const { start, end } = monthBounds(year, month);
+                const generation = this.dealsGeneration;
+                const fetched = await this.fetchDeals(start, end, missing);
+                for (const field of missing) {
+                    dealsByField[field] = fetched[field] || [];
+                    if (generation === this.dealsGeneration) {
+                        this.cache.set(dealsCacheKey(field, year, month), dealsByField[field], DEALS_CACHE_TTL_MS);
+                    }
                 }
             }
 
-            // Формируем URL с параметрами
-            const queryParams = new URLSearchParams();
-            queryParams.append('halt', '0');
-            for (const [key, value] of Object.entries(commands)) {
-                queryParams.append(`cmd[${key}]`, value);
+            return this.formatDealsResult(dealsByField, categoryField);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'BitrixClient.getDealsByMonth', error);
+            throw error;
+        }
+    }
+
+    // Получение списка сделок, пересекающихся с периодом [startDate, endDate].
+    // Собирается из месячных наборов, поэтому проживание на стыке месяцев видно целиком.
+    // Сделки, пересекающиеся с месяцем, но не с периодом, отфильтровываются вызывающим кодом.
+    async getDealsByRange(startDate, endDate, categoryField = null) {
+        try {
+            if (!startDate || !endDate) {
+                throw new Error('Start and end dates are required');
             }
 
-            const url = `${decryptedUrl}batch?${queryParams.toString()}`;
+            const dealsByField = {};
+            const seen = {};
+            for (const { year, month } of monthsInRange(startDate, endDate)) {
+                const monthDeals = await this.getDealsByMonth(year, month, categoryField);
+                for (const [field, { deals }] of Object.entries(monthDeals)) {
+                    dealsByField[field] = dealsByField[field] || [];
+                    seen[field] = seen[field] || new Set();
+                    for (const deal of deals) {
+                        if (seen[field].has(deal.ID)) continue;
+                        seen[field].add(deal.ID);
+                        dealsByField[field].push(deal);
+                    }
+                }
+            }
 
-            const httpResponse = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
+            return this.formatDealsResult(dealsByField, categoryField);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'BitrixClient.getDealsByRange', error);
+            throw error;
+        }
+    }
+
+    // Формат ответа getDealsByMonth/getDealsByRange:
+    // { [field]: { deals } } для одной категории, { [field]: { rooms, deals } } для всех
+    formatDealsResult(dealsByField, categoryField) {
+        if (categoryField) {
+            return {
+                [categoryField]: {
+                    deals: dealsByField[categoryField] || []
                 }
-            });
+            };
+        }
 
-            if (!httpResponse.ok) {
-                throw new Error(`HTTP error! status: ${httpResponse.status}`);
-            }
+        const categoryResults = {};
+        for (const [field, deals] of Object.entries(dealsByField)) {
+            categoryResults[field] = {
+                rooms: {},
+                deals
+            };
+        }
+        return categoryResults;
+    }
 
-            const data = await httpResponse.json();
+    // Запрос в Bitrix сделок, пересекающихся с периодом, по списку полей категорий: { [field]: deals[] }
+    async fetchDeals(startDate, endDate, fields) {
+        const startDateStr = formatDate(parseDate(startDate));
+        const endDateStr = formatDate(parseDate(endDate));
 
-            if (data.error) {
-                throw new Error(`Batch request failed: ${data.error}`);
-            }
+        // Заезд не позже конца периода и выезд не раньше его начала, отменённые (проигранные) сделки не учитываются
+        const commands = {};
+        for (const field of fields) {
+            commands[field] = `crm.deal.list?filter[<=UF_CRM_1749509439624]=${endDateStr}&filter[>=UF_CRM_1749787453685]=${startDateStr}&filter[!STAGE_SEMANTIC_ID]=F&select[]=ID&select[]=UF_CRM_1749509439624&select[]=UF_CRM_1749787453685&select[]=${field}&select[]=COMMENTS&select[]=OPPORTUNITY&select[]=DATE_CREATE&select[]=ORIGINATOR_ID&order[ID]=ASC`;
+        }
 
-            if (!data.result || !data.result.result) {
-                throw new Error('Invalid batch response format');
-            }
+        // Получаем все страницы по каждой категории
+        return this.batchList(commands);
+    }
 
-            // Проверяем наличие ошибок в ответе
-            if (data.result.result_error && data.result.result_error.length > 0) {
-                throw new Error(`Batch request errors: ${JSON.stringify(data.result.result_error)}`);
-            }
+    // Сброс кэша сделок категории (или всех категорий) за месяцы периода (или за всё время)
+    invalidateDeals(categoryField = null, startDate = null, endDate = null) {
+        const monthKeys = startDate && endDate
+            ? new Set(monthsInRange(startDate, endDate).map(({ year, month }) => monthKey(year, month)))
+            : null;
 
-            // Получаем данные из вложенного result
-            const result = data.result.result;
+        this.dealsGeneration++;
+        return this.cache.deleteWhere(key => {
+            const [prefix, field, month] = key.split(':');
+            if (prefix !== 'deals') return false;
+            if (categoryField && field !== categoryField) return false;
+            return !monthKeys || monthKeys.has(month);
+        });
+    }
 
-            // Формируем результат
-            if (categoryField) {
-                // Если запрашивалась конкретная категория, возвращаем данные для неё
-                return {
-                    [categoryField]: {
-                        deals: result.category || []
-                    }
-                };
-            } else {
-                // Если запрашивались все категории, возвращаем для всех
-                const categoryResults = {};
-                for (const [alias, deals] of Object.entries(result)) {
-                    const fieldCode = roomCategoryFields[alias];
-                    if (!fieldCode) continue;
-                    categoryResults[fieldCode] = {
-                        rooms: {},
-                        deals: deals
-                    };
-                }
-                return categoryResults;
-            }
-        } catch (error) {
-            logMessage('ERROR', 'BitrixClient.getDealsByMonth', error);
-            throw error;
+    // Сброс всех закэшированных наборов, в которых есть сделка (её прежние даты и категория)
+    invalidateDeal(dealId) {
+        this.dealsGeneration++;
+        return this.cache.deleteWhere((key, value) =>
+            key.startsWith('deals:') && value.some(deal => String(deal.ID) === String(dealId))
+        );
+    }
+
+    // Сброс кэша после изменения брони: прежние наборы сделки и новые месяцы категории
+    invalidateBooking(dealId, categoryField, checkIn, checkOut) {
+        if (dealId) {
+            this.invalidateDeal(dealId);
+        }
+        if (categoryField && checkIn && checkOut) {
+            this.invalidateDeals(categoryField, checkIn, checkOut);
         }
     }
 
@@ -269,17 +606,109 @@ class BitrixClient {
 
         return this.makeRequest('crm.contact.get', {
             id: contactId,
-            select: ['NAME', 'LAST_NAME', 'PHONE']
+            select: ['NAME', 'LAST_NAME', 'PHONE', 'EMAIL']
         });
     }
 
+    // Поиск контакта гостя по телефону или email, при отсутствии – создание нового. Возвращает ID контакта.
+    // Телефон хранится в E.164, чтобы разные записи одного номера не плодили дубли
+    async findOrCreateContact({ name, phone, email = '' }) {
+        const normalizedPhone = normalizePhone(phone) || phone;
+        const normalizedEmail = normalizeEmail(email);
+
+        const contact = await this.findContact({ phone: normalizedPhone, email: normalizedEmail });
+        if (contact) {
+            // Ошибка обновления не должна мешать бронированию
+            try {
+                await this.updateContactDetails(contact, { name, phone: normalizedPhone, email: normalizedEmail });
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'BitrixClient.updateContactDetails', error);
+            }
+            return contact.ID;
+        }
+
+        const fields = {
+            NAME: name,
+            PHONE: [{ VALUE: normalizedPhone, VALUE_TYPE: 'WORK' }]
+        };
+        if (normalizedEmail) {
+            fields.EMAIL = [{ VALUE: normalizedEmail, VALUE_TYPE: 'WORK' }];
+        }
+
+        const newContactResult = await this.makeRequest('crm.contact.add', { fields });
+
+        if (!newContactResult.result) {
+            throw new Error('Failed to create contact');
+        }
+
+        return newContactResult.result;
+    }
+
+    // Поиск контакта гостя: сначала по телефону (в том числе записанному до нормализации), затем по email.
+    // При дублях берётся самый старый контакт
+    async findContact({ phone, email }) {
+        const select = ['ID', 'NAME', 'LAST_NAME', 'PHONE', 'EMAIL'];
+        const order = { ID: 'ASC' };
+
+        if (phone) {
+            const byPhone = await this.makeRequest('crm.contact.list', {
+                filter: { PHONE: phoneLookupVariants(phone) },
+                select,
+                order
+            });
+            if (byPhone.result && byPhone.result.length > 0) {
+                return byPhone.result[0];
+            }
+        }
+
+        if (email) {
+            const byEmail = await this.makeRequest('crm.contact.list', {
+                filter: { EMAIL: email },
+                select,
+                order
+            });
+            if (byEmail.result && byEmail.result.length > 0) {
+                return byEmail.result[0];
+            }
+        }
+
+        return null;
+    }
+
+    // Дополнение найденного контакта данными из новой брони: имя заменяется,
+    // телефон в E.164 и новый email добавляются к существующим (записи без ID Bitrix добавляет, а не заменяет)
+    async updateContactDetails(contact, { name, phone, email }) {
+        const fields = {};
+        const values = entries => (entries || []).map(entry => entry.VALUE);
+
+        const newName = (name || '').trim();
+        const currentName = [contact.NAME, contact.LAST_NAME].filter(Boolean).join(' ').trim();
+        if (newName && newName !== currentName) {
+            fields.NAME = newName;
+            fields.LAST_NAME = '';
+        }
+        if (phone && !values(contact.PHONE).includes(phone)) {
+            fields.PHONE = [{ VALUE: phone, VALUE_TYPE: 'WORK' }];
+        }
+        if (email && !values(contact.EMAIL).map(normalizeEmail).includes(email)) {
+            fields.EMAIL = [{ VALUE: email, VALUE_TYPE: 'WORK' }];
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return false;
+        }
+
+        await this.makeRequest('crm.contact.update', { id: contact.ID, fields });
+        return true;
+    }
+
     // Создание бронирования
     async createBooking(bookingData) {
         if (!bookingData) {
             throw new Error('Booking data is required');
         }
 
-        const { checkIn, checkOut, roomId, roomType, comments, contactId, totalCost } = bookingData;
+        const { checkIn, checkOut, roomId, roomType, comments, contactId, totalCost, adults, children, parentDealId, language, promoCode, discount } = bookingData;
 
         if (!checkIn || !checkOut || !roomId || !contactId || !roomType) {
             throw new Error('Missing required booking data: checkIn, checkOut, roomId, roomType, or contactId');
@@ -290,7 +719,7 @@ class BitrixClient {
         const roomName = roomsList[roomId] || roomId;
 
         const params = {
-            fields: {
+            fields: applyGuestFields({
                 TITLE: `Бронь на номер ${roomName} дата заезда ${checkIn}`,
                 CATEGORY_ID: 0, // ID воронки
                 UF_CRM_1749509439624: checkIn, // Дата заезда
@@ -299,20 +728,308 @@ class BitrixClient {
                 COMMENTS: comments || '',
                 CONTACT_ID: contactId,
                 OPPORTUNITY: totalCost || 0 // Стоимость бронирования
-            }
+            }, { adults, children, parentDealId, promoCode, discount: discount || null })
         };
 
+        // Язык уведомлений гостя – только в настроенное поле, в комментарий не пишется
+        if (language && categoryRegistry.dealFields.language) {
+            params.fields[categoryRegistry.dealFields.language] = language;
+        }
+
         const result = await this.makeRequest('crm.deal.add', params);
 
         if (!result.result) {
             throw new Error('Failed to create booking');
         }
 
+        this.invalidateDeals(roomType, checkIn, checkOut);
+
         return {
             result: true,
             data: result.result
         };
     }
+
+    // Родительская сделка групповой брони: контакт, общая стоимость и состав группы.
+    // Даты заезда и номер не заполняются – занятость определяется дочерними сделками.
+    async createGroupDeal({ contactId, comments, totalCost, rooms }) {
+        if (!contactId || !Array.isArray(rooms) || rooms.length === 0) {
+            throw new Error('Missing required group data: contactId or rooms');
+        }
+
+        const checkIn = rooms.map(room => room.checkIn).sort()[0];
+        const lines = [];
+        for (const room of rooms) {
+            const category = categoryRegistry.getByField(room.roomType);
+            const roomsList = await this.getRoomsFromFields(room.roomType);
+            const roomName = roomsList[room.roomId] || room.roomId;
+            lines.push(`${category ? category.names.ru : room.roomType}, номер ${roomName}: ${room.checkIn} – ${room.checkOut}`);
+        }
+        const summary = lines.join('\n');
+
+        const result = await this.makeRequest('crm.deal.add', {
+            fields: {
+                TITLE: `Групповая бронь: ${rooms.length} ном., дата заезда ${checkIn}`,
+                CATEGORY_ID: 0, // ID воронки
+                COMMENTS: [comments, summary].filter(Boolean).join('\n\n'),
+                CONTACT_ID: contactId,
+                OPPORTUNITY: totalCost || 0 // Стоимость всей группы
+            }
+        });
+
+        if (!result.result) {
+            throw new Error('Failed to create group deal');
+        }
+
+        return {
+            result: true,
+            data: result.result
+        };
+    }
+
+    // Получение бронирования по ID сделки. Возвращает null, если сделка не найдена.
+    async getBooking(dealId) {
+        try {
+            if (!dealId) {
+                throw new Error('Deal ID is required');
+            }
+
+            const categoryFields = categoryRegistry.getAll().map(category => category.field);
+            const { adults: adultsField, children: childrenField, language: languageField, promoCode: promoCodeField, discount: discountField } = categoryRegistry.dealFields;
+            const guestFields = [adultsField, childrenField, languageField, promoCodeField, discountField].filter(Boolean);
+            const response = await this.makeRequest('crm.deal.list', {
+                filter: { ID: dealId },
+                select: ['ID', 'TITLE', 'STAGE_ID', 'STAGE_SEMANTIC_ID', 'CONTACT_ID', 'COMMENTS', 'OPPORTUNITY', 'DATE_CREATE',
+                    'UF_CRM_1749509439624', 'UF_CRM_1749787453685', ...categoryFields, ...guestFields]
+            });
+
+            const deal = response.result && response.result[0];
+            if (!deal) {
+                return null;
+            }
+
+            // Категория определяется по заполненному полю номера
+            const roomType = categoryFields.find(field => deal[field] && deal[field] !== '0') || null;
+
+            return {
+                id: deal.ID,
+                title: deal.TITLE,
+                stageId: deal.STAGE_ID,
+                cancelled: deal.STAGE_SEMANTIC_ID === 'F',
+                contactId: deal.CONTACT_ID,
+                comments: deal.COMMENTS || '',
+                totalCost: Number(deal.OPPORTUNITY) || 0,
+                checkIn: deal.UF_CRM_1749509439624,
+                checkOut: deal.UF_CRM_1749787453685,
+                roomType,
+                roomId: roomType ? String(deal[roomType]) : null,
+                // null – поле гостей не настроено или не заполнено
+                adults: adultsField && deal[adultsField] ? Number(deal[adultsField]) : null,
+                children: childrenField && deal[childrenField] ? Number(deal[childrenField]) : null,
+                language: languageField && deal[languageField] ? deal[languageField] : null,
+                // Промокод и скидка, с которыми создана бронь
+                promoCode: readGuestField(deal, 'promoCode'),
+                discount: Number(readGuestField(deal, 'discount')) || 0,
+                createdAt: deal.DATE_CREATE || null
+            };
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'BitrixClient.getBooking', error);
+            throw error;
+        }
+    }
+
+    // Изменение бронирования: даты, номер, стоимость и скидка.
+    // comments – текущий комментарий сделки: скидка без настроенного поля хранится в нём строкой
+    async updateBooking(dealId, bookingData) {
+        if (!dealId) {
+            throw new Error('Deal ID is required');
+        }
+
+        const { checkIn, checkOut, roomId, roomType, previousRoomType, totalCost, discount, comments = null } = bookingData;
+
+        if (!checkIn || !checkOut || !roomId || !roomType) {
+            throw new Error('Missing required booking data: checkIn, checkOut, roomId or roomType');
+        }
+
+        const roomsList = await this.getRoomsFromFields(roomType);
+        const roomName = roomsList[roomId] || roomId;
+
+        const fields = {
+            TITLE: `Бронь на номер ${roomName} дата заезда ${checkIn}`,
+            UF_CRM_1749509439624: checkIn, // Дата заезда
+            UF_CRM_1749787453685: checkOut, // Дата выезда
+            [roomType]: roomId, // ID номера
+            OPPORTUNITY: totalCost || 0 // Стоимость бронирования
+        };
+        updateGuestFields(fields, comments, { discount: discount === undefined ? undefined : (discount || null) });
+
+        // При смене категории очищаем поле номера прежней категории
+        if (previousRoomType && previousRoomType !== roomType) {
+            fields[previousRoomType] = '';
+        }
+
+        const result = await this.makeRequest('crm.deal.update', { id: dealId, fields });
+
+        if (!result.result) {
+            throw new Error('Failed to update booking');
+        }
+
+        this.invalidateBooking(dealId, roomType, checkIn, checkOut);
+
+        return {
+            result: true,
+            data: dealId
+        };
+    }
+
+    // Отмена бронирования: перевод сделки в стадию проигрыша
+    async cancelBooking(dealId, reason = '') {
+        if (!dealId) {
+            throw new Error('Deal ID is required');
+        }
+
+        const result = await this.makeRequest('crm.deal.update', {
+            id: dealId,
+            fields: { STAGE_ID: LOST_STAGE_ID }
+        });
+
+        if (!result.result) {
+            throw new Error('Failed to cancel booking');
+        }
+
+        this.invalidateDeal(dealId);
+
+        // Причина отмены – комментарием в таймлайне, чтобы не затирать COMMENTS сделки
+        if (reason) {
+            await this.addDealComment(dealId, `Бронь отменена: ${reason}`);
+        }
+
+        return {
+            result: true,
+            data: dealId
+        };
+    }
+
+    // Комментарий в таймлайне сделки
+    async addDealComment(dealId, comment) {
+        return this.makeRequest('crm.timeline.comment.add', {
+            fields: {
+                ENTITY_ID: dealId,
+                ENTITY_TYPE: 'deal',
+                COMMENT: comment
+            }
+        });
+    }
+
+    // Полученная предоплата: перевод сделки в стадию оплаченных и запись суммы.
+    // Сумма пишется в поле dealFields.paidAmount (если настроено) и всегда – комментарием в таймлайн.
+    async recordPayment(dealId, { amount, currency, provider, providerPaymentId }) {
+        if (!dealId) {
+            throw new Error('Deal ID is required');
+        }
+
+        const fields = { STAGE_ID: PAID_STAGE_ID };
+        const paidAmountField = categoryRegistry.dealFields.paidAmount;
+        if (paidAmountField) {
+            fields[paidAmountField] = amount;
+        }
+
+        const result = await this.makeRequest('crm.deal.update', { id: dealId, fields });
+        if (!result.result) {
+            throw new Error('Failed to record payment');
+        }
+
+        this.invalidateDeal(dealId);
+        await this.addDealComment(dealId, `Получена предоплата ${amount} ${currency} (${provider}, платёж ${providerPaymentId})`);
+
+        return {
+            result: true,
+            data: dealId
+        };
+    }
+
+    // Перевод сделки в стадию оплаченных без записи суммы (дочерние сделки групповой брони)
+    async markDealPaid(dealId) {
+        const result = await this.makeRequest('crm.deal.update', {
+            id: dealId,
+            fields: { STAGE_ID: PAID_STAGE_ID }
+        });
+
+        if (!result.result) {
+            throw new Error('Failed to update deal stage');
+        }
+
+        this.invalidateDeal(dealId);
+        return dealId;
+    }
+
+    // Блокировки номеров из внешних календарей (Airbnb, Booking.com).
+    // Источник хранится в ORIGINATOR_ID ("ical:<source>"), UID события – в ORIGIN_ID.
+    async getImportedBlocks(source, roomType, roomId) {
+        return this.listAll('crm.deal.list', {
+            filter: {
+                ORIGINATOR_ID: `ical:${source}`,
+                [roomType]: roomId,
+                '!STAGE_SEMANTIC_ID': 'F'
+            },
+            select: ['ID', 'ORIGIN_ID', 'UF_CRM_1749509439624', 'UF_CRM_1749787453685', roomType],
+            order: { ID: 'ASC' }
+        });
+    }
+
+    // Создание блокировки номера по событию внешнего календаря
+    async createBlock({ source, uid, roomType, roomId, checkIn, checkOut, summary = '' }) {
+        const result = await this.makeRequest('crm.deal.add', {
+            fields: {
+                TITLE: `Блокировка ${source}: номер ${roomId} дата заезда ${checkIn}`,
+                CATEGORY_ID: 0, // ID воронки
+                UF_CRM_1749509439624: checkIn, // Дата заезда
+                UF_CRM_1749787453685: checkOut, // Дата выезда
+                [roomType]: roomId, // ID номера
+                COMMENTS: summary,
+                OPPORTUNITY: 0,
+                ORIGINATOR_ID: `ical:${source}`,
+                ORIGIN_ID: uid
+            }
+        });
+
+        if (!result.result) {
+            throw new Error('Failed to create block');
+        }
+
+        this.invalidateDeals(roomType, checkIn, checkOut);
+        return result.result;
+    }
+
+    // Изменение дат блокировки
+    async updateBlock(dealId, { roomType, checkIn, checkOut }) {
+        const result = await this.makeRequest('crm.deal.update', {
+            id: dealId,
+            fields: {
+                UF_CRM_1749509439624: checkIn,
+                UF_CRM_1749787453685: checkOut
+            }
+        });
+
+        if (!result.result) {
+            throw new Error('Failed to update block');
+        }
+
+        this.invalidateBooking(dealId, roomType, checkIn, checkOut);
+        return dealId;
+    }
+
+    // Удаление сделки: блокировки из внешних календарей и откат незавершённой групповой брони
+    async deleteDeal(dealId) {
+        const result = await this.makeRequest('crm.deal.delete', { id: dealId });
+
+        if (!result.result) {
+            throw new Error('Failed to delete deal');
+        }
+
+        this.invalidateDeal(dealId);
+        return dealId;
+    }
 }
 
-export const bitrixClient = new BitrixClient(); 
\ No newline at end of file
+export const bitrixClient = new BitrixClient();
@@ -0,0 +1,78 @@
+// Простой TTL-кэш в памяти процесса.
+// Одновременные запросы одного ключа через wrap() ждут один и тот же промис.
+export class TtlCache {
+    constructor() {
+        this.entries = new Map();
+        this.pending = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        this.pending.delete(key);
+    }
+
+    // Удаление записей, для которых predicate(key, value) вернул true
+    deleteWhere(predicate) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (predicate(key, entry.value)) {
+                this.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.pending.clear();
+    }
+
+    // Значение из кэша либо результат loader(), сохранённый на ttlMs
+    async wrap(key, ttlMs, loader) {
+        const cached = this.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                // Запись могла быть инвалидирована, пока шёл запрос – тогда не сохраняем
+                if (this.pending.get(key) === promise) {
+                    this.set(key, value, ttlMs);
+                }
+                return value;
+            })
+            .finally(() => {
+                if (this.pending.get(key) === promise) {
+                    this.pending.delete(key);
+                }
+            });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { roomService as defaultRoomService } from './roomService.js';
+import { categoryRegistry } from './categories.js';
+import { buildCalendar } from './ics.js';
+import { formatDate, parseDate } from './dates.js';
+
+// Окно выгрузки: недавние брони и год вперёд
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+// ICS-фиды занятости номеров для уборки и OTA (Booking.com, Airbnb, Google Calendar).
+// Ссылки защищены токеном – HMAC от категории и номера на CALENDAR_SECRET.
+export class CalendarService {
+    constructor(service = defaultRoomService) {
+        this.roomService = service;
+    }
+
+    // Токен фида; roomId = null – фид всей категории
+    feedToken(categoryField, roomId = null) {
+        const secret = process.env.CALENDAR_SECRET;
+        if (!secret) {
+            throw new Error('CALENDAR_SECRET is not configured');
+        }
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${categoryField}:${roomId === null ? '*' : roomId}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    verifyToken(token, categoryField, roomId = null) {
+        if (!process.env.CALENDAR_SECRET || typeof token !== 'string') {
+            return false;
+        }
+        const expected = Buffer.from(this.feedToken(categoryField, roomId));
+        const actual = Buffer.from(token);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Брони категории в окне выгрузки – те же данные, что отдаёт /rooms/
+    async getRooms(categoryField) {
+        const start = new Date();
+        start.setDate(start.getDate() - FEED_PAST_DAYS);
+        const end = new Date();
+        end.setDate(end.getDate() + FEED_FUTURE_DAYS);
+
+        const roomsInfo = await this.roomService.getRoomsInfoByRange(formatDate(start), formatDate(end), categoryField);
+        return roomsInfo.rooms;
+    }
+
+    // VEVENT на каждую бронь номера
+    toEvents(category, room) {
+        return room.occupiedDates.map(booking => ({
+            uid: `deal-${booking.deal_id}-${category.slug}-${room.id}@dias-gulfstream`,
+            start: formatDate(parseDate(booking.checkIn)),
+            end: formatDate(parseDate(booking.checkOut)),
+            summary: `Бронь #${booking.deal_id} – ${category.names.ru} ${room.number}`,
+            description: `Сделка Bitrix24: ${booking.deal_id}`
+        }));
+    }
+
+    // Календарь одного номера. null – номер не найден.
+    async buildRoomFeed(category, roomId) {
+        const rooms = await this.getRooms(category.field);
+        const room = rooms.find(item => String(item.id) === String(roomId));
+        if (!room) {
+            return null;
+        }
+
+        return buildCalendar({
+            name: `${category.names.ru} ${room.number}`,
+            events: this.toEvents(category, room)
+        });
+    }
+
+    // Календарь всех номеров категории
+    async buildCategoryFeed(category) {
+        const rooms = await this.getRooms(category.field);
+        return buildCalendar({
+            name: category.names.ru,
+            events: rooms.flatMap(room => this.toEvents(category, room))
+        });
+    }
+
+    // Ссылки на фиды по всем категориям и номерам (для настройки OTA)
+    async getFeedLinks(baseUrl) {
+        const feeds = [];
+        for (const category of categoryRegistry.getAll()) {
+            const rooms = await this.roomService.bitrixClient.getRoomsFromFields(category.field);
+            feeds.push({
+                category: category.slug,
+                url: `${baseUrl}calendar/${category.slug}.ics?token=${this.feedToken(category.field)}`,
+                rooms: Object.entries(rooms).map(([roomId, name]) => ({
+                    roomId,
+                    name,
+                    url: `${baseUrl}calendar/${category.slug}/${encodeURIComponent(roomId)}.ics?token=${this.feedToken(category.field, roomId)}`
+                }))
+            });
+        }
+        return feeds;
+    }
+}
+
+export const calendarService = new CalendarService();
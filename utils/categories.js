@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+const envPath = path.join(process.cwd(), '.env');
+dotenv.config({ path: envPath });
+
+const LANGUAGES = ['ru', 'kk', 'en'];
+
+// Необязательные пользовательские поля сделки. null – значение пишется в комментарий сделки.
+const DEFAULT_DEAL_FIELDS = {
+    adults: null, // количество взрослых
+    children: null, // количество детей
+    groupParent: null, // ID родительской сделки групповой брони
+    paidAmount: null, // сумма полученной предоплаты
+    language: null, // язык уведомлений гостя (ru, kk, en)
+    promoCode: null, // применённый промокод
+    discount: null // сумма скидки
+};
+
+// Конфигурация категорий номеров объекта размещения.
+// Путь можно переопределить через PROPERTY_CONFIG (по файлу на каждый объект).
+class CategoryRegistry {
+    constructor() {
+        this.configPath = path.resolve(process.cwd(), process.env.PROPERTY_CONFIG || path.join('config', 'property.json'));
+        this.load();
+    }
+
+    // Загрузка и проверка конфигурации
+    load() {
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.validate(config);
+
+        this.property = config.property;
+        this.dealFields = { ...DEFAULT_DEAL_FIELDS, ...(config.dealFields || {}) };
+        this.categories = config.categories;
+        this.byField = new Map(this.categories.map(category => [category.field, category]));
+        this.bySlug = new Map(this.categories.map(category => [category.slug, category]));
+    }
+
+    // Проверка структуры конфигурации, ошибки собираются в одно сообщение
+    validate(config) {
+        const errors = [];
+
+        if (!config || typeof config.property !== 'string' || !config.property) {
+            errors.push('property must be a non-empty string');
+        }
+
+        if (!config || !Array.isArray(config.categories) || config.categories.length === 0) {
+            errors.push('categories must be a non-empty array');
+        } else {
+            const slugs = new Set();
+            const fields = new Set();
+
+            config.categories.forEach((category, index) => {
+                const prefix = `categories[${index}]`;
+
+                if (typeof category.slug !== 'string' || !/^[a-z0-9_]+$/.test(category.slug)) {
+                    errors.push(`${prefix}.slug must match [a-z0-9_]+`);
+                } else if (slugs.has(category.slug)) {
+                    errors.push(`${prefix}.slug "${category.slug}" is duplicated`);
+                } else {
+                    slugs.add(category.slug);
+                }
+
+                if (typeof category.field !== 'string' || !/^UF_CRM_\w+$/.test(category.field)) {
+                    errors.push(`${prefix}.field must be a Bitrix user field code (UF_CRM_...)`);
+                } else if (fields.has(category.field)) {
+                    errors.push(`${prefix}.field "${category.field}" is duplicated`);
+                } else {
+                    fields.add(category.field);
+                }
+
+                for (const lang of LANGUAGES) {
+                    if (!category.names || typeof category.names[lang] !== 'string' || !category.names[lang]) {
+                        errors.push(`${prefix}.names.${lang} is required`);
+                    }
+                }
+
+                if (!Number.isFinite(category.basePrice) || category.basePrice <= 0) {
+                    errors.push(`${prefix}.basePrice must be a positive number`);
+                }
+
+                if (!Number.isInteger(category.capacity) || category.capacity <= 0) {
+                    errors.push(`${prefix}.capacity must be a positive integer`);
+                }
+
+                if (category.imageFolder !== null && (typeof category.imageFolder !== 'string' || !/^[\w-]+$/.test(category.imageFolder))) {
+                    errors.push(`${prefix}.imageFolder must be a folder name or null`);
+                }
+            });
+        }
+
+        for (const [name, code] of Object.entries((config && config.dealFields) || {})) {
+            if (!(name in DEFAULT_DEAL_FIELDS)) {
+                errors.push(`dealFields.${name} is not supported`);
+            } else if (code !== null && (typeof code !== 'string' || !/^UF_CRM_\w+$/.test(code))) {
+                errors.push(`dealFields.${name} must be a Bitrix user field code (UF_CRM_...) or null`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid property config ${this.configPath}: ${errors.join('; ')}`);
+        }
+    }
+
+    // Все категории
+    getAll() {
+        return this.categories;
+    }
+
+    // Категория по коду поля Bitrix
+    getByField(field) {
+        return this.byField.get(field) || null;
+    }
+
+    // Категория по slug
+    getBySlug(slug) {
+        return this.bySlug.get(slug) || null;
+    }
+
+    // Категория по slug или коду поля
+    resolve(slugOrField) {
+        return this.getByField(slugOrField) || this.getBySlug(slugOrField);
+    }
+}
+
+export const categoryRegistry = new CategoryRegistry();
@@ -78,4 +78,37 @@ function generateCryptoKeyAndIV() {
     };
 }
 
-export { encryptText, decryptText, generateCryptoKeyAndIV };
+/**
+ * Encrypts a secret with a freshly generated key and IV.
+ * The result is stored in .env as Base64 of the hex ciphertext (the format decryptText expects).
+ *
+ * @param {string} text - The plaintext secret (e.g. the Bitrix webhook URL).
+ * @returns {Promise<Object>} `{ CRYPTO_KEY, CRYPTO_IV, encrypted }` with `encrypted` in Base64.
+ */
+async function encryptWithNewKey(text) {
+    const keyIv = generateCryptoKeyAndIV();
+    const encryptedHex = await encryptText(text, keyIv.CRYPTO_KEY, keyIv.CRYPTO_IV);
+    if (!encryptedHex) {
+        throw new Error('Encryption failed');
+    }
+
+    return {
+        ...keyIv,
+        encrypted: Buffer.from(encryptedHex, 'hex').toString('base64')
+    };
+}
+
+/**
+ * Re-encrypts a Base64 secret under a new key and IV (key rotation).
+ *
+ * @param {string} encryptedData - The current encrypted data in Base64 format.
+ * @param {string} key - The current key.
+ * @param {string} iv - The current initialization vector.
+ * @returns {Promise<Object>} `{ CRYPTO_KEY, CRYPTO_IV, encrypted }` under the new key.
+ */
+async function reencryptText(encryptedData, key, iv) {
+    const plain = await decryptText(encryptedData, key, iv);
+    return encryptWithNewKey(plain);
+}
+
+export { encryptText, decryptText, generateCryptoKeyAndIV, encryptWithNewKey, reencryptText };
@@ -0,0 +1,12 @@
+// Формирование CSV (RFC 4180): запятая, CRLF, кавычки вокруг значений с разделителями.
+// BOM в начале нужен Excel, чтобы кириллица открывалась в UTF-8
+
+function escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows – массив строк, строка – массив значений
+export function toCsv(rows) {
+    return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,97 @@
+// Вспомогательные функции для работы с датами бронирований.
+// Все даты считаются в локальном часовом поясе сервера (Asia/Almaty в Docker),
+// поэтому toISOString() здесь не используется – он сдвигает дату в UTC.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Форматирование даты в YYYY-MM-DD
+export function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Разбор даты: календарная дата из строки трактуется как локальная полночь.
+// Bitrix отдаёт даты как "2025-06-28T00:00:00+03:00" (в часовом поясе портала) –
+// берём дату как записана, без пересчёта в часовой пояс сервера. Поддерживается и "28.06.2025".
+export function parseDate(value) {
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (typeof value === 'string') {
+        const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (iso) {
+            return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+        }
+        const ru = value.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
+        if (ru) {
+            return new Date(Number(ru[3]), Number(ru[2]) - 1, Number(ru[1]));
+        }
+    }
+    return new Date(value);
+}
+
+// Начало суток для даты
+export function startOfDay(value) {
+    const date = parseDate(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+// Количество ночей между заездом и выездом
+export function countNights(checkIn, checkOut) {
+    return Math.round((startOfDay(checkOut) - startOfDay(checkIn)) / DAY_MS);
+}
+
+// Перечисление ночей проживания: [checkIn, checkOut)
+export function eachNight(checkIn, checkOut) {
+    const nights = [];
+    const current = startOfDay(checkIn);
+    const end = startOfDay(checkOut);
+    while (current < end) {
+        nights.push(new Date(current));
+        current.setDate(current.getDate() + 1);
+    }
+    return nights;
+}
+
+// Первый и последний день месяца в формате YYYY-MM-DD
+export function monthBounds(year, month) {
+    return {
+        start: formatDate(new Date(year, month - 1, 1)),
+        end: formatDate(new Date(year, month, 0))
+    };
+}
+
+// Месяцы, которые затрагивает период [start, end]: [{ year, month }]
+export function monthsInRange(start, end) {
+    const months = [];
+    const current = startOfDay(start);
+    current.setDate(1);
+    const last = startOfDay(end);
+    while (current <= last) {
+        months.push({ year: current.getFullYear(), month: current.getMonth() + 1 });
+        current.setMonth(current.getMonth() + 1);
+    }
+    return months;
+}
+
+// Пересекаются ли полуинтервалы [aStart, aEnd) и [bStart, bEnd).
+// День выезда одной брони может совпадать с днём заезда другой.
+export function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+    return startOfDay(aStart) < startOfDay(bEnd) && startOfDay(bStart) < startOfDay(aEnd);
+}
+
+// Число с существительным в нужной форме: 1 ночь, 2 ночи, 5 ночей
+function pluralize(count, [one, few, many]) {
+    const lastTwo = count % 100;
+    const last = count % 10;
+    if (lastTwo >= 11 && lastTwo <= 14) return `${count} ${many}`;
+    if (last === 1) return `${count} ${one}`;
+    if (last >= 2 && last <= 4) return `${count} ${few}`;
+    return `${count} ${many}`;
+}
+
+export const formatNights = count => pluralize(count, ['ночь', 'ночи', 'ночей']);
+export const formatDays = count => pluralize(count, ['день', 'дня', 'дней']);
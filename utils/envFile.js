@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+export const envFilePath = path.join(process.cwd(), '.env');
+
+// Чтение .env в объект (пустой объект, если файла нет)
+export function readEnvFile(filePath = envFilePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+    return dotenv.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Обновление переменных в .env: существующие строки заменяются на месте,
+// новые дописываются в конец, остальные настройки и комментарии сохраняются.
+// Запись через временный файл, чтобы читатели не увидели файл наполовину.
+export function updateEnvFile(updates, filePath = envFilePath) {
+    const lines = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+        : [];
+
+    const pending = new Map(Object.entries(updates));
+    const result = lines.map(line => {
+        const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=/);
+        if (!match || !pending.has(match[1])) {
+            return line;
+        }
+        const value = pending.get(match[1]);
+        pending.delete(match[1]);
+        return `${match[1]}=${value}`;
+    });
+
+    // Убираем хвостовые пустые строки, чтобы новые значения не отрывались от остальных
+    while (result.length > 0 && result[result.length - 1] === '') {
+        result.pop();
+    }
+    for (const [key, value] of pending) {
+        result.push(`${key}=${value}`);
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, result.join('\n') + '\n', { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+
+    for (const [key, value] of Object.entries(updates)) {
+        process.env[key] = value;
+    }
+}
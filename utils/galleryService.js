@@ -0,0 +1,450 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { categoryRegistry as defaultCategoryRegistry } from './categories.js';
+import { logMessage } from './logger.js';
+
+// Галерея категорий номеров (config/gallery.json).
+// Оригиналы лежат в static/images/<imageFolder>, порядок, обложка, подписи и alt – в manifest.json той же папки:
+// { "cover": "IMG_1.jpg", "images": [{ "file": "IMG_1.jpg", "caption": { "ru": "..." }, "alt": { "ru": "..." } }] }
+// Файлы, которых нет в манифесте, идут после перечисленных по имени. Одинаковые по содержимому файлы
+// показываются один раз. Уменьшенные JPEG и WebP создаются в cacheDir под именем из хэша содержимого
+// (отдаются по /gallery/), поэтому общие для нескольких категорий фотографии обрабатываются один раз.
+
+const galleryConfigPath = path.resolve(process.cwd(), process.env.GALLERY_CONFIG || path.join('config', 'gallery.json'));
+
+export const MANIFEST_FILE = 'manifest.json';
+const DEFAULT_LANGUAGE = 'ru';
+
+// Производные файлы: <хэш>-<размер>.<формат>
+const FORMATS = ['jpeg', 'webp'];
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', png: 'png' };
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+const imageId = hash => hash.slice(0, 16);
+
+export class GalleryService {
+    constructor(registry = defaultCategoryRegistry, config = null) {
+        this.categoryRegistry = registry;
+        this.config = config || JSON.parse(fs.readFileSync(galleryConfigPath, 'utf8'));
+        this.imagesDir = path.resolve(process.cwd(), this.config.imagesDir);
+        this.cacheDir = path.resolve(process.cwd(), this.config.cacheDir);
+        // Публичный адрес сервера (https://api.example.kz); пустой – берётся из запроса
+        this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || this.config.publicBaseUrl || '').replace(/\/$/, '');
+
+        // Хэш и размеры оригиналов: ключ – путь, размер и время изменения файла
+        this.fileInfo = new Map();
+        // Одновременные запросы одной папки ждут одну обработку
+        this.pending = new Map();
+        // Очередь изменений папки (загрузка, порядок, удаление), чтобы записи манифеста не терялись
+        this.locks = new Map();
+    }
+
+    // Папки известных категорий – только их можно запрашивать
+    getFolders() {
+        return [...new Set(this.categoryRegistry.getAll().map(category => category.imageFolder).filter(Boolean))];
+    }
+
+    // Категория по папке или по slug/коду поля; null – неизвестная категория или у неё нет фото
+    resolve({ category, folder }) {
+        const found = category
+            ? this.categoryRegistry.resolve(category)
+            : this.categoryRegistry.getAll().find(item => item.imageFolder === folder);
+        return found && found.imageFolder ? found : null;
+    }
+
+    // Абсолютный путь папки с защитой от выхода за пределы imagesDir
+    folderPath(folder) {
+        if (!this.getFolders().includes(folder)) {
+            throw new Error(`Unknown image folder ${folder}`);
+        }
+        const folderPath = path.resolve(this.imagesDir, folder);
+        if (path.dirname(folderPath) !== this.imagesDir) {
+            throw new Error(`Invalid image folder ${folder}`);
+        }
+        return folderPath;
+    }
+
+    readManifest(folder) {
+        const manifestPath = path.join(this.folderPath(folder), MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) {
+            return { cover: null, images: [] };
+        }
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return { cover: manifest.cover || null, images: Array.isArray(manifest.images) ? manifest.images : [] };
+    }
+
+    // Файлы папки в порядке манифеста, затем остальные по имени. Папки ещё нет – галерея пуста
+    listFiles(folder) {
+        const folderPath = this.folderPath(folder);
+        if (!fs.existsSync(folderPath)) {
+            return { cover: null, files: [] };
+        }
+        const extensions = new RegExp(`\\.(${this.config.extensions.join('|')})$`, 'i');
+        const files = fs.readdirSync(folderPath).filter(file => extensions.test(file));
+        const manifest = this.readManifest(folder);
+
+        const listed = manifest.images.map(entry => entry.file).filter(file => files.includes(file));
+        const rest = files.filter(file => !listed.includes(file)).sort();
+        const entries = new Map(manifest.images.map(entry => [entry.file, entry]));
+
+        return {
+            cover: manifest.cover,
+            files: [...listed, ...rest].map(file => entries.get(file) || { file })
+        };
+    }
+
+    // Хэш содержимого и размеры оригинала (с учётом поворота по EXIF)
+    async getFileInfo(filePath) {
+        const stat = await fs.promises.stat(filePath);
+        const key = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+        if (this.fileInfo.has(key)) {
+            return this.fileInfo.get(key);
+        }
+
+        const buffer = await fs.promises.readFile(filePath);
+        const hash = sha256(buffer);
+        const metadata = await sharp(buffer).metadata();
+        const rotated = metadata.orientation >= 5;
+        const info = {
+            hash,
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height
+        };
+        this.fileInfo.set(key, info);
+        return info;
+    }
+
+    // Размеры после вписывания в квадрат size×size без увеличения
+    fitSize(info, size) {
+        const scale = Math.min(1, size / Math.max(info.width, info.height));
+        return { width: Math.round(info.width * scale), height: Math.round(info.height * scale) };
+    }
+
+    derivativeName(hash, sizeName, format) {
+        return `${hash}-${sizeName}.${FORMAT_EXTENSIONS[format]}`;
+    }
+
+    // Уменьшенные копии во всех размерах и форматах; существующие не пересоздаются
+    async ensureDerivatives(filePath, hash) {
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+
+        for (const [sizeName, size] of Object.entries(this.config.sizes)) {
+            for (const format of FORMATS) {
+                const target = path.join(this.cacheDir, this.derivativeName(hash, sizeName, format));
+                if (fs.existsSync(target)) continue;
+
+                // Запись во временный файл, чтобы недописанная копия не попала в выдачу
+                const temporary = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+                await sharp(filePath)
+                    .rotate()
+                    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                    .toFormat(format, { quality: this.config.quality[format] })
+                    .toFile(temporary);
+                await fs.promises.rename(temporary, target);
+            }
+        }
+    }
+
+    localized(value, lang) {
+        if (!value) return '';
+        if (typeof value === 'string') return value;
+        return value[lang] || value[DEFAULT_LANGUAGE] || '';
+    }
+
+    // Галерея категории на языке lang: { folder, cover, items }. Пути – относительно BASE_URL (static/..., gallery/...)
+    async getGallery(folder, { lang = DEFAULT_LANGUAGE } = {}) {
+        const category = this.resolve({ folder });
+        const { cover, items } = await this.loadFolder(folder);
+
+        // alt по умолчанию – название категории и номер фото
+        const name = category ? this.localized(category.names, lang) : folder;
+        const localizedItems = items.map((item, index) => ({
+            ...item,
+            caption: this.localized(item.caption, lang),
+            alt: this.localized(item.alt, lang) || `${name} – ${index + 1}`
+        }));
+
+        return {
+            folder,
+            cover: localizedItems.find(item => item.file === cover) || localizedItems[0] || null,
+            items: localizedItems
+        };
+    }
+
+    // Обработка папки: хэши, уменьшенные копии, порядок. Одновременные запросы ждут одну обработку
+    async loadFolder(folder) {
+        if (!this.pending.has(folder)) {
+            this.pending.set(folder, this.processFolder(folder).finally(() => this.pending.delete(folder)));
+        }
+        return this.pending.get(folder);
+    }
+
+    async processFolder(folder) {
+        const folderPath = this.folderPath(folder);
+        const { cover, files } = this.listFiles(folder);
+
+        const items = [];
+        const seen = new Set();
+        for (const entry of files) {
+            const filePath = path.join(folderPath, entry.file);
+            try {
+                const info = await this.getFileInfo(filePath);
+                if (seen.has(info.hash)) continue;
+                seen.add(info.hash);
+
+                await this.ensureDerivatives(filePath, info.hash);
+
+                const sizes = {};
+                for (const [sizeName, size] of Object.entries(this.config.sizes)) {
+                    sizes[sizeName] = {
+                        ...this.fitSize(info, size),
+                        jpeg: `gallery/${this.derivativeName(info.hash, sizeName, 'jpeg')}`,
+                        webp: `gallery/${this.derivativeName(info.hash, sizeName, 'webp')}`
+                    };
+                }
+
+                items.push({
+                    id: imageId(info.hash),
+                    file: entry.file,
+                    caption: entry.caption,
+                    alt: entry.alt,
+                    width: info.width,
+                    height: info.height,
+                    original: `static/images/${folder}/${encodeURIComponent(entry.file)}`,
+                    sizes
+                });
+            } catch (error) {
+                // Повреждённый файл пропускается, остальная галерея отдаётся
+                logMessage(LOG_TYPES.E, 'GalleryService.processFolder', error, { file: entry.file });
+            }
+        }
+
+        return { cover, items };
+    }
+
+    // Управление фото из административных маршрутов. Результат – { result, reason?, message?, data? },
+    // reason: not_found – фото нет в галерее, invalid – ни один файл не принят.
+
+    withFolderLock(folder, fn) {
+        const previous = this.locks.get(folder) || Promise.resolve();
+        const current = previous.catch(() => null).then(fn);
+        this.locks.set(folder, current);
+        current.catch(() => null).finally(() => {
+            if (this.locks.get(folder) === current) this.locks.delete(folder);
+        });
+        return current;
+    }
+
+    writeManifest(folder, manifest) {
+        const manifestPath = path.join(this.folderPath(folder), MANIFEST_FILE);
+        const temporary = `${manifestPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(manifest, null, 4) + '\n');
+        fs.renameSync(temporary, manifestPath);
+    }
+
+    // Все файлы папки в текущем порядке с хэшами, включая дубли: [{ entry, hash, id }]
+    async hashedFiles(folder) {
+        const folderPath = this.folderPath(folder);
+        const { cover, files } = this.listFiles(folder);
+        const hashed = [];
+        for (const entry of files) {
+            try {
+                const { hash } = await this.getFileInfo(path.join(folderPath, entry.file));
+                hashed.push({ entry, hash, id: imageId(hash) });
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'GalleryService.hashedFiles', error, { file: entry.file });
+            }
+        }
+        return { cover, files: hashed };
+    }
+
+    // Проверка и подготовка загруженного файла: формат определяется по содержимому, а не по имени или MIME.
+    // Перекодирование с поворотом по EXIF убирает метаданные (EXIF, GPS): sharp не переносит их без withMetadata()
+    async prepareUpload(buffer) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            return { error: 'Файл не является изображением' };
+        }
+
+        const { formats, quality } = this.config.upload;
+        if (!formats.includes(metadata.format)) {
+            return { error: `Формат ${metadata.format} не поддерживается, допустимы: ${formats.join(', ')}` };
+        }
+
+        const output = await sharp(buffer)
+            .rotate()
+            .toFormat(metadata.format, metadata.format === 'png' ? {} : { quality })
+            .toBuffer();
+        return { buffer: output, extension: FORMAT_EXTENSIONS[metadata.format] };
+    }
+
+    // Имя файла из исходного: латиница, цифры, _ и -, при совпадении добавляется -1, -2...
+    uniqueFileName(originalName, extension, taken) {
+        const base = path.basename(originalName || '', path.extname(originalName || ''))
+            .replace(/[^\w-]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 80) || 'photo';
+        let name = `${base}.${extension}`;
+        for (let index = 1; taken.has(name.toLowerCase()); index++) {
+            name = `${base}-${index}.${extension}`;
+        }
+        return name;
+    }
+
+    // Загрузка фото в конец галереи. files – [{ originalname, buffer }]
+    async uploadImages(folder, files) {
+        return this.withFolderLock(folder, async () => {
+            const folderPath = this.folderPath(folder);
+            await fs.promises.mkdir(folderPath, { recursive: true });
+            const { cover, files: existing } = await this.hashedFiles(folder);
+            const hashes = new Set(existing.map(file => file.hash));
+            const taken = new Set(fs.readdirSync(folderPath).map(file => file.toLowerCase()));
+
+            const uploaded = [];
+            const rejected = [];
+            for (const file of files) {
+                const prepared = await this.prepareUpload(file.buffer);
+                if (prepared.error) {
+                    rejected.push({ file: file.originalname, message: prepared.error });
+                    continue;
+                }
+
+                // Повтор уже загруженного фото: совпадает исходный файл или результат перекодирования
+                const hash = sha256(prepared.buffer);
+                if (hashes.has(hash) || hashes.has(sha256(file.buffer))) {
+                    rejected.push({ file: file.originalname, message: 'Такое фото уже есть в галерее' });
+                    continue;
+                }
+
+                const name = this.uniqueFileName(file.originalname, prepared.extension, taken);
+                const target = path.join(folderPath, name);
+                const temporary = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+                await fs.promises.writeFile(temporary, prepared.buffer);
+                await fs.promises.rename(temporary, target);
+
+                taken.add(name.toLowerCase());
+                hashes.add(hash);
+                existing.push({ entry: { file: name }, hash, id: imageId(hash) });
+                uploaded.push({ id: imageId(hash), file: name });
+            }
+
+            if (uploaded.length === 0) {
+                return { result: false, reason: 'invalid', message: 'Ни одно фото не загружено', data: { uploaded, rejected } };
+            }
+
+            this.writeManifest(folder, {
+                cover: cover || existing[0].entry.file,
+                images: existing.map(file => file.entry)
+            });
+            return { result: true, data: { uploaded, rejected } };
+        });
+    }
+
+    // Новый порядок: перечисленные фото в указанном порядке, остальные – после них в прежнем
+    async reorderImages(folder, ids) {
+        return this.withFolderLock(folder, async () => {
+            const { cover, files } = await this.hashedFiles(folder);
+            const unknown = ids.filter(id => !files.some(file => file.id === id));
+            if (unknown.length > 0) {
+                return { result: false, reason: 'not_found', message: `Фото не найдены: ${unknown.join(', ')}` };
+            }
+
+            const order = [...new Set(ids)];
+            const ordered = [
+                ...order.flatMap(id => files.filter(file => file.id === id)),
+                ...files.filter(file => !order.includes(file.id))
+            ];
+            this.writeManifest(folder, { cover, images: ordered.map(file => file.entry) });
+            return { result: true };
+        });
+    }
+
+    async setCover(folder, id) {
+        return this.withFolderLock(folder, async () => {
+            const { files } = await this.hashedFiles(folder);
+            const image = files.find(file => file.id === id);
+            if (!image) {
+                return { result: false, reason: 'not_found', message: 'Фото не найдено' };
+            }
+
+            this.writeManifest(folder, { cover: image.entry.file, images: files.map(file => file.entry) });
+            return { result: true };
+        });
+    }
+
+    // Удаление фото вместе с его копиями-дублями; уменьшенные копии удаляются, если фото нет в других категориях
+    async deleteImage(folder, id) {
+        return this.withFolderLock(folder, async () => {
+            const folderPath = this.folderPath(folder);
+            const { cover, files } = await this.hashedFiles(folder);
+            const removed = files.filter(file => file.id === id);
+            if (removed.length === 0) {
+                return { result: false, reason: 'not_found', message: 'Фото не найдено' };
+            }
+
+            for (const file of removed) {
+                await fs.promises.unlink(path.join(folderPath, file.entry.file));
+            }
+
+            const remaining = files.filter(file => file.id !== id);
+            const coverRemoved = removed.some(file => file.entry.file === cover);
+            this.writeManifest(folder, {
+                cover: coverRemoved ? (remaining[0] ? remaining[0].entry.file : null) : cover,
+                images: remaining.map(file => file.entry)
+            });
+
+            const { hash } = removed[0];
+            if (!(await this.isHashUsed(hash))) {
+                await this.removeDerivatives(hash);
+            }
+            return { result: true };
+        });
+    }
+
+    async isHashUsed(hash) {
+        for (const folder of this.getFolders()) {
+            const { files } = await this.hashedFiles(folder);
+            if (files.some(file => file.hash === hash)) return true;
+        }
+        return false;
+    }
+
+    async removeDerivatives(hash) {
+        for (const sizeName of Object.keys(this.config.sizes)) {
+            for (const format of FORMATS) {
+                await fs.promises.unlink(path.join(this.cacheDir, this.derivativeName(hash, sizeName, format))).catch(() => null);
+            }
+        }
+    }
+
+    // Подготовка всех галерей (npm run gallery-build и фоновый прогрев при запуске)
+    async warmUp() {
+        const results = [];
+        for (const folder of this.getFolders()) {
+            try {
+                const gallery = await this.getGallery(folder);
+                results.push({ folder, images: gallery.items.length });
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'GalleryService.warmUp', error, { folder });
+                results.push({ folder, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    // Наибольший размер уменьшенных копий – им заменяются оригиналы в списке images
+    largestSize() {
+        return Object.entries(this.config.sizes).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Абсолютный URL для пути относительно BASE_URL; origin – адрес из запроса, если publicBaseUrl не задан
+    toUrl(basePath, relativePath, origin) {
+        return `${this.publicBaseUrl || origin}${basePath}${relativePath}`;
+    }
+}
+
+export const galleryService = new GalleryService();
@@ -0,0 +1,222 @@
+import { logMessage } from './logger.js';
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+import { roomService as defaultRoomService } from './roomService.js';
+import { reservationLock as defaultReservationLock } from './reservationLock.js';
+import { promoService as defaultPromoService } from './promoService.js';
+import { categoryRegistry } from './categories.js';
+import { rangesOverlap } from './dates.js';
+
+// Максимум номеров в одной групповой брони
+const MAX_GROUP_ROOMS = 10;
+
+// Групповая бронь нескольких номеров (в том числе разных категорий) на один контакт.
+// В Bitrix создаётся родительская сделка группы и по дочерней сделке на каждый номер.
+// Номера удерживаются и бронируются вместе: при ошибке на любом шаге созданные сделки
+// удаляются, частично забронированная группа не остаётся.
+export class GroupBookingService {
+    constructor(client = defaultBitrixClient, service = defaultRoomService, lock = defaultReservationLock, promo = defaultPromoService) {
+        this.bitrixClient = client;
+        this.roomService = service;
+        this.reservationLock = lock;
+        this.promoService = promo;
+    }
+
+    // Приведение номеров группы к единому виду: гости по умолчанию – 1 взрослый, без детей
+    normalizeRooms(rooms) {
+        return rooms.map(item => ({
+            roomType: item && item.roomType,
+            roomId: item && item.roomId ? String(item.roomId) : null,
+            checkIn: item && item.checkIn,
+            checkOut: item && item.checkOut,
+            adults: Number(item && item.adults !== undefined && item.adults !== '' ? item.adults : 1),
+            children: Number(item && item.children !== undefined && item.children !== '' ? item.children : 0)
+        }));
+    }
+
+    // Проверка состава группы. Возвращает текст ошибки или null.
+    validateRooms(rooms) {
+        if (rooms.length === 0) {
+            return 'Не указаны номера группы';
+        }
+        if (rooms.length > MAX_GROUP_ROOMS) {
+            return `В групповой брони может быть не больше ${MAX_GROUP_ROOMS} номеров`;
+        }
+
+        for (const [index, item] of rooms.entries()) {
+            const prefix = `Номер ${index + 1}`;
+
+            if (!item.roomType || !item.checkIn || !item.checkOut) {
+                return `${prefix}: не все обязательные поля заполнены`;
+            }
+            if (!categoryRegistry.getByField(item.roomType)) {
+                return `${prefix}: неизвестная категория номера`;
+            }
+
+            const checkInDate = new Date(item.checkIn);
+            const checkOutDate = new Date(item.checkOut);
+            if (isNaN(checkInDate.getTime()) || isNaN(checkOutDate.getTime()) || checkInDate >= checkOutDate) {
+                return `${prefix}: неверные даты заезда или выезда`;
+            }
+
+            const guestsError = this.roomService.validateGuests(item.roomType, item.adults, item.children);
+            if (guestsError) {
+                return `${prefix}: ${guestsError}`;
+            }
+
+            const rules = this.roomService.checkStayRules(item.roomType, item.checkIn, item.checkOut);
+            if (!rules.allowed) {
+                return `${prefix}: ${rules.message}`;
+            }
+        }
+
+        // Один и тот же номер не может быть в группе дважды на пересекающиеся даты
+        const explicit = rooms.filter(item => item.roomId);
+        for (let i = 0; i < explicit.length; i++) {
+            for (let j = i + 1; j < explicit.length; j++) {
+                if (this.isSameRoomOverlap(explicit[i], explicit[j])) {
+                    return `Номер ${explicit[i].roomId} указан в группе несколько раз на пересекающиеся даты`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    isSameRoomOverlap(a, b) {
+        return a.roomType === b.roomType &&
+            String(a.roomId) === String(b.roomId) &&
+            rangesOverlap(a.checkIn, a.checkOut, b.checkIn, b.checkOut);
+    }
+
+    // Подбор номеров без roomId: первый свободный номер категории, не занятый другими номерами группы.
+    // Возвращает false, если для какой-то позиции номера не нашлось.
+    async assignRooms(rooms) {
+        const assigned = rooms.filter(item => item.roomId);
+
+        for (const item of rooms) {
+            if (item.roomId) continue;
+
+            const freeRoomIds = await this.roomService.getFreeRoomIds(item.roomType, item.checkIn, item.checkOut);
+            const roomId = freeRoomIds.find(candidate =>
+                !assigned.some(other => this.isSameRoomOverlap(other, { ...item, roomId: candidate }))
+            );
+            if (!roomId) {
+                return false;
+            }
+
+            item.roomId = String(roomId);
+            assigned.push(item);
+        }
+
+        return true;
+    }
+
+    // Снятие всех удержаний группы
+    async releaseAll(holds) {
+        for (const hold of holds) {
+            await this.reservationLock.release(hold);
+        }
+    }
+
+    // Удаление созданных сделок при частичном сбое
+    async rollback(dealIds) {
+        for (const dealId of [...dealIds].reverse()) {
+            try {
+                await this.bitrixClient.deleteDeal(dealId);
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'GroupBookingService.rollback', error);
+            }
+        }
+    }
+
+    // Создание групповой брони.
+    // Результат: { result: true, data } или { result: false, reason: 'validation' | 'conflict', message }
+    async createGroup({ contactName, contactPhone, contactEmail = '', language = null, comments = '', rooms }) {
+        if (!contactName || !contactPhone || !Array.isArray(rooms)) {
+            return { result: false, reason: 'validation', message: 'Не все обязательные поля заполнены' };
+        }
+
+        const items = this.normalizeRooms(rooms);
+        const validationError = this.validateRooms(items);
+        if (validationError) {
+            return { result: false, reason: 'validation', message: validationError };
+        }
+
+        if (!(await this.assignRooms(items))) {
+            return { result: false, reason: 'conflict', message: 'Недостаточно свободных номеров для группы на выбранные даты' };
+        }
+
+        const holds = [];
+        const createdDealIds = [];
+        try {
+            // Удерживаем все номера группы; если хотя бы один уже удерживается – группа не бронируется
+            for (const item of items) {
+                const hold = await this.reservationLock.acquire(item);
+                if (!hold) {
+                    return { result: false, reason: 'conflict', message: `Номер ${item.roomId} уже бронируется на выбранные даты, попробуйте позже` };
+                }
+                holds.push(hold);
+            }
+
+            // Проверка доступности под удержанием, минуя кэш
+            for (const item of items) {
+                this.bitrixClient.invalidateDeals(item.roomType, item.checkIn, item.checkOut);
+            }
+            for (const item of items) {
+                const availability = await this.roomService.checkAvailability(item.roomId, item.roomType, item.checkIn, item.checkOut);
+                if (!availability.available) {
+                    return { result: false, reason: 'conflict', message: `Номер ${item.roomId} занят на выбранные даты` };
+                }
+            }
+
+            // Стоимость каждого номера считается на сервере, со скидками по правилам (промокоды – только для одиночной брони)
+            for (const item of items) {
+                const quote = await this.roomService.calculatePrice(item.roomType, item.checkIn, item.checkOut);
+                const priced = await this.promoService.apply(quote, item);
+                if (!priced.result) {
+                    return { result: false, reason: priced.reason, message: `Номер ${item.roomId}: ${priced.message}` };
+                }
+                item.totalCost = priced.data.total;
+                item.discount = priced.data.discount;
+            }
+            const totalCost = items.reduce((sum, item) => sum + item.totalCost, 0);
+
+            const contactId = await this.bitrixClient.findOrCreateContact({ name: contactName, phone: contactPhone, email: contactEmail });
+
+            const groupResult = await this.bitrixClient.createGroupDeal({ contactId, comments, totalCost, rooms: items });
+            const groupId = groupResult.data;
+            createdDealIds.push(groupId);
+
+            const bookings = [];
+            for (const item of items) {
+                const bookingResult = await this.bitrixClient.createBooking({
+                    ...item,
+                    contactId,
+                    comments,
+                    language,
+                    parentDealId: groupId
+                });
+                createdDealIds.push(bookingResult.data);
+                bookings.push({ bookingId: bookingResult.data, ...item });
+            }
+
+            return {
+                result: true,
+                data: {
+                    groupId,
+                    contactId,
+                    totalCost,
+                    bookings
+                }
+            };
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'GroupBookingService.createGroup', error);
+            await this.rollback(createdDealIds);
+            throw error;
+        } finally {
+            await this.releaseAll(holds);
+        }
+    }
+}
+
+export const groupBookingService = new GroupBookingService();
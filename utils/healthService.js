@@ -0,0 +1,75 @@
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+
+// Проверка готовности для /ready: ключи из .env расшифровывают BX_LINK и Bitrix отвечает на дешёвый вызов.
+// Результат кэшируется на несколько секунд, чтобы частые пробы не нагружали портал.
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS || 5000);
+const READY_CACHE_MS = 5000;
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class HealthService {
+    constructor(client = defaultBitrixClient, { timeoutMs = READY_TIMEOUT_MS, cacheMs = READY_CACHE_MS } = {}) {
+        this.bitrixClient = client;
+        this.timeoutMs = timeoutMs;
+        this.cacheMs = cacheMs;
+        this.cached = null;
+        this.cachedAt = 0;
+        this.pending = null;
+    }
+
+    // { ready, checks: { credentials, bitrix } }, одновременные пробы ждут одну проверку
+    async checkReadiness(now = Date.now()) {
+        if (this.cached && now - this.cachedAt < this.cacheMs) {
+            return this.cached;
+        }
+        if (!this.pending) {
+            this.pending = this.runChecks()
+                .then(result => {
+                    this.cached = result;
+                    this.cachedAt = Date.now();
+                    return result;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    async runChecks() {
+        const checks = {};
+
+        try {
+            await this.bitrixClient.getWebhookUrl();
+            checks.credentials = { ok: true };
+        } catch (error) {
+            checks.credentials = { ok: false, message: error.message };
+        }
+
+        if (checks.credentials.ok) {
+            // scope доступен любому вебхуку и не читает данные CRM
+            const startedAt = Date.now();
+            try {
+                await withTimeout(this.bitrixClient.makeRequest('scope'), this.timeoutMs);
+                checks.bitrix = { ok: true, latencyMs: Date.now() - startedAt };
+            } catch (error) {
+                checks.bitrix = { ok: false, latencyMs: Date.now() - startedAt, message: error.message };
+            }
+        } else {
+            checks.bitrix = { ok: false, message: 'Skipped: webhook credentials are unavailable' };
+        }
+
+        return {
+            ready: Object.values(checks).every(check => check.ok),
+            checks
+        };
+    }
+}
+
+export const healthService = new HealthService();
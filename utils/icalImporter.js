@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+import { categoryRegistry } from './categories.js';
+import { logMessage } from './logger.js';
+import { parseCalendar } from './ics.js';
+import { formatDate, parseDate } from './dates.js';
+
+const importConfigPath = path.resolve(process.cwd(), process.env.ICAL_IMPORT_CONFIG || path.join('config', 'ical-import.json'));
+
+// UID событий из наших собственных фидов (см. calendarService) – их не импортируем,
+// иначе бронь, вернувшаяся через OTA, заблокировала бы номер второй раз
+const OWN_UID_SUFFIX = '@dias-gulfstream';
+
+// Таймаут загрузки фида: зависший OTA не должен останавливать импорт остальных фидов
+const FEED_TIMEOUT_MS = 30 * 1000;
+
+// Импорт занятости из внешних календарей (config/ical-import.json):
+// { "intervalMinutes": 15, "timeoutSeconds": 30, "feeds": [{ "source": "airbnb", "category": "house_1", "roomId": "1",
+//   "url": "https://..." }] } – вместо url можно указать "file" (путь к локальному .ics).
+// Для каждого фида события сравниваются с блокировками этого источника в Bitrix:
+// новые создаются, изменённые обновляются, пропавшие из фида будущие – удаляются.
+export class IcalImporter {
+    constructor(client = defaultBitrixClient, config = null) {
+        this.bitrixClient = client;
+        this.config = config || (fs.existsSync(importConfigPath)
+            ? JSON.parse(fs.readFileSync(importConfigPath, 'utf8'))
+            : { feeds: [] });
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Текст календаря по url или из файла
+    async loadFeed(feed) {
+        if (feed.file) {
+            return fs.promises.readFile(path.resolve(process.cwd(), feed.file), 'utf8');
+        }
+
+        const timeoutMs = this.config.timeoutSeconds ? this.config.timeoutSeconds * 1000 : FEED_TIMEOUT_MS;
+        const response = await fetch(feed.url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Синхронизация одного фида. today – дата, с которой события считаются актуальными.
+    async syncFeed(feed, today = formatDate(new Date())) {
+        const category = categoryRegistry.resolve(feed.category);
+        if (!category) {
+            throw new Error(`Unknown category ${feed.category} in iCal feed ${feed.source}`);
+        }
+        if (!feed.source || !/^[\w-]+$/.test(feed.source)) {
+            throw new Error('iCal feed source must match [A-Za-z0-9_-]+');
+        }
+
+        const roomType = category.field;
+        const roomId = String(feed.roomId);
+
+        const events = parseCalendar(await this.loadFeed(feed)).filter(event =>
+            !event.uid.endsWith(OWN_UID_SUFFIX) &&
+            event.status !== 'CANCELLED' &&
+            event.end > today
+        );
+        const eventsByUid = new Map(events.map(event => [event.uid, event]));
+
+        const blocks = await this.bitrixClient.getImportedBlocks(feed.source, roomType, roomId);
+        const blocksByUid = new Map(blocks.map(block => [block.ORIGIN_ID, block]));
+
+        const summary = { source: feed.source, category: category.slug, roomId, created: 0, updated: 0, removed: 0 };
+
+        for (const event of events) {
+            const block = blocksByUid.get(event.uid);
+            if (!block) {
+                await this.bitrixClient.createBlock({
+                    source: feed.source,
+                    uid: event.uid,
+                    roomType,
+                    roomId,
+                    checkIn: event.start,
+                    checkOut: event.end,
+                    summary: event.summary || ''
+                });
+                summary.created++;
+                continue;
+            }
+
+            const blockCheckIn = formatDate(parseDate(block.UF_CRM_1749509439624));
+            const blockCheckOut = formatDate(parseDate(block.UF_CRM_1749787453685));
+            if (blockCheckIn !== event.start || blockCheckOut !== event.end) {
+                await this.bitrixClient.updateBlock(block.ID, { roomType, checkIn: event.start, checkOut: event.end });
+                summary.updated++;
+            }
+        }
+
+        // Прошедшие блокировки остаются как история, даже если исчезли из фида
+        for (const block of blocks) {
+            if (eventsByUid.has(block.ORIGIN_ID)) continue;
+            if (formatDate(parseDate(block.UF_CRM_1749787453685)) <= today) continue;
+            await this.bitrixClient.deleteDeal(block.ID);
+            summary.removed++;
+        }
+
+        return summary;
+    }
+
+    // Синхронизация всех фидов; ошибка одного фида не останавливает остальные
+    async syncAll() {
+        if (this.running) {
+            return [];
+        }
+
+        this.running = true;
+        const results = [];
+        try {
+            for (const feed of this.config.feeds || []) {
+                try {
+                    const summary = await this.syncFeed(feed);
+                    results.push(summary);
+                    if (summary.created || summary.updated || summary.removed) {
+                        logMessage(LOG_TYPES.I, 'IcalImporter.syncAll', JSON.stringify(summary));
+                    }
+                } catch (error) {
+                    logMessage(LOG_TYPES.E, `IcalImporter.syncAll ${feed.source}`, error);
+                    results.push({ source: feed.source, error: error.message });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+        return results;
+    }
+
+    // Запуск периодического импорта
+    start() {
+        const intervalMinutes = Number(process.env.ICAL_IMPORT_INTERVAL_MINUTES || this.config.intervalMinutes || 0);
+        if (!intervalMinutes || !(this.config.feeds || []).length) {
+            return false;
+        }
+
+        this.syncAll();
+        this.timer = setInterval(() => this.syncAll(), intervalMinutes * 60 * 1000);
+        this.timer.unref();
+        return true;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+export const icalImporter = new IcalImporter();
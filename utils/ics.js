@@ -0,0 +1,125 @@
+// Формирование и разбор календарей iCalendar (RFC 5545)
+
+const PRODID = '-//Dias Gulfstream//Booking calendar//RU';
+
+// Экранирование текстовых значений
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Перенос длинных строк: не больше 75 октетов, продолжение начинается с пробела
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// YYYY-MM-DD -> YYYYMMDD (значение типа DATE)
+function toIcsDate(date) {
+    return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+// Момент времени в UTC: YYYYMMDDTHHMMSSZ
+function toIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// events: [{ uid, start, end, summary, description }], start/end – YYYY-MM-DD, end не включается
+export function buildCalendar({ name, events = [] }) {
+    const stamp = toIcsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Значение DATE или DATE-TIME -> YYYY-MM-DD
+function fromIcsDate(value) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Снятие экранирования текстовых значений
+function unescapeText(value) {
+    return String(value)
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([;,\\])/g, '$1');
+}
+
+// Разбор календаря: [{ uid, start, end, summary, status }], start/end – YYYY-MM-DD.
+// Без DTEND событие длится одни сутки.
+export function parseCalendar(text) {
+    // Склеиваем перенесённые строки
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (current && current.uid && current.start) {
+                if (!current.end || current.end <= current.start) {
+                    const end = new Date(`${current.start}T00:00:00Z`);
+                    end.setUTCDate(end.getUTCDate() + 1);
+                    current.end = end.toISOString().slice(0, 10);
+                }
+                events.push(current);
+            }
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (name === 'UID') current.uid = value.trim();
+        if (name === 'DTSTART') current.start = fromIcsDate(value);
+        if (name === 'DTEND') current.end = fromIcsDate(value);
+        if (name === 'SUMMARY') current.summary = unescapeText(value);
+        if (name === 'STATUS') current.status = value.trim().toUpperCase();
+    }
+
+    return events;
+}
@@ -1,40 +1,257 @@
-// src/lib/logger.js
+// Структурированный журнал: одна JSON-запись на строку в logs/app.log.
+// Запись асинхронная и по очереди, файл ротируется по размеру и по смене суток,
+// старые файлы удаляются по сроку хранения и количеству (config/logging.json).
+// В каждую запись внутри HTTP-запроса попадает его ID (см. utils/requestContext.js).
 
 import fs from 'fs';
 import path from 'path';
+import { formatDate } from './dates.js';
+import { getRequestId } from './requestContext.js';
 
-// Логирование сообщений
-export function logMessage(type, source, messageOrError) {
-    try {
-        const currentTime = new Date().toLocaleString();
-        const isError = type === 'error';
-        const typeLabel = isError ? '[ERROR]' : type === 'info' ? '[INFO]' : type === 'warning' ? '[WARNING]' : '[ACCESS]';
-        const messageContent = isError
-            ? `Error: ${messageOrError?.stack || messageOrError}`
-            : `${messageOrError}`;
-
-        const formattedMessage = `${currentTime} ${typeLabel} - Source: ${source}\n${messageContent}\n\n`;
-
-        const logsDir = path.join(process.cwd(), 'logs');
-        if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir, { recursive: true });
+const loggingConfigPath = path.resolve(process.cwd(), process.env.LOGGING_CONFIG || path.join('config', 'logging.json'));
+
+const DEFAULT_CONFIG = {
+    level: 'info',
+    dir: 'logs',
+    fileName: 'app.log',
+    console: true,
+    rotation: { maxSizeMB: 20 },
+    retention: { days: 14, maxFiles: 30 }
+};
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Типы, с которыми вызывается logMessage: LOG_TYPES (global.js) и строки вроде 'ERROR'.
+// access – журнал HTTP-запросов, пишется с уровнем info
+const TYPE_ALIASES = {
+    e: 'error',
+    error: 'error',
+    w: 'warn',
+    warn: 'warn',
+    warning: 'warn',
+    i: 'info',
+    info: 'info',
+    d: 'debug',
+    debug: 'debug',
+    a: 'access',
+    access: 'access'
+};
+
+// Ротированные файлы: app.2025-07-01.1.log, а также ежедневные файлы прежнего формата logs_2025-07-01.log
+const LEGACY_FILE_PATTERN = /^logs_\d{4}-\d{2}-\d{2}\.log$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function resolveType(type) {
+    const kind = TYPE_ALIASES[String(type || '').toLowerCase()] || 'info';
+    return kind === 'access' ? { level: 'info', kind } : { level: kind, kind: null };
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+export class Logger {
+    constructor(config = null) {
+        const fileConfig = config || (fs.existsSync(loggingConfigPath)
+            ? JSON.parse(fs.readFileSync(loggingConfigPath, 'utf8'))
+            : {});
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...fileConfig,
+            rotation: { ...DEFAULT_CONFIG.rotation, ...(fileConfig.rotation || {}) },
+            retention: { ...DEFAULT_CONFIG.retention, ...(fileConfig.retention || {}) }
+        };
+
+        // Переменные окружения важнее файла: LOG_LEVEL, LOG_DIR, LOG_CONSOLE=false
+        this.level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : this.config.level;
+        this.dir = path.resolve(process.cwd(), process.env.LOG_DIR || this.config.dir);
+        this.console = process.env.LOG_CONSOLE ? process.env.LOG_CONSOLE !== 'false' : this.config.console;
+        this.filePath = path.join(this.dir, this.config.fileName);
+        this.maxSizeBytes = this.config.rotation.maxSizeMB * 1024 * 1024;
+
+        this.queue = [];
+        this.flushScheduled = false;
+        this.writing = Promise.resolve();
+        // Размер и дата текущего файла, определяются при первой записи
+        this.currentSize = null;
+        this.currentDate = null;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    // Запись в журнал. fields – дополнительные поля записи (например, статус и длительность запроса)
+    log(type, source, messageOrError, fields = {}) {
+        try {
+            const { level, kind } = resolveType(type);
+            if (!this.isLevelEnabled(level)) {
+                return;
+            }
+
+            const entry = { time: new Date().toISOString(), level };
+            if (kind) entry.type = kind;
+            entry.source = source;
+
+            const requestId = fields.requestId || getRequestId();
+            if (requestId) entry.requestId = requestId;
+
+            if (messageOrError instanceof Error) {
+                entry.message = messageOrError.message;
+                entry.error = serializeError(messageOrError);
+            } else if (messageOrError !== null && typeof messageOrError === 'object') {
+                // Объекты (например, неуспешный ответ сервиса) пишутся полями, а не строкой [object Object]
+                entry.message = messageOrError.message || '';
+                entry.data = messageOrError;
+            } else {
+                entry.message = String(messageOrError ?? '');
+            }
+            Object.assign(entry, fields);
+
+            this.queue.push(JSON.stringify(entry) + '\n');
+            this.scheduleFlush();
+
+            if (this.console) {
+                const line = `${entry.time} [${level.toUpperCase()}] ${source}${requestId ? ` (${requestId})` : ''} - ${entry.message}`;
+                (LEVELS[level] >= LEVELS.warn ? console.error : console.log)(line);
+            }
+        } catch (error) {
+            console.error('Unexpected logging error:', error);
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+        setImmediate(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    // Запись накопленных строк в файл; записи выполняются строго по очереди
+    flush() {
+        this.writing = this.writing
+            .then(() => this.writeQueued())
+            .catch(error => console.error('Unexpected logging error:', error));
+        return this.writing;
+    }
+
+    async writeQueued() {
+        if (this.queue.length === 0) return;
+        const chunk = this.queue.join('');
+        this.queue = [];
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const bytes = Buffer.byteLength(chunk);
+        await this.rotateIfNeeded(bytes);
+        await fs.promises.appendFile(this.filePath, chunk);
+        this.currentSize += bytes;
+    }
+
+    // Синхронная дозапись очереди при завершении процесса
+    flushSync() {
+        if (this.queue.length === 0) return;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.filePath, this.queue.join(''));
+            this.queue = [];
+        } catch (error) {
+            console.error('Unexpected logging error:', error);
         }
+    }
+
+    // Ротация: текущий файл переименовывается, если наступили новые сутки или он превысит maxSizeMB
+    async rotateIfNeeded(incomingBytes, now = new Date()) {
+        const today = formatDate(now);
 
-        const logFileName = `logs_${formatDate(new Date())}.log`;
-        const logFilePath = path.join(logsDir, logFileName);
+        if (this.currentSize === null) {
+            const stat = await fs.promises.stat(this.filePath).catch(() => null);
+            this.currentSize = stat ? stat.size : 0;
+            this.currentDate = stat ? formatDate(stat.mtime) : today;
+            // Заодно убираем файлы, устаревшие за время простоя
+            await this.applyRetention(now);
+        }
 
-        fs.appendFileSync(logFilePath, formattedMessage);
+        if (this.currentSize > 0 && (this.currentDate !== today || this.currentSize + incomingBytes > this.maxSizeBytes)) {
+            await fs.promises.rename(this.filePath, await this.rotatedFilePath(this.currentDate));
+            this.currentSize = 0;
+            await this.applyRetention(now);
+        }
+        this.currentDate = today;
+    }
 
-        console.log(`${currentTime} ${typeLabel} ${source} - log writed`);
-    } catch (error) {
-        console.error('Unexpected logging error:', error);
+    async rotatedFilePath(date) {
+        const { name, ext } = path.parse(this.config.fileName);
+        const prefix = `${name}.${date}.`;
+        const files = await fs.promises.readdir(this.dir);
+        const taken = files
+            .filter(file => file.startsWith(prefix) && file.endsWith(ext))
+            .map(file => Number(file.slice(prefix.length, file.length - ext.length)))
+            .filter(Number.isInteger);
+        return path.join(this.dir, `${prefix}${taken.length > 0 ? Math.max(...taken) + 1 : 1}${ext}`);
+    }
+
+    isRotatedFile(file) {
+        const { name, ext } = path.parse(this.config.fileName);
+        return (file.startsWith(`${name}.`) && file.endsWith(ext) && file !== this.config.fileName) ||
+            LEGACY_FILE_PATTERN.test(file);
+    }
+
+    // Удаление ротированных файлов старше retention.days и сверх retention.maxFiles (самые старые)
+    async applyRetention(now = new Date()) {
+        const { days, maxFiles } = this.config.retention;
+        const files = [];
+        for (const file of await fs.promises.readdir(this.dir).catch(() => [])) {
+            if (!this.isRotatedFile(file)) continue;
+            const stat = await fs.promises.stat(path.join(this.dir, file)).catch(() => null);
+            if (stat) files.push({ file, mtime: stat.mtimeMs });
+        }
+        files.sort((a, b) => b.mtime - a.mtime);
+
+        const removed = [];
+        for (const [index, { file, mtime }] of files.entries()) {
+            if (index >= maxFiles || now.getTime() - mtime > days * DAY_MS) {
+                await fs.promises.unlink(path.join(this.dir, file)).catch(() => null);
+                removed.push(file);
+            }
+        }
+        return removed;
+    }
+
+    // Middleware журнала HTTP-запросов: метод, путь, статус и длительность по завершении ответа
+    accessLog() {
+        return (req, res, next) => {
+            const startedAt = process.hrtime.bigint();
+            res.on('finish', () => {
+                const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+                this.log('access', 'http', `${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs}ms`, {
+                    requestId: req.id,
+                    method: req.method,
+                    path: req.originalUrl,
+                    status: res.statusCode,
+                    durationMs,
+                    ip: req.ip,
+                    userAgent: req.get('user-agent') || ''
+                });
+            });
+            next();
+        };
     }
 }
 
-// Форматирование даты
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
\ No newline at end of file
+export const logger = new Logger();
+
+// Строки, не успевшие записаться асинхронно, дописываются при выходе
+process.on('exit', () => logger.flushSync());
+
+// Логирование сообщений
+export function logMessage(type, source, messageOrError, fields = {}) {
+    logger.log(type, source, messageOrError, fields);
+}
@@ -0,0 +1,186 @@
+// Метрики в текстовом формате Prometheus (GET /metrics).
+// Счётчики и гистограммы хранятся в памяти процесса и обнуляются при перезапуске.
+
+// Границы гистограмм длительности, секунды
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Значения метрики по наборам меток
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    labelsOf(labels = {}) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    keyOf(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name]));
+    }
+
+    reset() {
+        this.values.clear();
+    }
+}
+
+export class Counter extends Metric {
+    get type() { return 'counter'; }
+
+    inc(labels = {}, value = 1) {
+        const normalized = this.labelsOf(labels);
+        const key = this.keyOf(normalized);
+        const current = this.values.get(key) || { labels: normalized, value: 0 };
+        current.value += value;
+        this.values.set(key, current);
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(this.keyOf(this.labelsOf(labels)));
+        return entry ? entry.value : 0;
+    }
+
+    lines() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    get type() { return 'histogram'; }
+
+    observe(labels = {}, value) {
+        const normalized = this.labelsOf(labels);
+        const key = this.keyOf(normalized);
+        const current = this.values.get(key) || {
+            labels: normalized,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) current.counts[index] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+        this.values.set(key, current);
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// Значение, вычисляемое в момент выгрузки (время работы, память)
+export class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super(name, help);
+        this.collect = collect;
+    }
+
+    get type() { return 'gauge'; }
+
+    lines() {
+        return [`${this.name} ${this.collect()}`];
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+
+        this.httpRequests = this.register(new Counter('http_requests_total', 'HTTP-запросы по маршрутам', ['method', 'route', 'status']));
+        this.httpDuration = this.register(new Histogram('http_request_duration_seconds', 'Длительность HTTP-запросов', ['method', 'route']));
+        this.bitrixRequests = this.register(new Counter('bitrix_requests_total', 'Вызовы REST API Bitrix24', ['method']));
+        this.bitrixErrors = this.register(new Counter('bitrix_request_errors_total', 'Ошибки вызовов REST API Bitrix24', ['method']));
+        this.bitrixDuration = this.register(new Histogram('bitrix_request_duration_seconds', 'Длительность вызовов REST API Bitrix24', ['method']));
+        this.bookingsCreated = this.register(new Counter('bookings_created_total', 'Созданные брони', ['type']));
+        this.bookingsRejected = this.register(new Counter('bookings_rejected_total', 'Отклонённые запросы на бронирование', ['type', 'reason']));
+        this.register(new Gauge('process_uptime_seconds', 'Время работы процесса', () => Math.round(process.uptime())));
+        this.register(new Gauge('process_resident_memory_bytes', 'Занятая процессом память', () => process.memoryUsage().rss));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Вызов Bitrix: количество, ошибки и длительность по REST-методу
+    recordBitrixCall(method, durationMs, failed = false) {
+        this.bitrixRequests.inc({ method });
+        if (failed) {
+            this.bitrixErrors.inc({ method });
+        }
+        this.bitrixDuration.observe({ method }, durationMs / 1000);
+    }
+
+    // Middleware учёта HTTP-запросов. route – шаблон маршрута Express, а не фактический путь,
+    // чтобы ID броней и платежей не порождали отдельные серии
+    httpMiddleware() {
+        return (req, res, next) => {
+            const startedAt = process.hrtime.bigint();
+            res.on('finish', () => {
+                const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+                const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+                this.httpDuration.observe({ method: req.method, route }, seconds);
+            });
+            next();
+        };
+    }
+
+    // Middleware учёта броней по коду ответа: 200 – создана, 400 – неверный запрос или вместимость,
+    // 409 – номер занят, 5xx – ошибка
+    bookingMiddleware(type) {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                if (res.statusCode < 300) {
+                    this.bookingsCreated.inc({ type });
+                } else {
+                    const reason = res.statusCode === 409 ? 'unavailable' : res.statusCode < 500 ? 'invalid' : 'error';
+                    this.bookingsRejected.inc({ type, reason });
+                }
+            });
+            next();
+        };
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+export const metrics = new MetricsRegistry();
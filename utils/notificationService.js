@@ -0,0 +1,354 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+import { categoryRegistry } from './categories.js';
+import { FileTransport, SmtpTransport, SmsTransport, TelegramTransport } from './notificationTransports.js';
+import { countNights, formatDate, parseDate } from './dates.js';
+import { logMessage } from './logger.js';
+
+const notificationsConfigPath = path.resolve(process.cwd(), process.env.NOTIFICATIONS_CONFIG || path.join('config', 'notifications.json'));
+const templatesPath = path.join(process.cwd(), 'config', 'notification-templates.json');
+
+const LANGUAGES = ['ru', 'kk', 'en'];
+
+// Подстановка {{переменных}} в шаблон. Строка, в которой переменная пуста, пропускается целиком
+// (например, "Причина: {{reason}}" без причины отмены).
+export function renderTemplate(template, variables) {
+    return template
+        .split('\n')
+        .filter(line => [...line.matchAll(/\{\{(\w+)\}\}/g)].every(([, name]) =>
+            variables[name] !== undefined && variables[name] !== null && variables[name] !== ''
+        ))
+        .map(line => line.replace(/\{\{(\w+)\}\}/g, (match, name) => String(variables[name])))
+        .join('\n');
+}
+
+// Отметки об отправленных напоминаниях в памяти процесса: ключи `${dealId}:${checkInDate}`.
+// Другое хранилище должно реализовать тот же интерфейс:
+//  - has(key) -> Promise<boolean>;
+//  - add(key) -> Promise<void>;
+//  - prune(checkInDate) -> Promise<void>: удаление отметок о заездах раньше checkInDate.
+export class MemoryReminderStore {
+    constructor(keys = []) {
+        this.keys = new Set(keys);
+    }
+
+    async has(key) {
+        return this.keys.has(key);
+    }
+
+    async add(key) {
+        this.keys.add(key);
+        await this.persist();
+    }
+
+    async prune(checkInDate) {
+        const outdated = [...this.keys].filter(key => key.split(':')[1] < checkInDate);
+        if (outdated.length) {
+            outdated.forEach(key => this.keys.delete(key));
+            await this.persist();
+        }
+    }
+
+    async persist() {}
+}
+
+// Отметки о напоминаниях в JSON-файле: после перезапуска напоминания не отправляются повторно.
+// Подходит для одного экземпляра приложения; записи файла идут по очереди, последняя содержит все изменения
+export class FileReminderStore extends MemoryReminderStore {
+    constructor(filePath) {
+        super(fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : []);
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+    }
+
+    persist() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const temporary = `${this.filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify([...this.keys], null, 4) + '\n');
+            await fs.promises.rename(temporary, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+// Уведомления гостю и персоналу о бронях (config/notifications.json, шаблоны – config/notification-templates.json).
+// События: created, modified, cancelled – гостю и персоналу, reminder – гостю накануне заезда.
+// Каналы: email и sms для гостя, telegram для персонала. transport = "file" пишет все сообщения
+// в outboxDir вместо отправки (локальная разработка и тесты), "live" – SMTP, SMS-шлюз и Telegram.
+// Ошибки отправки только логируются: уведомление не должно ломать бронирование.
+export class NotificationService {
+    constructor(client = defaultBitrixClient, config = null, templates = null, store = null) {
+        this.bitrixClient = client;
+        this.config = config || (fs.existsSync(notificationsConfigPath)
+            ? JSON.parse(fs.readFileSync(notificationsConfigPath, 'utf8'))
+            : { enabled: false });
+        this.templates = templates || JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+        this.transports = {};
+        // remindersFile – отметки о напоминаниях в файле; без него (тесты) – в памяти процесса
+        this.reminded = store || (this.config.remindersFile
+            ? new FileReminderStore(path.resolve(process.cwd(), this.config.remindersFile))
+            : new MemoryReminderStore());
+        this.timer = null;
+    }
+
+    isEnabled() {
+        return Boolean(this.config.enabled);
+    }
+
+    // Режим транспорта: NOTIFICATIONS_TRANSPORT переопределяет конфигурацию
+    get transportMode() {
+        return process.env.NOTIFICATIONS_TRANSPORT || this.config.transport || 'file';
+    }
+
+    // Подмена транспорта канала (например, в тестах)
+    setTransport(channel, transport) {
+        this.transports[channel] = transport;
+    }
+
+    // Транспорт канала создаётся при первой отправке; null – канал не настроен
+    getTransport(channel) {
+        if (this.transports[channel] !== undefined) {
+            return this.transports[channel];
+        }
+
+        let transport = null;
+        if (this.transportMode === 'file') {
+            const outboxDir = path.resolve(process.cwd(), process.env.NOTIFICATIONS_OUTBOX || this.config.outboxDir || path.join('logs', 'outbox'));
+            transport = new FileTransport(channel, outboxDir);
+        } else if (channel === 'email' && process.env.SMTP_HOST) {
+            transport = new SmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: process.env.SMTP_PORT || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                password: process.env.SMTP_PASSWORD,
+                from: process.env.SMTP_FROM
+            });
+        } else if (channel === 'sms' && process.env.SMS_API_KEY) {
+            transport = new SmsTransport({
+                url: process.env.SMS_API_URL || (this.config.sms || {}).url,
+                apiKey: process.env.SMS_API_KEY,
+                sender: process.env.SMS_SENDER
+            });
+        } else if (channel === 'telegram' && process.env.TELEGRAM_BOT_TOKEN) {
+            transport = new TelegramTransport({ botToken: process.env.TELEGRAM_BOT_TOKEN });
+        }
+
+        this.transports[channel] = transport;
+        return transport;
+    }
+
+    // Получатели персонала по каналу
+    getStaffRecipients(channel) {
+        const lists = {
+            telegram: process.env.TELEGRAM_STAFF_CHAT_IDS,
+            email: process.env.STAFF_EMAILS,
+            sms: process.env.STAFF_PHONES
+        };
+        const recipients = String(lists[channel] || '').split(',').map(item => item.trim()).filter(Boolean);
+        // В файловом режиме сообщения персоналу видны и без настроенных получателей
+        return recipients.length === 0 && this.transportMode === 'file' ? ['staff'] : recipients;
+    }
+
+    // Шаблон события на языке (с откатом на язык по умолчанию)
+    render(audience, event, language, variables) {
+        const byLanguage = (this.templates[audience] || {})[event];
+        if (!byLanguage) {
+            return null;
+        }
+
+        const template = byLanguage[language] || byLanguage[this.config.defaultLanguage || 'ru'];
+        return {
+            subject: renderTemplate(template.subject, variables),
+            text: renderTemplate(template.text, variables)
+        };
+    }
+
+    // Контакт гостя: имя, телефон и email – из брони или из Bitrix по contactId
+    async resolveGuest(booking) {
+        const guest = { name: booking.name || '', phone: booking.phone || '', email: booking.email || '' };
+        if ((guest.name && guest.phone) || !booking.contactId) {
+            return guest;
+        }
+
+        const contact = await this.bitrixClient.getContact(booking.contactId);
+        const data = (contact && contact.result) || {};
+        return {
+            name: guest.name || [data.NAME, data.LAST_NAME].filter(Boolean).join(' '),
+            phone: guest.phone || (data.PHONE && data.PHONE[0] ? data.PHONE[0].VALUE : ''),
+            email: guest.email || (data.EMAIL && data.EMAIL[0] ? data.EMAIL[0].VALUE : '')
+        };
+    }
+
+    // Переменные шаблонов. roomType – код поля категории или список (групповая бронь).
+    async buildVariables(booking, guest, language) {
+        const roomTypes = [].concat(booking.roomType || []);
+        const categories = roomTypes.map(field => categoryRegistry.getByField(field)).filter(Boolean);
+        const categoryNames = [...new Set(categories.map(category => category.names[language] || category.names.ru))];
+
+        let room = booking.roomId ? String(booking.roomId) : '';
+        if (room && roomTypes.length === 1) {
+            try {
+                const roomsList = await this.bitrixClient.getRoomsFromFields(roomTypes[0]);
+                room = roomsList[room] || room;
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'NotificationService.buildVariables', error);
+            }
+        }
+
+        const checkIn = booking.checkIn ? formatDate(parseDate(booking.checkIn)) : '';
+        const checkOut = booking.checkOut ? formatDate(parseDate(booking.checkOut)) : '';
+        const adults = booking.adults === undefined || booking.adults === null ? null : Number(booking.adults);
+        const children = Number(booking.children) || 0;
+
+        return {
+            property: this.config.propertyName || categoryRegistry.property,
+            bookingId: booking.bookingId,
+            name: guest.name,
+            phone: guest.phone,
+            category: categoryNames.join(', '),
+            room,
+            checkIn,
+            checkOut,
+            nights: checkIn && checkOut ? countNights(checkIn, checkOut) : '',
+            guests: adults === null ? '' : adults + children,
+            totalCost: booking.totalCost,
+            currency: booking.currency || 'KZT',
+            paymentUrl: booking.paymentUrl || '',
+            bookingToken: booking.bookingToken || '',
+            reason: booking.reason || ''
+        };
+    }
+
+    // Отправка одного сообщения; ошибка транспорта логируется
+    async deliver(channel, to, message) {
+        const transport = this.getTransport(channel);
+        if (!transport || !to) {
+            return false;
+        }
+
+        try {
+            await transport.send({ to, ...message });
+            return true;
+        } catch (error) {
+            logMessage(LOG_TYPES.E, `NotificationService.deliver ${channel}`, error);
+            return false;
+        }
+    }
+
+    // Уведомление о событии брони гостю и персоналу. Никогда не бросает ошибку.
+    // booking: { bookingId, roomType, roomId, checkIn, checkOut, totalCost, adults, children,
+    //   contactId | name/phone/email, language, reason, paymentUrl, bookingToken }
+    async notify(event, booking) {
+        if (!this.isEnabled()) {
+            return { sent: 0 };
+        }
+
+        try {
+            const guest = await this.resolveGuest(booking);
+            const guestLanguage = LANGUAGES.includes(booking.language) ? booking.language : (this.config.defaultLanguage || 'ru');
+            const channels = this.config.channels || {};
+            let sent = 0;
+
+            const guestMessage = this.render('guest', event, guestLanguage, await this.buildVariables(booking, guest, guestLanguage));
+            if (guestMessage) {
+                for (const channel of channels.guest || []) {
+                    const to = channel === 'email' ? guest.email : channel === 'sms' ? guest.phone : '';
+                    if (await this.deliver(channel, to, guestMessage)) sent++;
+                }
+            }
+
+            const staffLanguage = this.config.staffLanguage || 'ru';
+            const staffMessage = this.render('staff', event, staffLanguage, await this.buildVariables(booking, guest, staffLanguage));
+            if (staffMessage) {
+                for (const channel of channels.staff || []) {
+                    for (const to of this.getStaffRecipients(channel)) {
+                        if (await this.deliver(channel, to, staffMessage)) sent++;
+                    }
+                }
+            }
+
+            return { sent };
+        } catch (error) {
+            logMessage(LOG_TYPES.E, `NotificationService.notify ${event}`, error);
+            return { sent: 0, error: error.message };
+        }
+    }
+
+    // Напоминания гостям о заезде через reminder.daysBefore дней.
+    // Каждая бронь напоминается один раз; брони одного контакта на одну дату (группа) – одним сообщением.
+    // Бронь отмечается только после отправки: при ошибке напоминание повторится при следующем запуске.
+    async sendReminders(today = formatDate(new Date())) {
+        if (!this.isEnabled()) {
+            return 0;
+        }
+
+        const target = parseDate(today);
+        target.setDate(target.getDate() + ((this.config.reminder || {}).daysBefore ?? 1));
+        const checkInDate = formatDate(target);
+
+        // Отметки о прошедших заездах больше не нужны
+        await this.reminded.prune(checkInDate);
+
+        const dealsByField = await this.bitrixClient.getDealsByRange(checkInDate, checkInDate);
+        const contactsNotified = new Set();
+        let sent = 0;
+
+        for (const [field, { deals }] of Object.entries(dealsByField)) {
+            for (const deal of deals) {
+                if (!deal[field] || !deal.UF_CRM_1749509439624) continue;
+                if (formatDate(parseDate(deal.UF_CRM_1749509439624)) !== checkInDate) continue;
+
+                const key = `${deal.ID}:${checkInDate}`;
+                if (await this.reminded.has(key)) continue;
+
+                let booking;
+                try {
+                    booking = await this.bitrixClient.getBooking(deal.ID);
+                } catch (error) {
+                    logMessage(LOG_TYPES.E, 'NotificationService.sendReminders', error);
+                    continue;
+                }
+                // Блокировки из внешних календарей и сделки без контакта не напоминаются
+                if (!booking || booking.cancelled || !booking.contactId) continue;
+
+                // Остальные брони контакта вошли в уже отправленное напоминание
+                if (!contactsNotified.has(booking.contactId)) {
+                    const result = await this.notify('reminder', { ...booking, bookingId: booking.id });
+                    if (result.error || !result.sent) continue;
+                    sent += result.sent;
+                    contactsNotified.add(booking.contactId);
+                }
+                await this.reminded.add(key);
+            }
+        }
+
+        return sent;
+    }
+
+    // Запуск периодической отправки напоминаний
+    start() {
+        const intervalMinutes = Number((this.config.reminder || {}).intervalMinutes || 0);
+        if (!this.isEnabled() || !intervalMinutes) {
+            return false;
+        }
+
+        const run = () => this.sendReminders().catch(error => logMessage(LOG_TYPES.E, 'NotificationService.sendReminders', error));
+        run();
+        this.timer = setInterval(run, intervalMinutes * 60 * 1000);
+        this.timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+export const notificationService = new NotificationService();
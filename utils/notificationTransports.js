@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import tls from 'tls';
+import crypto from 'crypto';
+import os from 'os';
+
+// Транспорты уведомлений. Транспорт реализует send({ to, subject, text }) -> Promise<void>,
+// где to – адрес в формате канала: email, телефон или chat_id Telegram.
+
+// Таймаут ответа внешнего сервиса
+const SEND_TIMEOUT_MS = 15 * 1000;
+
+// Локальная замена всех каналов: сообщение сохраняется JSON-файлом в outbox
+export class FileTransport {
+    constructor(channel, outboxDir) {
+        this.channel = channel;
+        this.outboxDir = outboxDir;
+    }
+
+    async send({ to, subject = '', text }) {
+        await fs.promises.mkdir(this.outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${this.channel}-${crypto.randomUUID().slice(0, 8)}.json`;
+        const message = { channel: this.channel, to, subject, text, createdAt: new Date().toISOString() };
+        await fs.promises.writeFile(path.join(this.outboxDir, fileName), JSON.stringify(message, null, 2), 'utf8');
+    }
+}
+
+// Соединение с SMTP-сервером: команды по одной, ответ – строки "250-..." до "250 ..."
+class SmtpConnection {
+    constructor(socket) {
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.responses = [];
+        this.waiting = null;
+        this.error = null;
+
+        socket.setTimeout(SEND_TIMEOUT_MS);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('timeout', () => this.fail(new Error('SMTP timeout')));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    detach() {
+        this.socket.removeAllListeners('data');
+        this.socket.removeAllListeners('timeout');
+        this.socket.removeAllListeners('error');
+        this.socket.removeAllListeners('close');
+        this.socket.setTimeout(0);
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            // Последняя строка ответа: код и пробел
+            if (/^\d{3}( |$)/.test(line)) {
+                const response = { code: Number(line.slice(0, 3)), lines: this.lines };
+                this.lines = [];
+                if (this.waiting) {
+                    const { resolve } = this.waiting;
+                    this.waiting = null;
+                    resolve(response);
+                } else {
+                    // Ответ пришёл раньше, чем его начали ждать (например, приветствие сервера)
+                    this.responses.push(response);
+                }
+            }
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        if (this.responses.length > 0) {
+            return Promise.resolve(this.responses.shift());
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    // Отправка команды и проверка кода ответа
+    async command(line, expectedCodes) {
+        const responsePromise = this.read();
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const response = await responsePromise;
+        if (!expectedCodes.includes(response.code)) {
+            throw new Error(`SMTP error on "${line === null ? 'greeting' : line.split(' ')[0]}": ${response.lines.join(' ')}`);
+        }
+        return response;
+    }
+}
+
+// Заголовок в UTF-8 (RFC 2047)
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Почта через SMTP: secure = true – TLS сразу (порт 465), иначе STARTTLS, если сервер его предлагает
+export class SmtpTransport {
+    constructor({ host, port = 587, secure = false, user = '', password = '', from }) {
+        if (!host || !from) {
+            throw new Error('SMTP host and from address are required');
+        }
+        this.options = { host, port: Number(port), secure, user, password, from };
+    }
+
+    connect() {
+        const { host, port, secure } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+                : net.connect({ host, port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    buildMessage({ to, subject, text }) {
+        const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+        return [
+            `From: ${this.options.from}`,
+            `To: ${to}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${this.options.host}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body
+        ].join('\r\n');
+    }
+
+    async send({ to, subject, text }) {
+        const { host, secure, user, password, from } = this.options;
+        const socket = await this.connect();
+        const connection = new SmtpConnection(socket);
+
+        try {
+            await connection.command(null, [220]);
+            let ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+            if (!secure && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+                await connection.command('STARTTLS', [220]);
+                connection.detach();
+                const secureSocket = await new Promise((resolve, reject) => {
+                    const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+                    upgraded.once('error', reject);
+                });
+                connection.attach(secureSocket);
+                ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            }
+
+            if (user) {
+                await connection.command('AUTH LOGIN', [334]);
+                await connection.command(Buffer.from(user).toString('base64'), [334]);
+                await connection.command(Buffer.from(password).toString('base64'), [235]);
+            }
+
+            await connection.command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+            await connection.command(`RCPT TO:<${to}>`, [250, 251]);
+            await connection.command('DATA', [354]);
+            await connection.command(`${this.buildMessage({ to, subject, text })}\r\n.`, [250]);
+            await connection.command('QUIT', [221]).catch(() => {});
+        } finally {
+            connection.detach();
+            connection.socket.destroy();
+        }
+    }
+}
+
+// SMS через HTTP-шлюз (формат Mobizon: apiKey в адресе, recipient/text/from в форме)
+export class SmsTransport {
+    constructor({ url, apiKey, sender = '' }) {
+        if (!url || !apiKey) {
+            throw new Error('SMS gateway url and API key are required');
+        }
+        this.options = { url, apiKey, sender };
+    }
+
+    async send({ to, text }) {
+        const url = new URL(this.options.url);
+        url.searchParams.set('apiKey', this.options.apiKey);
+
+        const form = new URLSearchParams({ recipient: to.replace(/^\+/, ''), text });
+        if (this.options.sender) {
+            form.set('from', this.options.sender);
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            body: form,
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`SMS gateway error! status: ${response.status}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (result.code !== undefined && Number(result.code) !== 0) {
+            throw new Error(`SMS gateway error: ${result.message || result.code}`);
+        }
+    }
+}
+
+// Сообщения персоналу через бота Telegram
+export class TelegramTransport {
+    constructor({ botToken }) {
+        if (!botToken) {
+            throw new Error('Telegram bot token is required');
+        }
+        this.botToken = botToken;
+    }
+
+    async send({ to, text }) {
+        const response = await fetch(`https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: to, text, disable_web_page_preview: true }),
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.ok) {
+            throw new Error(`Telegram error: ${result.description || response.status}`);
+        }
+    }
+}
@@ -0,0 +1,161 @@
+// Документ OpenAPI 3.1 из схем маршрутов (utils/apiSchemas.js).
+// Схемы проверки запросов – это JSON Schema, поэтому в документ они попадают без преобразований.
+
+const STATUS_DESCRIPTIONS = {
+    200: 'Успешный ответ',
+    400: 'Неверный запрос',
+    401: 'Неверный токен администратора',
+    403: 'Доступ запрещён',
+    500: 'Внутренняя ошибка сервера'
+};
+
+// Общий формат ответа
+const ENVELOPE_SCHEMAS = {
+    Success: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'boolean', const: true },
+            status_msg: { type: 'string', const: 'success' },
+            message: { type: 'string' },
+            data: {}
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['status', 'status_msg', 'message'],
+        properties: {
+            status: { type: 'boolean', const: false },
+            status_msg: { type: 'string', const: 'error' },
+            message: { type: 'string' },
+            errors: {
+                type: 'array',
+                description: 'Ошибки проверки запроса',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', example: 'body.checkIn' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// :param -> {param}
+function toOpenApiPath(expressPath) {
+    return '/' + expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+// Параметры пути и query: каждое свойство схемы – отдельный параметр
+function toParameters(location, schema) {
+    if (!schema || !schema.properties) return [];
+    const required = new Set(schema.required || []);
+    return Object.entries(schema.properties).map(([name, propertySchema]) => {
+        const { description, ...rest } = propertySchema;
+        return {
+            name,
+            in: location,
+            required: location === 'path' || required.has(name),
+            ...(description ? { description } : {}),
+            schema: rest
+        };
+    });
+}
+
+function errorResponse(description) {
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+function toOperation(name, route) {
+    const successContent = route.produces
+        ? { [route.produces]: { schema: { type: 'string' } } }
+        : { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } };
+
+    const responses = {
+        200: { description: STATUS_DESCRIPTIONS[200], content: successContent }
+    };
+    if (route.params || route.query || route.body || route.upload) {
+        responses[400] = errorResponse(STATUS_DESCRIPTIONS[400]);
+    }
+    if (route.admin) {
+        responses[401] = errorResponse(STATUS_DESCRIPTIONS[401]);
+        responses[403] = errorResponse('ADMIN_TOKEN не настроен');
+    }
+    for (const [code, description] of Object.entries(route.responses || {})) {
+        responses[code] = errorResponse(description);
+    }
+    responses[500] = errorResponse(STATUS_DESCRIPTIONS[500]);
+
+    const operation = {
+        operationId: name,
+        summary: route.summary,
+        tags: route.tags || [],
+        parameters: [...toParameters('path', route.params), ...toParameters('query', route.query)],
+        responses
+    };
+
+    if (route.body) {
+        operation.requestBody = {
+            required: Boolean(route.body.required && route.body.required.length),
+            content: {
+                'application/json': { schema: route.body },
+                'application/x-www-form-urlencoded': { schema: route.body }
+            }
+        };
+    }
+    if (route.upload) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [route.upload.field],
+                        properties: {
+                            [route.upload.field]: {
+                                type: 'array',
+                                maxItems: route.upload.maxItems,
+                                items: { type: 'string', format: 'binary' }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+    if (route.admin) {
+        operation.security = [{ adminToken: [] }];
+    }
+
+    return operation;
+}
+
+export function buildOpenApiDocument(schemas, { baseUrl, version = '1.0.0' }) {
+    const paths = {};
+    for (const [name, route] of Object.entries(schemas)) {
+        const openApiPath = toOpenApiPath(route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = toOperation(name, route);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Dias Gulfstream booking API',
+            version
+        },
+        servers: [{ url: baseUrl.replace(/\/$/, '') }],
+        paths,
+        components: {
+            schemas: ENVELOPE_SCHEMAS,
+            securitySchemes: {
+                adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN из .env' }
+            }
+        }
+    };
+}
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// Провайдеры онлайн-оплаты. Адаптер (Kaspi, CloudPayments, Stripe и т.п.) реализует интерфейс:
+//  - name – код провайдера, он же часть адреса колбэка: POST /payments/callback/<name>;
+//  - createPayment({ paymentId, amount, currency, description }) -> Promise<{ providerPaymentId, paymentUrl }>;
+//  - parseCallback({ headers, body, rawBody }) -> Promise<{ providerPaymentId, status: 'paid' | 'failed', amount }>,
+//    при неверной подписи бросает ошибку;
+//  - cancelPayment(providerPaymentId) -> Promise<void> – необязательно, вызывается при истечении удержания.
+
+// Тестовый провайдер для локальной разработки: "страница оплаты" – GET /payments/mock/<id>,
+// колбэк подписывается HMAC-SHA256 на PAYMENT_MOCK_SECRET в заголовке X-Mock-Signature.
+export class MockPaymentProvider {
+    constructor({ checkoutUrl = '/dias_gulfstream_back/payments/mock/' } = {}) {
+        this.name = 'mock';
+        this.checkoutUrl = checkoutUrl;
+    }
+
+    get secret() {
+        return process.env.PAYMENT_MOCK_SECRET || 'mock-secret';
+    }
+
+    // Подпись тела колбэка
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+    }
+
+    async createPayment({ paymentId }) {
+        const providerPaymentId = `mock_${paymentId}`;
+        return {
+            providerPaymentId,
+            paymentUrl: `${this.checkoutUrl}${providerPaymentId}`
+        };
+    }
+
+    async parseCallback({ headers, body, rawBody }) {
+        const payload = rawBody ? rawBody.toString('utf8') : JSON.stringify(body);
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(String(headers['x-mock-signature'] || ''));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid mock payment signature');
+        }
+
+        return {
+            providerPaymentId: body.paymentId,
+            status: body.status === 'paid' ? 'paid' : 'failed',
+            amount: Number(body.amount) || 0
+        };
+    }
+
+    async cancelPayment() {}
+}
+
+// Реестр провайдеров: имя из config/payments.json -> фабрика
+const providerFactories = {
+    mock: options => new MockPaymentProvider(options)
+};
+
+// Подключение адаптера реального провайдера
+export function registerPaymentProvider(name, factory) {
+    providerFactories[name] = factory;
+}
+
+export function createPaymentProvider(name, options = {}) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider ${name}`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,343 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+import { categoryRegistry } from './categories.js';
+import { createPaymentProvider } from './paymentProviders.js';
+import { promoService as defaultPromoService } from './promoService.js';
+import { logMessage } from './logger.js';
+
+const paymentsConfigPath = path.resolve(process.cwd(), process.env.PAYMENTS_CONFIG || path.join('config', 'payments.json'));
+
+// Хранилище платежей в памяти процесса.
+// Другое хранилище (Redis, БД) должно реализовать тот же интерфейс:
+//  - save(payment) -> Promise<void>: создание или замена записи;
+//  - get(paymentId) -> Promise<payment | null>;
+//  - findByProviderPaymentId(provider, providerPaymentId) -> Promise<payment | null>;
+//  - listByDeal(dealId) -> Promise<payment[]>: платежи, записанные на сделку;
+//  - listExpired(now) -> Promise<payment[]>: неоплаченные платежи с истёкшим удержанием.
+export class MemoryPaymentStore {
+    constructor() {
+        this.payments = new Map();
+    }
+
+    async save(payment) {
+        this.payments.set(payment.id, payment);
+    }
+
+    async get(paymentId) {
+        return this.payments.get(paymentId) || null;
+    }
+
+    async findByProviderPaymentId(provider, providerPaymentId) {
+        for (const payment of this.payments.values()) {
+            if (payment.provider === provider && payment.providerPaymentId === providerPaymentId) {
+                return payment;
+            }
+        }
+        return null;
+    }
+
+    async listByDeal(dealId) {
+        return [...this.payments.values()].filter(payment => payment.dealId === String(dealId));
+    }
+
+    async listExpired(now) {
+        return [...this.payments.values()].filter(payment => payment.status === 'pending' && payment.expiresAt <= now);
+    }
+}
+
+// Платежи в JSON-файле: ожидающие оплаты платежи и удержания переживают перезапуск.
+// Подходит для одного экземпляра приложения; записи файла идут по очереди, последняя содержит все изменения
+export class FilePaymentStore extends MemoryPaymentStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+        if (fs.existsSync(filePath)) {
+            for (const payment of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+                this.payments.set(payment.id, payment);
+            }
+        }
+    }
+
+    async save(payment) {
+        await super.save(payment);
+        await this.persist();
+    }
+
+    persist() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const temporary = `${this.filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify([...this.payments.values()], null, 4) + '\n');
+            await fs.promises.rename(temporary, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+// Предоплата брони (config/payments.json):
+// { "enabled": true, "provider": "mock", "currency": "KZT", "holdMinutes": 30, "storeFile": "data/payments.json",
+//   "deposit": { "defaultPercent": 30, "categories": { "house_3": 50 } },
+//   "providers": { "mock": { ...настройки провайдера } } }
+// Бронь держит номер holdMinutes минут; если предоплата не пришла – сделка отменяется.
+// Статусы платежа: pending -> paid | expired; оплата после отмены брони – paid_late (нужен возврат).
+export class PaymentService {
+    constructor(client = defaultBitrixClient, config = null, store = null, promo = defaultPromoService) {
+        this.bitrixClient = client;
+        this.promoService = promo;
+        this.config = config || (fs.existsSync(paymentsConfigPath)
+            ? JSON.parse(fs.readFileSync(paymentsConfigPath, 'utf8'))
+            : { enabled: false });
+        // storeFile – платежи в файле; без него (тесты) – в памяти процесса
+        this.store = store || (this.config.storeFile
+            ? new FilePaymentStore(path.resolve(process.cwd(), this.config.storeFile))
+            : new MemoryPaymentStore());
+        this.provider = this.config.enabled
+            ? createPaymentProvider(this.config.provider, (this.config.providers || {})[this.config.provider])
+            : null;
+        this.timer = null;
+    }
+
+    isEnabled() {
+        return Boolean(this.config.enabled);
+    }
+
+    // Подключение общего хранилища для нескольких экземпляров приложения
+    setStore(store) {
+        this.store = store;
+    }
+
+    // Процент предоплаты категории (по slug или коду поля), иначе – процент по умолчанию
+    getDepositPercent(roomType) {
+        const deposit = this.config.deposit || {};
+        const category = categoryRegistry.resolve(roomType);
+        const categories = deposit.categories || {};
+
+        if (category && categories[category.slug] !== undefined) return categories[category.slug];
+        if (category && categories[category.field] !== undefined) return categories[category.field];
+        return deposit.defaultPercent || 0;
+    }
+
+    // Сумма предоплаты по номерам брони: [{ roomType, totalCost }]
+    calculateDeposit(items) {
+        return items.reduce((sum, item) =>
+            sum + Math.round(item.totalCost * this.getDepositPercent(item.roomType) / 100), 0);
+    }
+
+    // Данные платежа для клиента
+    toPublic(payment) {
+        return {
+            paymentId: payment.id,
+            status: payment.status,
+            amount: payment.amount,
+            currency: payment.currency,
+            paymentUrl: payment.paymentUrl,
+            expiresAt: new Date(payment.expiresAt).toISOString()
+        };
+    }
+
+    // Создание платежа по брони. dealId – сделка, на которую записывается оплата,
+    // relatedDealIds – остальные сделки брони (дочерние сделки группы).
+    // null – оплата отключена или предоплата не требуется.
+    // Если провайдер не создал платёж, бронь отменяется: неоплачиваемое удержание не должно оставаться.
+    async createPayment({ dealId, relatedDealIds = [], items, description = '' }) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const amount = this.calculateDeposit(items);
+        if (amount <= 0) {
+            return null;
+        }
+
+        const id = crypto.randomUUID();
+        const currency = this.config.currency || 'KZT';
+
+        try {
+            const { providerPaymentId, paymentUrl } = await this.provider.createPayment({
+                paymentId: id,
+                amount,
+                currency,
+                description: description || `Предоплата брони #${dealId}`
+            });
+
+            const payment = {
+                id,
+                dealId: String(dealId),
+                relatedDealIds: relatedDealIds.map(String),
+                amount,
+                currency,
+                status: 'pending',
+                provider: this.provider.name,
+                providerPaymentId,
+                paymentUrl,
+                createdAt: Date.now(),
+                expiresAt: Date.now() + (this.config.holdMinutes || 30) * 60 * 1000
+            };
+            await this.store.save(payment);
+            return this.toPublic(payment);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'PaymentService.createPayment', error);
+            await this.cancelDeals([dealId, ...relatedDealIds], 'Не удалось создать платёж');
+            throw error;
+        }
+    }
+
+    async getPayment(paymentId) {
+        const payment = await this.store.get(paymentId);
+        return payment ? this.toPublic(payment) : null;
+    }
+
+    // Колбэк провайдера. Повторный колбэк по оплаченному платежу ничего не меняет.
+    // Результат: { result: true, data } или { result: false, reason: 'provider' | 'signature' | 'not_found', message }
+    async handleCallback(providerName, request) {
+        if (!this.provider || providerName !== this.provider.name) {
+            return { result: false, reason: 'provider', message: 'Unknown payment provider' };
+        }
+
+        let notification;
+        try {
+            notification = await this.provider.parseCallback(request);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'PaymentService.handleCallback', error);
+            return { result: false, reason: 'signature', message: 'Invalid payment notification' };
+        }
+
+        const payment = await this.store.findByProviderPaymentId(this.provider.name, notification.providerPaymentId);
+        if (!payment) {
+            return { result: false, reason: 'not_found', message: 'Payment not found' };
+        }
+
+        if (notification.status !== 'paid' || payment.status === 'paid' || payment.status === 'paid_late') {
+            // Неуспешная попытка оставляет платёж ожидающим: гость может оплатить ещё раз до истечения удержания
+            return { result: true, data: this.toPublic(payment) };
+        }
+
+        if (notification.amount < payment.amount) {
+            logMessage(LOG_TYPES.E, 'PaymentService.handleCallback',
+                `Payment ${payment.id}: received ${notification.amount}, expected ${payment.amount}`);
+            return { result: true, data: this.toPublic(payment) };
+        }
+
+        // Бронь могли отменить после создания платежа (гостем, персоналом или в Bitrix):
+        // оплата не должна возвращать отменённую сделку в работу
+        const activeDealIds = await this.activeDealIds([payment.dealId, ...payment.relatedDealIds]);
+        const dealCancelled = !activeDealIds.includes(payment.dealId)
+            || (payment.relatedDealIds.length > 0 && !payment.relatedDealIds.some(dealId => activeDealIds.includes(dealId)));
+
+        if (payment.status === 'expired' || dealCancelled) {
+            // Бронь уже отменена – деньги нужно вернуть вручную
+            payment.status = 'paid_late';
+            payment.paidAmount = notification.amount;
+            await this.store.save(payment);
+            await this.bitrixClient.addDealComment(payment.dealId,
+                `Предоплата ${notification.amount} ${payment.currency} поступила после отмены брони, требуется возврат`);
+            return { result: true, data: this.toPublic(payment) };
+        }
+
+        payment.status = 'paid';
+        payment.paidAmount = notification.amount;
+        payment.paidAt = Date.now();
+        await this.store.save(payment);
+
+        await this.bitrixClient.recordPayment(payment.dealId, {
+            amount: notification.amount,
+            currency: payment.currency,
+            provider: payment.provider,
+            providerPaymentId: payment.providerPaymentId
+        });
+        // Отменённые номера группы остаются отменёнными
+        for (const dealId of payment.relatedDealIds.filter(dealId => activeDealIds.includes(dealId))) {
+            await this.bitrixClient.markDealPaid(dealId);
+        }
+
+        return { result: true, data: this.toPublic(payment) };
+    }
+
+    // Сделки из списка, которые не отменены
+    async activeDealIds(dealIds) {
+        const active = [];
+        for (const dealId of dealIds) {
+            const booking = await this.bitrixClient.getBooking(dealId);
+            if (booking && !booking.cancelled) {
+                active.push(dealId);
+            }
+        }
+        return active;
+    }
+
+    // Отмена ожидающих платежей брони, отменённой гостем или персоналом: удержание снимается,
+    // оплата, пришедшая позже, уходит на возврат (paid_late)
+    async cancelForDeal(dealId) {
+        const payments = (await this.store.listByDeal(dealId)).filter(payment => payment.status === 'pending');
+        for (const payment of payments) {
+            payment.status = 'expired';
+            await this.store.save(payment);
+            await this.cancelProviderPayment(payment);
+        }
+        return payments.length;
+    }
+
+    // Отмена платежа у провайдера; ошибка только логируется
+    async cancelProviderPayment(payment) {
+        if (this.provider && this.provider.cancelPayment) {
+            try {
+                await this.provider.cancelPayment(payment.providerPaymentId);
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'PaymentService.cancelProviderPayment', error);
+            }
+        }
+    }
+
+    // Отмена сделок брони и возврат их промокодов; ошибки по отдельным сделкам только логируются
+    async cancelDeals(dealIds, reason) {
+        for (const dealId of dealIds) {
+            try {
+                await this.bitrixClient.cancelBooking(dealId, reason);
+                await this.promoService.releaseDeal(dealId);
+            } catch (error) {
+                logMessage(LOG_TYPES.E, 'PaymentService.cancelDeals', error);
+            }
+        }
+    }
+
+    // Отмена броней, по которым предоплата не поступила вовремя
+    async expireOverdue(now = Date.now()) {
+        const expired = await this.store.listExpired(now);
+
+        for (const payment of expired) {
+            payment.status = 'expired';
+            await this.store.save(payment);
+
+            await this.cancelDeals([...payment.relatedDealIds, payment.dealId], 'Предоплата не поступила вовремя');
+            await this.cancelProviderPayment(payment);
+        }
+
+        return expired.length;
+    }
+
+    // Запуск периодической отмены неоплаченных броней
+    start() {
+        if (!this.isEnabled()) {
+            return false;
+        }
+
+        const intervalSeconds = Number(this.config.sweepIntervalSeconds || 60);
+        this.timer = setInterval(() => {
+            this.expireOverdue().catch(error => logMessage(LOG_TYPES.E, 'PaymentService.expireOverdue', error));
+        }, intervalSeconds * 1000);
+        this.timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+export const paymentService = new PaymentService();
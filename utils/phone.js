@@ -0,0 +1,60 @@
+// Нормализация контактов гостя для поиска и хранения в Bitrix.
+// Телефоны приводятся к E.164 (+77011234567). Номер без "+" считается казахстанским (код +7):
+// 87011234567, 77011234567 и 7011234567 – один и тот же номер.
+
+const DEFAULT_COUNTRY_CODE = '7';
+const NATIONAL_NUMBER_LENGTH = 10;
+// Национальный префикс: 8 701 ... – то же, что +7 701 ...
+const TRUNK_PREFIX = '8';
+
+// Телефон в E.164 или null, если строка не похожа на номер
+export function normalizePhone(value) {
+    if (value === null || value === undefined) return null;
+    const raw = String(value).trim();
+    if (!/^(\+|00)?[0-9\s\-().]+$/.test(raw)) return null;
+
+    const digits = raw.replace(/\D/g, '');
+
+    // Международный формат: код страны уже указан (+... или 00...)
+    if (raw.startsWith('+') || raw.startsWith('00')) {
+        const international = raw.startsWith('00') ? digits.slice(2) : digits;
+        if (international.startsWith(DEFAULT_COUNTRY_CODE)) {
+            return international.length === NATIONAL_NUMBER_LENGTH + 1 ? `+${international}` : null;
+        }
+        return international.length >= 8 && international.length <= 15 ? `+${international}` : null;
+    }
+
+    if (digits.length === NATIONAL_NUMBER_LENGTH + 1 && (digits.startsWith(TRUNK_PREFIX) || digits.startsWith(DEFAULT_COUNTRY_CODE))) {
+        return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+    }
+    if (digits.length === NATIONAL_NUMBER_LENGTH) {
+        return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+    }
+    return null;
+}
+
+// Варианты записи номера для поиска в CRM: контакты, созданные до нормализации,
+// хранят телефон так, как его ввёл гость
+export function phoneLookupVariants(phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return phone ? [String(phone)] : [];
+
+    const digits = normalized.slice(1);
+    const variants = [normalized, digits];
+    if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length === NATIONAL_NUMBER_LENGTH + 1) {
+        const national = digits.slice(1);
+        variants.push(
+            `${TRUNK_PREFIX}${national}`,
+            national,
+            `+${DEFAULT_COUNTRY_CODE} ${national.slice(0, 3)} ${national.slice(3, 6)} ${national.slice(6)}`,
+            `+${DEFAULT_COUNTRY_CODE} ${national.slice(0, 3)} ${national.slice(3, 6)} ${national.slice(6, 8)} ${national.slice(8)}`,
+            `${TRUNK_PREFIX} ${national.slice(0, 3)} ${national.slice(3, 6)} ${national.slice(6, 8)} ${national.slice(8)}`
+        );
+    }
+    return variants;
+}
+
+// Email для сравнения: без пробелов по краям и в нижнем регистре
+export function normalizeEmail(value) {
+    return value ? String(value).trim().toLowerCase() : '';
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { countNights, eachNight, formatDate } from './dates.js';
+
+const pricingConfigPath = path.join(process.cwd(), 'config', 'pricing.json');
+
+// Правила ценообразования (config/pricing.json):
+//  - weekend: дни недели (0 – воскресенье) ночей с выходным коэффициентом;
+//  - seasons: периоды "MM-DD".."MM-DD" (включительно, могут переходить через Новый год),
+//    по желанию ограниченные списком categories;
+//  - occupancySurcharges: наценка при загрузке категории не ниже threshold (берётся максимальная подходящая).
+// Коэффициенты перемножаются, цена ночи округляется до целого.
+class PricingEngine {
+    constructor() {
+        this.rules = JSON.parse(fs.readFileSync(pricingConfigPath, 'utf8'));
+    }
+
+    // Коэффициент выходного дня
+    getWeekendMultiplier(date) {
+        const weekend = this.rules.weekend;
+        if (!weekend || !weekend.days.includes(date.getDay())) return 1;
+        return weekend.multiplier;
+    }
+
+    // Сезон, в который попадает ночь
+    getSeason(date, roomType) {
+        const monthDay = formatDate(date).slice(5);
+        return (this.rules.seasons || []).find(season => {
+            if (season.categories && !season.categories.includes(roomType)) return false;
+            return season.from <= season.to
+                ? monthDay >= season.from && monthDay <= season.to
+                : monthDay >= season.from || monthDay <= season.to;
+        }) || null;
+    }
+
+    // Наценка за загрузку категории (доля занятых номеров 0..1)
+    getOccupancyMultiplier(occupancyRate) {
+        let multiplier = 1;
+        for (const surcharge of this.rules.occupancySurcharges || []) {
+            if (occupancyRate >= surcharge.threshold) {
+                multiplier = Math.max(multiplier, surcharge.multiplier);
+            }
+        }
+        return multiplier;
+    }
+
+    // Расчёт стоимости проживания по ночам.
+    // occupancy – { "YYYY-MM-DD": доля занятых номеров категории }
+    quote({ roomType, basePrice, checkIn, checkOut, occupancy = {} }) {
+        if (!basePrice) {
+            throw new Error('Base price is required');
+        }
+
+        if (countNights(checkIn, checkOut) <= 0) {
+            throw new Error('Check-out date must be after check-in date');
+        }
+
+        const nights = eachNight(checkIn, checkOut).map(night => {
+            const date = formatDate(night);
+            const season = this.getSeason(night, roomType);
+            const weekendMultiplier = this.getWeekendMultiplier(night);
+            const seasonMultiplier = season ? season.multiplier : 1;
+            const occupancyRate = occupancy[date] || 0;
+            const occupancyMultiplier = this.getOccupancyMultiplier(occupancyRate);
+
+            return {
+                date,
+                basePrice,
+                weekendMultiplier,
+                season: season ? season.name : null,
+                seasonMultiplier,
+                occupancy: occupancyRate,
+                occupancyMultiplier,
+                price: Math.round(basePrice * weekendMultiplier * seasonMultiplier * occupancyMultiplier)
+            };
+        });
+
+        return {
+            roomType,
+            checkIn,
+            checkOut,
+            currency: this.rules.currency,
+            nights,
+            total: nights.reduce((sum, night) => sum + night.price, 0)
+        };
+    }
+}
+
+export const pricingEngine = new PricingEngine();
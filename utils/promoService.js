@@ -0,0 +1,326 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { categoryRegistry as defaultCategoryRegistry } from './categories.js';
+import { countNights, formatDate, formatDays, formatNights, startOfDay } from './dates.js';
+import { logMessage } from './logger.js';
+
+const promoConfigPath = path.resolve(process.cwd(), process.env.PROMO_CONFIG || path.join('config', 'promo.json'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Учёт использований промокодов в памяти процесса.
+// Другое хранилище (Redis, БД) должно реализовать тот же интерфейс:
+//  - tryRedeem(redemption, { maxUses, maxUsesPerPhone }) -> Promise<boolean>: атомарно сохраняет использование,
+//    если лимиты кода и телефона ещё не исчерпаны (null – без ограничения);
+//  - release(redemptionId) -> Promise<void>: отмена использования (бронь не создана);
+//  - assignDeal(redemptionId, dealId) -> Promise<void>: привязка использования к созданной сделке;
+//  - releaseByDeal(dealId) -> Promise<number>: отмена использований сделки (бронь отменена), число отменённых;
+//  - count(code, phone = null) -> Promise<number>: число использований кода, с phone – этим телефоном.
+export class MemoryPromoUsageStore {
+    constructor(redemptions = []) {
+        this.redemptions = new Map(redemptions.map(redemption => [redemption.id, redemption]));
+    }
+
+    async count(code, phone = null) {
+        return this.countSync(code, phone);
+    }
+
+    countSync(code, phone = null) {
+        return [...this.redemptions.values()]
+            .filter(redemption => redemption.code === code && (!phone || redemption.phone === phone))
+            .length;
+    }
+
+    // Проверка и запись без await между ними – параллельные брони не превысят лимит
+    async tryRedeem(redemption, { maxUses = null, maxUsesPerPhone = null } = {}) {
+        if (maxUses !== null && this.countSync(redemption.code) >= maxUses) {
+            return false;
+        }
+        if (maxUsesPerPhone !== null && this.countSync(redemption.code, redemption.phone) >= maxUsesPerPhone) {
+            return false;
+        }
+        this.redemptions.set(redemption.id, redemption);
+        await this.persist();
+        return true;
+    }
+
+    async release(redemptionId) {
+        if (this.redemptions.delete(redemptionId)) {
+            await this.persist();
+        }
+    }
+
+    async assignDeal(redemptionId, dealId) {
+        const redemption = this.redemptions.get(redemptionId);
+        if (redemption) {
+            redemption.dealId = String(dealId);
+            await this.persist();
+        }
+    }
+
+    async releaseByDeal(dealId) {
+        const released = [...this.redemptions.values()].filter(redemption => redemption.dealId === String(dealId));
+        released.forEach(redemption => this.redemptions.delete(redemption.id));
+        if (released.length > 0) {
+            await this.persist();
+        }
+        return released.length;
+    }
+
+    async persist() {}
+}
+
+// Использования промокодов в JSON-файле: лимиты не сбрасываются при перезапуске.
+// Подходит для одного экземпляра приложения; записи файла идут по очереди, последняя содержит все изменения
+export class FilePromoUsageStore extends MemoryPromoUsageStore {
+    constructor(filePath) {
+        super(fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : []);
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+    }
+
+    persist() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const temporary = `${this.filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify([...this.redemptions.values()], null, 4) + '\n');
+            await fs.promises.rename(temporary, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+// Скидки при бронировании (config/promo.json):
+// { "usageFile": "data/promo-usage.json",
+//   "codes": [{ "code": "SUMMER10", "type": "percent", "value": 10, "validFrom": "2025-06-01", "validTo": "2025-08-31",
+//               "categories": ["lux"], "maxUses": 100, "maxUsesPerPhone": 1 }],
+//   "rules": [{ "name": "Раннее бронирование", "type": "percent", "value": 10, "minDaysBeforeArrival": 60 }] }
+// type: percent – процент от стоимости, fixed – сумма в валюте прайса (не больше стоимости).
+// Условия кода и правила (все необязательные): validFrom/validTo – дата бронирования, stayFrom/stayTo – дата заезда,
+// categories – slug или коды полей, minNights – минимум ночей, minDaysBeforeArrival – дней от бронирования до заезда.
+// Правила (раннее бронирование, длительное проживание) применяются сами, из подходящих берётся наибольшая скидка;
+// промокод применяется следом к оставшейся сумме. maxUses и maxUsesPerPhone – лимиты использований кода.
+// По умолчанию скидок нет; образец настройки – config/promo.example.json.
+export class PromoService {
+    constructor(registry = defaultCategoryRegistry, config = null, store = null) {
+        this.categoryRegistry = registry;
+        this.config = config || (fs.existsSync(promoConfigPath)
+            ? JSON.parse(fs.readFileSync(promoConfigPath, 'utf8'))
+            : { codes: [], rules: [] });
+        this.validate(this.config);
+
+        this.codes = new Map((this.config.codes || []).map(entry => [entry.code.toUpperCase(), this.normalize(entry)]));
+        this.rules = (this.config.rules || []).map(entry => this.normalize(entry));
+        this.store = store || (this.config.usageFile
+            ? new FilePromoUsageStore(path.resolve(process.cwd(), this.config.usageFile))
+            : new MemoryPromoUsageStore());
+    }
+
+    // Подключение общего хранилища для нескольких экземпляров приложения
+    setStore(store) {
+        this.store = store;
+    }
+
+    // Категории условия приводятся к кодам полей Bitrix
+    normalize(entry) {
+        return {
+            ...entry,
+            fields: entry.categories ? entry.categories.map(key => this.categoryRegistry.resolve(key).field) : null
+        };
+    }
+
+    // Проверка структуры конфигурации, ошибки собираются в одно сообщение
+    validate(config) {
+        const errors = [];
+        const checkEntry = (entry, prefix) => {
+            if (!DISCOUNT_TYPES.includes(entry.type)) {
+                errors.push(`${prefix}.type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+            }
+            if (!Number.isFinite(entry.value) || entry.value <= 0 || (entry.type === 'percent' && entry.value > 100)) {
+                errors.push(`${prefix}.value must be a positive number (percent – up to 100)`);
+            }
+            for (const name of ['validFrom', 'validTo', 'stayFrom', 'stayTo']) {
+                if (entry[name] !== undefined && !FULL_DATE.test(entry[name])) {
+                    errors.push(`${prefix}.${name} must be YYYY-MM-DD`);
+                }
+            }
+            for (const name of ['minNights', 'minDaysBeforeArrival', 'maxUses', 'maxUsesPerPhone']) {
+                if (entry[name] !== undefined && (!Number.isInteger(entry[name]) || entry[name] < 0)) {
+                    errors.push(`${prefix}.${name} must be a non-negative integer`);
+                }
+            }
+            if (entry.categories !== undefined) {
+                if (!Array.isArray(entry.categories) || entry.categories.length === 0) {
+                    errors.push(`${prefix}.categories must be a non-empty array`);
+                } else {
+                    for (const key of entry.categories) {
+                        if (!this.categoryRegistry.resolve(key)) {
+                            errors.push(`${prefix}.categories: unknown category "${key}"`);
+                        }
+                    }
+                }
+            }
+        };
+
+        const codes = new Set();
+        (config.codes || []).forEach((entry, index) => {
+            const prefix = `codes[${index}]`;
+            if (typeof entry.code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(entry.code)) {
+                errors.push(`${prefix}.code must be 3-32 characters A-Z, 0-9, _ or -`);
+            } else if (codes.has(entry.code.toUpperCase())) {
+                errors.push(`${prefix}.code "${entry.code}" is duplicated`);
+            } else {
+                codes.add(entry.code.toUpperCase());
+            }
+            checkEntry(entry, prefix);
+        });
+
+        (config.rules || []).forEach((entry, index) => {
+            const prefix = `rules[${index}]`;
+            if (typeof entry.name !== 'string' || !entry.name) {
+                errors.push(`${prefix}.name is required`);
+            }
+            if (entry.maxUses !== undefined || entry.maxUsesPerPhone !== undefined) {
+                errors.push(`${prefix}: usage limits apply to codes only`);
+            }
+            checkEntry(entry, prefix);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid promo config ${promoConfigPath}: ${errors.join('; ')}`);
+        }
+    }
+
+    // Причина, по которой код или правило не действует для брони, или null
+    conditionsFailure(entry, { roomType, checkIn, checkOut, today }) {
+        if (entry.validFrom && today < entry.validFrom) return 'Промокод ещё не действует';
+        if (entry.validTo && today > entry.validTo) return 'Срок действия промокода истёк';
+        if (entry.fields && !entry.fields.includes(roomType)) return 'Промокод не действует для этой категории';
+
+        const arrival = formatDate(startOfDay(checkIn));
+        if ((entry.stayFrom && arrival < entry.stayFrom) || (entry.stayTo && arrival > entry.stayTo)) {
+            return 'Промокод не действует на выбранные даты';
+        }
+        if (entry.minNights && countNights(checkIn, checkOut) < entry.minNights) {
+            return `Промокод действует при проживании от ${formatNights(entry.minNights)}`;
+        }
+        if (entry.minDaysBeforeArrival && Math.round((startOfDay(checkIn) - startOfDay(today)) / DAY_MS) < entry.minDaysBeforeArrival) {
+            return `Промокод действует при бронировании не позже чем за ${formatDays(entry.minDaysBeforeArrival)} до заезда`;
+        }
+        return null;
+    }
+
+    amountOf(entry, base) {
+        const amount = entry.type === 'percent' ? Math.round(base * entry.value / 100) : entry.value;
+        return Math.min(amount, base);
+    }
+
+    // Скидки для расчёта стоимости (quote – результат RoomService.calculatePrice).
+    // now – момент бронирования: от него считаются срок действия кода и «раннее бронирование».
+    // redeemed – код уже учтён за этой бронью (изменение брони), лимиты использований не проверяются.
+    // Результат: { result: true, data: { ...quote, subtotal, discounts, discount, total, promoCode } }
+    // или { result: false, reason: 'not_found' | 'not_applicable' | 'exhausted', message }
+    async apply(quote, { roomType, checkIn, checkOut, code = null, phone = null, now = new Date(), redeemed = false }) {
+        const context = { roomType, checkIn, checkOut, today: formatDate(now) };
+        const subtotal = quote.total;
+        const discounts = [];
+
+        // Правило с наибольшей скидкой
+        const rule = this.rules
+            .filter(entry => !this.conditionsFailure(entry, context))
+            .map(entry => ({ entry, amount: this.amountOf(entry, subtotal) }))
+            .sort((a, b) => b.amount - a.amount)[0];
+        if (rule && rule.amount > 0) {
+            discounts.push({ source: 'rule', name: rule.entry.name, type: rule.entry.type, value: rule.entry.value, amount: rule.amount });
+        }
+
+        let promoCode = null;
+        if (code) {
+            promoCode = String(code).trim().toUpperCase();
+            const entry = this.codes.get(promoCode);
+            if (!entry) {
+                return { result: false, reason: 'not_found', message: 'Промокод не найден' };
+            }
+
+            const failure = this.conditionsFailure(entry, context);
+            if (failure) {
+                return { result: false, reason: 'not_applicable', message: failure };
+            }
+
+            const limitError = redeemed ? null : await this.checkLimits(entry, promoCode, phone);
+            if (limitError) {
+                return { result: false, reason: 'exhausted', message: limitError };
+            }
+
+            const base = subtotal - discounts.reduce((sum, item) => sum + item.amount, 0);
+            discounts.push({ source: 'code', name: promoCode, type: entry.type, value: entry.value, amount: this.amountOf(entry, base) });
+        }
+
+        const discount = discounts.reduce((sum, item) => sum + item.amount, 0);
+        return {
+            result: true,
+            data: { ...quote, subtotal, discounts, discount, total: subtotal - discount, promoCode }
+        };
+    }
+
+    // Лимиты использований: текст ошибки или null. Без телефона лимит на телефон не проверяется
+    async checkLimits(entry, code, phone) {
+        if (entry.maxUses !== undefined && await this.store.count(code) >= entry.maxUses) {
+            return 'Лимит использования промокода исчерпан';
+        }
+        if (phone && entry.maxUsesPerPhone !== undefined && await this.store.count(code, phone) >= entry.maxUsesPerPhone) {
+            return 'Промокод уже использован с этим номером телефона';
+        }
+        return null;
+    }
+
+    // Учёт использования кода при создании брони, атомарно с проверкой лимитов.
+    // Результат: { result: true, data: redemptionId } или { result: false, reason: 'exhausted', message }
+    async redeem(code, phone) {
+        const entry = this.codes.get(code);
+        const redemption = { id: crypto.randomUUID(), code, phone, createdAt: new Date().toISOString() };
+        const limits = {
+            maxUses: entry && entry.maxUses !== undefined ? entry.maxUses : null,
+            maxUsesPerPhone: entry && entry.maxUsesPerPhone !== undefined ? entry.maxUsesPerPhone : null
+        };
+
+        if (!(await this.store.tryRedeem(redemption, limits))) {
+            return { result: false, reason: 'exhausted', message: 'Лимит использования промокода исчерпан' };
+        }
+        return { result: true, data: redemption.id };
+    }
+
+    // Возврат использования, если бронь не создана
+    async release(redemptionId) {
+        if (!redemptionId) return;
+        try {
+            await this.store.release(redemptionId);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'PromoService.release', error);
+        }
+    }
+
+    // Привязка использования к сделке: при отмене брони оно возвращается через releaseDeal
+    async assignDeal(redemptionId, dealId) {
+        if (!redemptionId) return;
+        try {
+            await this.store.assignDeal(redemptionId, dealId);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'PromoService.assignDeal', error);
+        }
+    }
+
+    // Возврат использования промокода отменённой брони (отмена гостем или персоналом, истёкшая предоплата)
+    async releaseDeal(dealId) {
+        try {
+            await this.store.releaseByDeal(dealId);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'PromoService.releaseDeal', error);
+        }
+    }
+}
+
+export const promoService = new PromoService();
@@ -0,0 +1,167 @@
+import { bitrixClient as defaultBitrixClient } from './bitrix.js';
+import { categoryRegistry as defaultCategoryRegistry } from './categories.js';
+import { countNights, eachNight, formatDate, startOfDay } from './dates.js';
+import { pricingEngine } from './pricing.js';
+import { logMessage } from './logger.js';
+
+// Максимальный период отчёта, дней
+export const MAX_REPORT_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const average = values => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 1) : null;
+
+// Отчёт о загрузке и выручке по сделкам Bitrix за период from..to (включительно, по ночам).
+// Номеро-ночи считаются по сделкам с номером категории; выручка сделки (OPPORTUNITY) делится поровну
+// между её ночами, в отчёт попадают ночи внутри периода. Отменённые сделки Bitrix не возвращает,
+// блокировки из внешних календарей (ORIGINATOR_ID "ical:...", без суммы) в отчёт не входят.
+//  - occupancy – проданные номеро-ночи / доступные (номера категории × ночи периода);
+//  - adr – средняя цена проданной номеро-ночи, revpar – выручка на доступную номеро-ночь;
+//  - leadTime и lengthOfStay – средние по броням с заездом в периоде: дней от создания сделки до заезда и ночей.
+export class ReportService {
+    constructor(client = defaultBitrixClient, registry = defaultCategoryRegistry) {
+        this.bitrixClient = client;
+        this.categoryRegistry = registry;
+    }
+
+    // Показатели по набору номеро-ночей и броней
+    summarize({ rooms, availableRoomNights, soldRoomNights, revenue, arrivals }) {
+        return {
+            rooms,
+            availableRoomNights,
+            soldRoomNights,
+            occupancy: availableRoomNights > 0 ? round(soldRoomNights / availableRoomNights, 4) : 0,
+            revenue: round(revenue),
+            adr: soldRoomNights > 0 ? round(revenue / soldRoomNights) : 0,
+            revpar: availableRoomNights > 0 ? round(revenue / availableRoomNights) : 0,
+            bookings: arrivals.length,
+            averageLeadTime: average(arrivals.map(arrival => arrival.leadTime).filter(value => value !== null)),
+            averageLengthOfStay: average(arrivals.map(arrival => arrival.nights))
+        };
+    }
+
+    // Бронь категории: ночи внутри периода, выручка за них и данные для средних
+    analyzeDeal(deal, nights) {
+        const checkIn = deal.UF_CRM_1749509439624;
+        const checkOut = deal.UF_CRM_1749787453685;
+        const totalNights = countNights(checkIn, checkOut);
+        if (totalNights <= 0) return null;
+
+        const stayNights = eachNight(checkIn, checkOut).map(formatDate).filter(night => nights.has(night));
+        const nightlyRevenue = (Number(deal.OPPORTUNITY) || 0) / totalNights;
+        const created = deal.DATE_CREATE ? startOfDay(deal.DATE_CREATE) : null;
+
+        return {
+            stayNights,
+            nightlyRevenue,
+            arrival: nights.has(formatDate(startOfDay(checkIn))),
+            nights: totalNights,
+            leadTime: created ? Math.max(0, Math.round((startOfDay(checkIn) - created) / DAY_MS)) : null
+        };
+    }
+
+    // Отчёт: { from, to, nights, totals, categories: [...], days: [{ date, soldRoomNights, occupancy, revenue }] }
+    async buildReport(from, to) {
+        try {
+            const end = startOfDay(to);
+            end.setDate(end.getDate() + 1);
+            const nightDates = eachNight(from, end).map(formatDate);
+            const nights = new Set(nightDates);
+
+            const dealsByField = await this.bitrixClient.getDealsByRange(from, to);
+
+            const daily = new Map(nightDates.map(date => [date, { soldRoomNights: 0, revenue: 0 }]));
+            const totals = { rooms: 0, availableRoomNights: 0, soldRoomNights: 0, revenue: 0, arrivals: [] };
+            const categories = [];
+
+            for (const category of this.categoryRegistry.getAll()) {
+                const rooms = Object.keys(await this.bitrixClient.getRoomsFromFields(category.field)).length;
+                const deals = ((dealsByField[category.field] && dealsByField[category.field].deals) || [])
+                    .filter(deal => deal[category.field] && deal.UF_CRM_1749509439624 && deal.UF_CRM_1749787453685)
+                    .filter(deal => !String(deal.ORIGINATOR_ID || '').startsWith('ical:'));
+
+                const stats = { rooms, availableRoomNights: rooms * nightDates.length, soldRoomNights: 0, revenue: 0, arrivals: [] };
+                for (const deal of deals) {
+                    const analyzed = this.analyzeDeal(deal, nights);
+                    if (!analyzed) continue;
+
+                    stats.soldRoomNights += analyzed.stayNights.length;
+                    stats.revenue += analyzed.nightlyRevenue * analyzed.stayNights.length;
+                    for (const night of analyzed.stayNights) {
+                        const day = daily.get(night);
+                        day.soldRoomNights += 1;
+                        day.revenue += analyzed.nightlyRevenue;
+                    }
+                    if (analyzed.arrival) {
+                        stats.arrivals.push(analyzed);
+                    }
+                }
+
+                categories.push({ slug: category.slug, field: category.field, name: category.names.ru, ...this.summarize(stats) });
+                totals.rooms += stats.rooms;
+                totals.availableRoomNights += stats.availableRoomNights;
+                totals.soldRoomNights += stats.soldRoomNights;
+                totals.revenue += stats.revenue;
+                totals.arrivals.push(...stats.arrivals);
+            }
+
+            return {
+                from,
+                to,
+                nights: nightDates.length,
+                currency: pricingEngine.rules.currency,
+                totals: this.summarize(totals),
+                categories,
+                days: nightDates.map(date => {
+                    const day = daily.get(date);
+                    return {
+                        date,
+                        soldRoomNights: day.soldRoomNights,
+                        occupancy: totals.rooms > 0 ? round(day.soldRoomNights / totals.rooms, 4) : 0,
+                        revenue: round(day.revenue)
+                    };
+                })
+            };
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'ReportService.buildReport', error);
+            throw error;
+        }
+    }
+
+    // Таблицы для выгрузки в CSV и XLSX: строки, первая – заголовки.
+    // Доли выводятся процентами, чтобы файл читался без пересчёта
+    toTables(report) {
+        const percent = value => round(value * 100, 2);
+        const categoryRow = (name, item) => [
+            name,
+            item.rooms,
+            item.availableRoomNights,
+            item.soldRoomNights,
+            percent(item.occupancy),
+            item.revenue,
+            item.adr,
+            item.revpar,
+            item.bookings,
+            item.averageLeadTime ?? '',
+            item.averageLengthOfStay ?? ''
+        ];
+
+        return {
+            categories: [
+                [
+                    'Категория', 'Номеров', 'Доступно номеро-ночей', 'Продано номеро-ночей', 'Загрузка, %',
+                    `Выручка, ${report.currency}`, 'ADR', 'RevPAR', 'Заездов', 'Срок бронирования, дней', 'Длительность проживания, ночей'
+                ],
+                ...report.categories.map(item => categoryRow(item.name, item)),
+                categoryRow('Итого', report.totals)
+            ],
+            days: [
+                ['Дата', 'Продано номеро-ночей', 'Загрузка, %', `Выручка, ${report.currency}`],
+                ...report.days.map(day => [day.date, day.soldRoomNights, percent(day.occupancy), day.revenue])
+            ]
+        };
+    }
+}
+
+export const reportService = new ReportService();
@@ -0,0 +1,35 @@
+// Контекст HTTP-запроса: ID запроса доступен во всём асинхронном коде обработчика
+// (RoomService, BitrixClient и т.д.) без передачи через параметры.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+// Присланный клиентом или балансировщиком X-Request-Id принимается, если он похож на идентификатор
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+export function getRequestId() {
+    const store = storage.getStore();
+    return store ? store.requestId : null;
+}
+
+export function runWithRequestId(requestId, fn) {
+    return storage.run({ requestId }, fn);
+}
+
+// Назначение ID запроса: req.id и заголовок X-Request-Id в ответе
+export function assignRequestId() {
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+        res.set('X-Request-Id', req.id);
+        runWithRequestId(req.id, next);
+    };
+}
+
+// body-parser вызывает next из событий потока запроса, где контекст теряется,
+// поэтому после разбора тела он восстанавливается
+export function restoreRequestContext() {
+    return (req, res, next) => runWithRequestId(req.id, next);
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { rangesOverlap } from './dates.js';
+
+// Время жизни удержания по умолчанию – с запасом на проверку и создание сделки в Bitrix
+const DEFAULT_HOLD_TTL_MS = 60 * 1000;
+
+// Хранилище удержаний в памяти процесса.
+// Любое другое хранилище (Redis, БД) должно реализовать тот же интерфейс:
+//  - tryAcquire(hold) -> Promise<boolean>: атомарно сохраняет удержание,
+//    если нет живого пересекающегося удержания того же номера;
+//  - release(holdId) -> Promise<void>.
+export class MemoryLockStore {
+    constructor() {
+        this.holds = new Map();
+    }
+
+    async tryAcquire(hold) {
+        const now = Date.now();
+
+        for (const [id, existing] of this.holds) {
+            if (existing.expiresAt <= now) {
+                this.holds.delete(id);
+                continue;
+            }
+
+            if (
+                existing.roomType === hold.roomType &&
+                existing.roomId === hold.roomId &&
+                rangesOverlap(existing.checkIn, existing.checkOut, hold.checkIn, hold.checkOut)
+            ) {
+                return false;
+            }
+        }
+
+        this.holds.set(hold.id, hold);
+        return true;
+    }
+
+    async release(holdId) {
+        this.holds.delete(holdId);
+    }
+}
+
+// Удержание номера на даты на время создания брони
+export class ReservationLock {
+    constructor(store = new MemoryLockStore()) {
+        this.store = store;
+    }
+
+    // Подключение общего хранилища для нескольких экземпляров приложения
+    setStore(store) {
+        this.store = store;
+    }
+
+    // Попытка удержать номер. Возвращает удержание или null, если номер уже удерживается.
+    async acquire({ roomType, roomId, checkIn, checkOut }, ttlMs = DEFAULT_HOLD_TTL_MS) {
+        const hold = {
+            id: crypto.randomUUID(),
+            roomType,
+            roomId: String(roomId),
+            checkIn,
+            checkOut,
+            expiresAt: Date.now() + ttlMs
+        };
+
+        const acquired = await this.store.tryAcquire(hold);
+        return acquired ? hold : null;
+    }
+
+    // Снятие удержания
+    async release(hold) {
+        if (!hold) return;
+        await this.store.release(hold.id);
+    }
+}
+
+export const reservationLock = new ReservationLock();
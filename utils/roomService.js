@@ -1,53 +1,23 @@
 import { logMessage } from './logger.js';
 import { bitrixClient } from './bitrix.js';
+import { formatDate, eachNight, monthBounds, rangesOverlap } from './dates.js';
+import { pricingEngine } from './pricing.js';
+import { categoryRegistry } from './categories.js';
+import { stayRules as defaultStayRules } from './stayRules.js';
+import { promoService as defaultPromoService } from './promoService.js';
 import { log } from 'console';
 
-class RoomService {
-    constructor() {
-        this.roomTypes = {
-            // Стандарт
-            UF_CRM_DEAL_1750132990506: {
-                basePrice: 30000,
-            },
-            // Люкс
-            UF_CRM_DEAL_1750133047593: {
-                basePrice: 70000,
-            },
-            // Комфорт
-            UF_CRM_1750505541730: {
-                basePrice: 40000,
-            },
-            // Стандарт Plus
-            UF_CRM_1750505607: {
-                basePrice: 40000,
-            },
-            // Таунхаус
-            UF_CRM_1750505755286: {
-                basePrice: 50000,
-            },
-            // Таунхаус Big
-            UF_CRM_1750505983944: {
-                basePrice: 70000,
-            },
-            // Домик 1
-            UF_CRM_1750506555: {
-                basePrice: 80000,
-            },
-            // Домик 2
-            UF_CRM_1750506568: {
-                basePrice: 80000,
-            },
-            // Домик 3
-            UF_CRM_1750506579: {
-                basePrice: 100000,
-            }
-        };
+export class RoomService {
+    constructor(client = bitrixClient, rules = defaultStayRules, promo = defaultPromoService) {
+        this.bitrixClient = client;
+        this.stayRules = rules;
+        this.promoService = promo;
     }
 
     // Получение списка категорий номеров
     async getRoomCategories() {
         try {
-            const categories = await bitrixClient.getRoomCategories();
+            const categories = await this.bitrixClient.getRoomCategories();
             if (!categories || !categories.result) {
                 throw new Error('Invalid categories response');
             }
@@ -57,6 +27,22 @@ class RoomService {
         }
     }
 
+    // Пересекается ли сделка с периодом проживания.
+    // Сделки без дат заезда/выезда не блокируют номер.
+    isDealOverlapping(deal, checkIn, checkOut) {
+        if (!deal.UF_CRM_1749509439624 || !deal.UF_CRM_1749787453685) return false;
+        return rangesOverlap(checkIn, checkOut, deal.UF_CRM_1749509439624, deal.UF_CRM_1749787453685);
+    }
+
+    // Получение всех сделок категории, пересекающихся с периодом проживания
+    async getDealsForStay(roomType, checkIn, checkOut) {
+        const deals = await this.bitrixClient.getDealsByRange(checkIn, checkOut, roomType);
+        if (!deals || !deals[roomType]) {
+            throw new Error('Invalid deals response or category not found');
+        }
+        return deals[roomType].deals || [];
+    }
+
     // Получение занятых дат для определенного типа номера
     async getOccupiedDates(roomId, roomType, checkIn, checkOut) {
         try {
@@ -64,61 +50,31 @@ class RoomService {
                 throw new Error('Missing required parameters');
             }
 
-            const checkInDate = new Date(checkIn);
-            const checkOutDate = new Date(checkOut);
-            const year = checkInDate.getFullYear();
-            const month = checkInDate.getMonth() + 1;
-
-            // Get deals for the month
-            const dealsData = await bitrixClient.getDealsByMonth(year, month, roomType);
-            
-            // Get deals for the specific room type
-            const roomTypeData = dealsData[roomType];
-            if (!roomTypeData || !roomTypeData.deals) {
-                return [];
-            }
+            // Сделки за весь период проживания, даже если он захватывает несколько месяцев
+            const categoryDeals = await this.getDealsForStay(roomType, checkIn, checkOut);
 
-            // Filter deals for the specific room
-            const roomDeals = roomTypeData.deals.filter(deal => {
+            // Оставляем брони нужного номера, пересекающиеся с датами
+            return categoryDeals.filter(deal => {
                 // Проверяем, что сделка относится к нужному номеру
                 const dealRoomId = deal[roomType]; // ID номера в сделке
-                return dealRoomId === roomId;
-            });
-
-            // Check for overlapping dates
-            return roomDeals.filter(deal => {
-                const dealCheckIn = new Date(deal.UF_CRM_1749509439624); // Дата заезда
-                const dealCheckOut = new Date(deal.UF_CRM_1749787453685); // Дата выезда
-                
-                return (
-                    (checkInDate >= dealCheckIn && checkInDate < dealCheckOut) ||
-                    (checkOutDate > dealCheckIn && checkOutDate <= dealCheckOut) ||
-                    (checkInDate <= dealCheckIn && checkOutDate >= dealCheckOut)
-                );
+                return String(dealRoomId) === String(roomId) && this.isDealOverlapping(deal, checkIn, checkOut);
             });
         } catch (error) {
-            console.error('Error getting occupied dates:', error);
+            logMessage(LOG_TYPES.E, 'RoomService.getOccupiedDates', error);
             throw error;
         }
     }
 
     // Проверка доступности номера на определенные даты
-    async checkAvailability(roomId, roomType, checkIn, checkOut) {
+    // excludeDealId – сделка, которая не считается занятостью (при изменении брони)
+    async checkAvailability(roomId, roomType, checkIn, checkOut, excludeDealId = null) {
         try {
             if (!roomType || !checkIn || !checkOut) {
                 throw new Error('Missing required parameters');
             }
 
-            const checkInDate = new Date(checkIn);
-            const checkOutDate = new Date(checkOut);
-            const year = checkInDate.getFullYear();
-            const month = checkInDate.getMonth() + 1;
-
-            const deals = await bitrixClient.getDealsByMonth(year, month, roomType);
-            if (!deals || !deals[roomType]) {
-                throw new Error('Invalid deals response or category not found');
-            }
-            const categoryDeals = deals[roomType].deals;
+            const categoryDeals = (await this.getDealsForStay(roomType, checkIn, checkOut))
+                .filter(deal => !excludeDealId || String(deal.ID) !== String(excludeDealId));
 
             // Если указан конкретный roomId – проверяем только его
             const roomsToCheck = [];
@@ -126,30 +82,14 @@ class RoomService {
                 roomsToCheck.push(roomId);
             } else {
                 // Получаем список всех комнат этой категории
-                const roomsList = await bitrixClient.getRoomsFromFields(roomType);
+                const roomsList = await this.bitrixClient.getRoomsFromFields(roomType);
                 roomsToCheck.push(...Object.keys(roomsList));
             }
 
             for (const rId of roomsToCheck) {
-                let isFree = true;
-                for (const deal of categoryDeals) {
-                    if (!deal.UF_CRM_1749509439624 || !deal.UF_CRM_1749787453685) continue;
-                    const dealRoomId = deal[roomType];
-                    if (dealRoomId !== rId) continue;
-
-                    const dealCheckIn = new Date(deal.UF_CRM_1749509439624);
-                    const dealCheckOut = new Date(deal.UF_CRM_1749787453685);
-
-                    const overlap = (
-                        (checkInDate >= dealCheckIn && checkInDate < dealCheckOut) ||
-                        (checkOutDate > dealCheckIn && checkOutDate <= dealCheckOut) ||
-                        (checkInDate <= dealCheckIn && checkOutDate >= dealCheckOut)
-                    );
-                    if (overlap) {
-                        isFree = false;
-                        break;
-                    }
-                }
+                const isFree = !categoryDeals.some(deal =>
+                    String(deal[roomType]) === String(rId) && this.isDealOverlapping(deal, checkIn, checkOut)
+                );
 
                 if (isFree) {
                     return { available: true, roomId: rId };
@@ -158,15 +98,59 @@ class RoomService {
 
             return { available: false };
         } catch (error) {
-            logMessage('ERROR', 'RoomService.checkAvailability', error);
+            logMessage(LOG_TYPES.E, 'RoomService.checkAvailability', error);
             throw error;
         }
     }
 
-    // Расчет стоимости номера
-    async calculatePrice(roomId, roomType, checkIn, checkOut) {
+    // Свободные на весь период номера категории
+    async getFreeRoomIds(roomType, checkIn, checkOut) {
         try {
-            if (!roomType || !this.roomTypes[roomType]) {
+            if (!roomType || !checkIn || !checkOut) {
+                throw new Error('Missing required parameters');
+            }
+
+            const categoryDeals = await this.getDealsForStay(roomType, checkIn, checkOut);
+            const roomsList = await this.bitrixClient.getRoomsFromFields(roomType);
+
+            return Object.keys(roomsList).filter(roomId => !categoryDeals.some(deal =>
+                String(deal[roomType]) === String(roomId) && this.isDealOverlapping(deal, checkIn, checkOut)
+            ));
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'RoomService.getFreeRoomIds', error);
+            throw error;
+        }
+    }
+
+    // Проверка числа гостей по вместимости категории. Возвращает текст ошибки или null.
+    validateGuests(roomType, adults, children) {
+        const category = categoryRegistry.getByField(roomType);
+        if (!category) {
+            return 'Неизвестная категория номера';
+        }
+        if (!Number.isInteger(adults) || adults < 1) {
+            return 'Количество взрослых должно быть целым числом не меньше 1';
+        }
+        if (!Number.isInteger(children) || children < 0) {
+            return 'Количество детей должно быть целым неотрицательным числом';
+        }
+        if (adults + children > category.capacity) {
+            return `Категория "${category.names.ru}" вмещает не больше ${category.capacity} гостей`;
+        }
+        return null;
+    }
+
+    // Ограничения продажи категории на даты (utils/stayRules.js): { allowed, violations, message }
+    checkStayRules(roomType, checkIn, checkOut) {
+        return this.stayRules.check(roomType, checkIn, checkOut);
+    }
+
+    // Расчет стоимости проживания: разбивка по ночам и итог.
+    // Загрузка категории за период влияет на наценку (см. utils/pricing.js).
+    async calculatePrice(roomType, checkIn, checkOut) {
+        try {
+            const category = categoryRegistry.getByField(roomType);
+            if (!category) {
                 throw new Error('Invalid room type');
             }
 
@@ -185,47 +169,15 @@ class RoomService {
                 throw new Error('Check-out date must be after check-in date');
             }
 
-            const roomConfig = this.roomTypes[roomType];
-            
-            // Получаем все месяцы между датами заезда и выезда
-            const months = [];
-            let currentDate = new Date(checkInDate);
-            while (currentDate <= checkOutDate) {
-                const year = currentDate.getFullYear();
-                const month = currentDate.getMonth() + 1;
-                months.push({ year, month });
-                currentDate.setMonth(currentDate.getMonth() + 1);
-            }
+            const occupancy = await this.calculateOccupancy(roomType, checkIn, checkOut);
 
-            // Получаем занятые даты для каждого месяца
-            const occupiedDates = [];
-            for (const { year, month } of months) {
-                const monthOccupiedDates = await this.getOccupiedDates(roomId, roomType, checkIn, checkOut);
-                occupiedDates.push(...monthOccupiedDates);
-            }
-            
-            const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-            let totalPrice = 0;
-            
-            for (let i = 0; i < nights; i++) {
-                const currentDate = new Date(checkInDate);
-                currentDate.setDate(currentDate.getDate() + i);
-                
-                const isOccupied = occupiedDates.some(booking => {
-                    const bookingCheckIn = new Date(booking.checkIn);
-                    const bookingCheckOut = new Date(booking.checkOut);
-                    return currentDate >= bookingCheckIn && currentDate < bookingCheckOut;
-                });
-                
-                const occupancyMultiplier = roomConfig.occupancyMultiplier || 1;
-                const dailyPrice = isOccupied 
-                    ? roomConfig.basePrice * occupancyMultiplier 
-                    : roomConfig.basePrice;
-                    
-                totalPrice += dailyPrice;
-            }
-            
-            return totalPrice;
+            return pricingEngine.quote({
+                roomType,
+                basePrice: category.basePrice,
+                checkIn,
+                checkOut,
+                occupancy
+            });
         } catch (error) {
             throw new Error(`Failed to calculate price: ${error.message}`);
         }
@@ -233,98 +185,159 @@ class RoomService {
 
     // Получение информации о номерах
     async getRoomsInfo(year, month, categoryField) {
+        const { start, end } = monthBounds(year, month);
+        return this.getRoomsInfoByRange(start, end, categoryField);
+    }
+
+    // Получение информации о номерах и бронях, пересекающихся с периодом
+    async getRoomsInfoByRange(startDate, endDate, categoryField) {
         try {
             // Получаем список комнат из полей сделки
-            const roomsList = await bitrixClient.getRoomsFromFields(categoryField);
-            console.log("Rooms from fields:", roomsList);
+            const roomsList = await this.bitrixClient.getRoomsFromFields(categoryField);
 
-            // Получаем сделки (бронирования) для месяца
-            const deals = await bitrixClient.getDealsByMonth(year, month, categoryField);
-            console.log("getRoomsInfo deals:", deals);
+            // Получаем сделки (бронирования) за период
+            const deals = await this.bitrixClient.getDealsByRange(startDate, endDate, categoryField);
             
             if (!deals || !deals[categoryField]) {
                 throw new Error('Invalid deals response or category not found');
             }
 
-            const categoryDeals = deals[categoryField].deals;
-            const roomsInfo = {};
-
-            // Инициализируем все номера из списка полей
-            Object.entries(roomsList).forEach(([id, name]) => {
-                roomsInfo[id] = {
-                    id,
-                    number: name,
-                    categoryField,
-                    occupiedDates: []
-                };
-            });
-
-            // Добавляем информацию о занятости из сделок
-            categoryDeals.forEach(deal => {
-                if (!deal.UF_CRM_1749509439624 || !deal.UF_CRM_1749787453685) return;
-                
-                // Получаем ID номера из сделки по полю категории
-                const roomId = deal[categoryField];
-                if (roomId && roomsInfo[roomId]) {
-                    roomsInfo[roomId].occupiedDates.push({
-                        deal_id: deal.ID,
-                        checkIn: deal.UF_CRM_1749509439624,
-                        checkOut: deal.UF_CRM_1749787453685,
-                        comments: deal.COMMENTS || ''
-                    });
-                }
-            });
-            
-            
             return {
-                rooms: Object.values(roomsInfo)
+                rooms: this.buildRoomsInfo(roomsList, deals[categoryField].deals, categoryField)
             };
         } catch (error) {
-            logMessage('ERROR', 'RoomService.getRoomsInfo', error);
+            logMessage(LOG_TYPES.E, 'RoomService.getRoomsInfoByRange', error);
             throw error;
         }
     }
 
+    // Номера категории с их бронями: [{ id, number, categoryField, occupiedDates }]
+    buildRoomsInfo(roomsList, categoryDeals, categoryField) {
+        const roomsInfo = {};
+
+        // Инициализируем все номера из списка полей
+        Object.entries(roomsList).forEach(([id, name]) => {
+            roomsInfo[id] = {
+                id,
+                number: name,
+                categoryField,
+                occupiedDates: []
+            };
+        });
+
+        // Добавляем информацию о занятости из сделок
+        categoryDeals.forEach(deal => {
+            if (!deal.UF_CRM_1749509439624 || !deal.UF_CRM_1749787453685) return;
+
+            // Получаем ID номера из сделки по полю категории
+            const roomId = deal[categoryField];
+            if (roomId && roomsInfo[roomId]) {
+                roomsInfo[roomId].occupiedDates.push({
+                    deal_id: deal.ID,
+                    checkIn: deal.UF_CRM_1749509439624,
+                    checkOut: deal.UF_CRM_1749787453685,
+                    comments: deal.COMMENTS || ''
+                });
+            }
+        });
+
+        return Object.values(roomsInfo);
+    }
+
     // Новый метод для расчета занятости
     async calculateOccupancy(roomType, checkIn, checkOut) {
         try {
-            const checkInDate = new Date(checkIn);
-            const checkOutDate = new Date(checkOut);
-            const year = checkInDate.getFullYear();
-            const month = checkInDate.getMonth() + 1;
-            const occupancy = {};
-
-            // Получаем информацию о номерах и бронированиях
-            const roomsInfo = await this.getRoomsInfo(year, month, roomType);
-            const rooms = roomsInfo.rooms || [];
-            const totalRooms = rooms.length;
-
-            // Перебираем даты от checkIn до checkOut
-            let currentDate = new Date(checkInDate);
-            while (currentDate < checkOutDate) {
-                const dateStr = currentDate.toISOString().split('T')[0];
-                let bookedRooms = 0;
-
-                // Подсчитываем забронированные номера
-                rooms.forEach(room => {
-                    const isBooked = room.occupiedDates.some(booking => {
-                        const bookingCheckIn = new Date(booking.checkIn);
-                        const bookingCheckOut = new Date(booking.checkOut);
-                        return currentDate >= bookingCheckIn && currentDate < bookingCheckOut;
-                    });
-                    if (isBooked) bookedRooms++;
-                });
+            // Получаем информацию о номерах и бронированиях за весь период проживания
+            const roomsInfo = await this.getRoomsInfoByRange(checkIn, checkOut, roomType);
+            return this.occupancyByNight(roomsInfo.rooms || [], checkIn, checkOut);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, 'RoomService.calculateOccupancy', error);
+            throw error;
+        }
+    }
+
+    // Доля занятых номеров по ночам: { "YYYY-MM-DD": 0..1 }
+    occupancyByNight(rooms, checkIn, checkOut) {
+        const occupancy = {};
+        const totalRooms = rooms.length;
+
+        // Перебираем ночи от checkIn до checkOut
+        for (const night of eachNight(checkIn, checkOut)) {
+            const nextDay = new Date(night);
+            nextDay.setDate(nextDay.getDate() + 1);
+            let bookedRooms = 0;
+
+            // Подсчитываем забронированные номера
+            rooms.forEach(room => {
+                const isBooked = room.occupiedDates.some(booking =>
+                    rangesOverlap(night, nextDay, booking.checkIn, booking.checkOut)
+                );
+                if (isBooked) bookedRooms++;
+            });
+
+            // Рассчитываем процент занятости
+            const occupancyRate = totalRooms > 0 ? bookedRooms / totalRooms : 0;
+            occupancy[formatDate(night)] = Number(occupancyRate.toFixed(2));
+        }
+
+        return occupancy;
+    }
 
-                // Рассчитываем процент занятости
-                const occupancyRate = totalRooms > 0 ? bookedRooms / totalRooms : 0;
-                occupancy[dateStr] = Number(occupancyRate.toFixed(2));
+    // Поиск свободных номеров во всех категориях на даты: свободные номера и стоимость с автоматическими скидками.
+    // Сделки всех категорий приходят одним batch (getDealsByRange без категории).
+    async searchAvailability(checkIn, checkOut, guests = 1) {
+        try {
+            if (!checkIn || !checkOut) {
+                throw new Error('Missing required parameters');
+            }
 
-                currentDate.setDate(currentDate.getDate() + 1);
+            const deals = await this.bitrixClient.getDealsByRange(checkIn, checkOut);
+            const results = [];
+
+            for (const category of categoryRegistry.getAll()) {
+                const roomsList = await this.bitrixClient.getRoomsFromFields(category.field);
+                const categoryDeals = (deals[category.field] && deals[category.field].deals) || [];
+                const rooms = this.buildRoomsInfo(roomsList, categoryDeals, category.field);
+
+                const freeRoomIds = rooms
+                    .filter(room => !room.occupiedDates.some(booking =>
+                        rangesOverlap(checkIn, checkOut, booking.checkIn, booking.checkOut)
+                    ))
+                    .map(room => room.id);
+
+                const fitsGuests = guests <= category.capacity;
+                const { violations } = this.checkStayRules(category.field, checkIn, checkOut);
+                // Автоматические скидки – те же, что в /rooms/quote и при создании брони
+                const priced = await this.promoService.apply(pricingEngine.quote({
+                    roomType: category.field,
+                    basePrice: category.basePrice,
+                    checkIn,
+                    checkOut,
+                    occupancy: this.occupancyByNight(rooms, checkIn, checkOut)
+                }), { roomType: category.field, checkIn, checkOut });
+                const quote = priced.data;
+
+                results.push({
+                    slug: category.slug,
+                    field: category.field,
+                    names: category.names,
+                    capacity: category.capacity,
+                    fitsGuests,
+                    available: fitsGuests && violations.length === 0 && freeRoomIds.length > 0,
+                    freeRoomIds,
+                    restrictions: violations,
+                    totalCost: quote.total,
+                    subtotal: quote.subtotal,
+                    discount: quote.discount,
+                    discounts: quote.discounts,
+                    currency: quote.currency,
+                    nights: quote.nights
+                });
             }
 
-            return occupancy;
+            return results;
         } catch (error) {
-            logMessage('ERROR', 'RoomService.calculateOccupancy', error);
+            logMessage(LOG_TYPES.E, 'RoomService.searchAvailability', error);
             throw error;
         }
     }
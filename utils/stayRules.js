@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { categoryRegistry as defaultCategoryRegistry } from './categories.js';
+import { countNights, eachNight, formatDate, formatNights, startOfDay } from './dates.js';
+
+const stayRulesConfigPath = path.resolve(process.cwd(), process.env.STAY_RULES_CONFIG || path.join('config', 'stay-rules.json'));
+
+// Ограничения продажи по категориям и датам (config/stay-rules.json): { "rules": [{ ... }] }.
+// Поля правила:
+//  - type: minStay / maxStay – минимум и максимум ночей (nights), если хотя бы одна ночь проживания
+//    попадает под правило; closedToArrival – запрет заезда, closedToDeparture – запрет выезда в подходящий день;
+//    blackout – категория закрыта на подходящие ночи;
+//  - categories: slug или коды полей категорий, без поля – все категории;
+//  - from / to: период включительно, "MM-DD" – каждый год (может переходить через Новый год),
+//    "YYYY-MM-DD" – конкретные даты; без полей – любые даты;
+//  - days: дни недели (0 – воскресенье), без поля – любые;
+//  - name: название правила, message – текст для гостя вместо стандартного.
+export const RULE_TYPES = ['minStay', 'maxStay', 'closedToArrival', 'closedToDeparture', 'blackout'];
+
+const MONTH_DAY = /^\d{2}-\d{2}$/;
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// DD.MM.YYYY для сообщений гостю
+const displayDate = date => date.split('-').reverse().join('.');
+
+export class StayRulesEngine {
+    constructor(registry = defaultCategoryRegistry, config = null) {
+        this.categoryRegistry = registry;
+        const rulesConfig = config || (fs.existsSync(stayRulesConfigPath)
+            ? JSON.parse(fs.readFileSync(stayRulesConfigPath, 'utf8'))
+            : { rules: [] });
+        this.validate(rulesConfig);
+
+        // Категории правила приводятся к кодам полей Bitrix
+        this.rules = rulesConfig.rules.map((rule, index) => ({
+            ...rule,
+            name: rule.name || `${rule.type} #${index + 1}`,
+            fields: rule.categories ? rule.categories.map(key => this.categoryRegistry.resolve(key).field) : null
+        }));
+    }
+
+    // Проверка структуры правил, ошибки собираются в одно сообщение
+    validate(config) {
+        const errors = [];
+
+        if (!config || !Array.isArray(config.rules)) {
+            errors.push('rules must be an array');
+        } else {
+            config.rules.forEach((rule, index) => {
+                const prefix = `rules[${index}]`;
+
+                if (!RULE_TYPES.includes(rule.type)) {
+                    errors.push(`${prefix}.type must be one of ${RULE_TYPES.join(', ')}`);
+                }
+                if ((rule.type === 'minStay' || rule.type === 'maxStay') && (!Number.isInteger(rule.nights) || rule.nights <= 0)) {
+                    errors.push(`${prefix}.nights must be a positive integer`);
+                }
+
+                if (rule.categories !== undefined) {
+                    if (!Array.isArray(rule.categories) || rule.categories.length === 0) {
+                        errors.push(`${prefix}.categories must be a non-empty array`);
+                    } else {
+                        for (const key of rule.categories) {
+                            if (!this.categoryRegistry.resolve(key)) {
+                                errors.push(`${prefix}.categories: unknown category "${key}"`);
+                            }
+                        }
+                    }
+                }
+
+                if ((rule.from === undefined) !== (rule.to === undefined)) {
+                    errors.push(`${prefix}: from and to must be set together`);
+                } else if (rule.from !== undefined) {
+                    const recurring = MONTH_DAY.test(rule.from) && MONTH_DAY.test(rule.to);
+                    const fixed = FULL_DATE.test(rule.from) && FULL_DATE.test(rule.to);
+                    if (!recurring && !fixed) {
+                        errors.push(`${prefix}: from and to must both be "MM-DD" or both "YYYY-MM-DD"`);
+                    } else if (fixed && rule.from > rule.to) {
+                        errors.push(`${prefix}: from must not be after to`);
+                    }
+                }
+
+                if (rule.days !== undefined && (!Array.isArray(rule.days) || rule.days.length === 0 ||
+                    !rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+                    errors.push(`${prefix}.days must be a non-empty array of weekdays 0..6`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid stay rules config ${stayRulesConfigPath}: ${errors.join('; ')}`);
+        }
+    }
+
+    // Попадает ли дата под период и дни недели правила
+    matchesDate(rule, date) {
+        if (rule.days && !rule.days.includes(date.getDay())) return false;
+        if (rule.from === undefined) return true;
+
+        const day = formatDate(date);
+        if (FULL_DATE.test(rule.from)) {
+            return day >= rule.from && day <= rule.to;
+        }
+        const monthDay = day.slice(5);
+        return rule.from <= rule.to
+            ? monthDay >= rule.from && monthDay <= rule.to
+            : monthDay >= rule.from || monthDay <= rule.to;
+    }
+
+    // Правила, действующие для категории
+    rulesFor(roomType) {
+        return this.rules.filter(rule => !rule.fields || rule.fields.includes(roomType));
+    }
+
+    // Нарушение правила для проживания или null
+    evaluate(rule, checkIn, checkOut) {
+        const nights = countNights(checkIn, checkOut);
+        const matchedNights = eachNight(checkIn, checkOut)
+            .filter(night => this.matchesDate(rule, night))
+            .map(formatDate);
+        const violation = (message, dates, extra = {}) => ({
+            rule: rule.name,
+            type: rule.type,
+            message: rule.message || message,
+            dates,
+            ...extra
+        });
+
+        switch (rule.type) {
+            case 'minStay':
+                return matchedNights.length > 0 && nights < rule.nights
+                    ? violation(`Минимальный срок проживания – ${formatNights(rule.nights)}`, matchedNights, { nights: rule.nights })
+                    : null;
+            case 'maxStay':
+                return matchedNights.length > 0 && nights > rule.nights
+                    ? violation(`Максимальный срок проживания – ${formatNights(rule.nights)}`, matchedNights, { nights: rule.nights })
+                    : null;
+            case 'closedToArrival': {
+                const arrival = formatDate(startOfDay(checkIn));
+                return this.matchesDate(rule, startOfDay(checkIn))
+                    ? violation(`Заезд ${displayDate(arrival)} недоступен`, [arrival])
+                    : null;
+            }
+            case 'closedToDeparture': {
+                const departure = formatDate(startOfDay(checkOut));
+                return this.matchesDate(rule, startOfDay(checkOut))
+                    ? violation(`Выезд ${displayDate(departure)} недоступен`, [departure])
+                    : null;
+            }
+            case 'blackout':
+                if (matchedNights.length === 0) return null;
+                return violation(matchedNights.length === 1
+                    ? `Категория закрыта для бронирования на ночь ${displayDate(matchedNights[0])}`
+                    : `Категория закрыта для бронирования с ${displayDate(matchedNights[0])} по ${displayDate(matchedNights[matchedNights.length - 1])}`,
+                matchedNights);
+            default:
+                return null;
+        }
+    }
+
+    // Проверка проживания по правилам категории.
+    // Результат: { allowed, violations: [{ rule, type, message, dates, nights? }], message } –
+    // message объединяет тексты нарушений для гостя
+    check(roomType, checkIn, checkOut) {
+        const violations = this.rulesFor(roomType)
+            .map(rule => this.evaluate(rule, checkIn, checkOut))
+            .filter(Boolean);
+        return {
+            allowed: violations.length === 0,
+            violations,
+            message: violations.map(violation => violation.message).join('; ')
+        };
+    }
+}
+
+export const stayRules = new StayRulesEngine();
@@ -0,0 +1,193 @@
+// Проверка входных данных по схемам маршрутов (utils/apiSchemas.js).
+// Поддерживается подмножество JSON Schema, которое без изменений публикуется в OpenAPI:
+// type, properties, required, items, enum, pattern, format, minimum, maximum, minLength, maxLength,
+// minItems, maxItems, anyOf (только наборы required), default, а также x-after – дата строго позже
+// другого поля того же объекта (checkOut после checkIn).
+// Query и urlencoded-тело приходят строками, поэтому integer/number/boolean приводятся из строк,
+// а числа там, где ожидается строка (например, roomId), – к строке.
+
+import { normalizePhone } from './phone.js';
+
+const FORMATS = {
+    // Календарная дата YYYY-MM-DD, существующая в календаре
+    date: value => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return false;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+    },
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    // Номер, который приводится к E.164 (см. utils/phone.js)
+    phone: value => normalizePhone(value) !== null,
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+const FORMAT_MESSAGES = {
+    date: 'must be a date in YYYY-MM-DD format',
+    email: 'must be a valid email address',
+    phone: 'must be a valid phone number',
+    uuid: 'must be a UUID'
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Приведение строковых значений к ожидаемому типу
+function coerce(value, type) {
+    if (type === 'string' && typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return value;
+    }
+    if (type === 'integer' && /^-?\d+$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (type === 'number' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Проверка значения по схеме. Возвращает { value, errors }, где value – значение
+// с приведёнными типами и подставленными default, errors – [{ field, message }].
+export function validateValue(schema, input, field = '') {
+    const errors = [];
+    const fail = message => errors.push({ field, message });
+
+    let value = input;
+    if (schema.type) {
+        value = coerce(value, schema.type);
+        if (!matchesType(value, schema.type)) {
+            fail(`must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}`);
+            return { value, errors };
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail(FORMAT_MESSAGES[schema.format]);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must contain at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, index) => {
+                const result = validateValue(schema.items, item, `${field}[${index}]`);
+                errors.push(...result.errors);
+                return result.value;
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.anyOf)) {
+        value = { ...value };
+        const prefix = field ? `${field}.` : '';
+        const isEmpty = item => item === undefined || item === null || item === '';
+
+        for (const name of schema.required || []) {
+            if (isEmpty(value[name])) {
+                errors.push({ field: `${prefix}${name}`, message: 'is required' });
+            }
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(name => !isEmpty(value[name])))) {
+            fail(`requires one of: ${schema.anyOf.map(option => (option.required || []).join(' + ')).join(', ')}`);
+        }
+
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            if (isEmpty(value[name])) {
+                if (propertySchema.default !== undefined) {
+                    value[name] = propertySchema.default;
+                }
+                continue;
+            }
+            const result = validateValue(propertySchema, value[name], `${prefix}${name}`);
+            errors.push(...result.errors);
+            value[name] = result.value;
+        }
+
+        // Дата позже другого поля: проверяется, только если обе даты заданы и корректны
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            const other = propertySchema['x-after'];
+            if (!other || isEmpty(value[name]) || isEmpty(value[other])) continue;
+            if (errors.some(error => error.field === `${prefix}${name}` || error.field === `${prefix}${other}`)) continue;
+            if (String(value[name]) <= String(value[other])) {
+                errors.push({ field: `${prefix}${name}`, message: `must be after ${other}` });
+            }
+        }
+    }
+
+    return { value, errors };
+}
+
+// Middleware проверки params, query и body по схеме маршрута.
+// Приведённые значения заменяют исходные; при ошибках – 400 в общем формате ответа.
+export function validateRequest(routeSchema) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!routeSchema[location]) continue;
+
+            const result = validateValue(routeSchema[location], req[location] || {}, location);
+            errors.push(...result.errors);
+            if (location === 'params') {
+                Object.assign(req.params, result.value);
+            } else {
+                req[location] = result.value;
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: false,
+                status_msg: 'error',
+                message: errors.map(error => `${error.field.replace(/^(params|query|body)\./, '')} ${error.message}`).join('; '),
+                errors
+            });
+        }
+
+        next();
+    };
+}